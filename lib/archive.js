@@ -0,0 +1,107 @@
+// Room archives
+// Portable, passphrase-encrypted snapshots of a room, for backups and for moving a room to
+// another server. The payload is JSON sealed with AES-256-GCM under a scrypt-derived key. The
+// plaintext header (format, version, roomId, exportedAt, kdf parameters) is bound in as
+// additional authenticated data, so changing any part of the archive makes it fail to open.
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ARCHIVE_FORMAT = 'securechat-room-archive';
+const ARCHIVE_VERSION = 1;
+const KDF_DEFAULTS = { N: 16384, r: 8, p: 1 };
+// Archives come from outside and any user can submit one, so nothing costlier than what this
+// server produces is accepted (16 MB of scrypt memory per import)
+const KDF_LIMITS = { ...KDF_DEFAULTS };
+const AUTH_TAG_BYTES = 16;
+
+class ArchiveError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'ArchiveError';
+        this.code = code;
+    }
+}
+
+// Canonical header serialization, used as GCM additional data
+function headerBytes({ format, version, roomId, exportedAt, kdf }) {
+    return Buffer.from(JSON.stringify({
+        format,
+        version,
+        roomId,
+        exportedAt,
+        kdf: { name: kdf.name, salt: kdf.salt, N: kdf.N, r: kdf.r, p: kdf.p }
+    }));
+}
+
+function deriveKey(passphrase, salt, { N, r, p }) {
+    return scrypt(String(passphrase), salt, 32, { N, r, p, maxmem: 256 * N * r });
+}
+
+function isValidKdf(kdf) {
+    return kdf.name === 'scrypt' &&
+        typeof kdf.salt === 'string' &&
+        ['N', 'r', 'p'].every(name => Number.isInteger(kdf[name]) && kdf[name] > 0 && kdf[name] <= KDF_LIMITS[name]) &&
+        (kdf.N & (kdf.N - 1)) === 0;
+}
+
+// payload: any JSON value. Returns the archive object.
+async function sealArchive(payload, passphrase, { roomId, exportedAt = Date.now() } = {}) {
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const header = {
+        format: ARCHIVE_FORMAT,
+        version: ARCHIVE_VERSION,
+        roomId,
+        exportedAt,
+        kdf: { name: 'scrypt', salt: salt.toString('base64'), ...KDF_DEFAULTS }
+    };
+
+    const key = await deriveKey(passphrase, salt, KDF_DEFAULTS);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv, { authTagLength: AUTH_TAG_BYTES });
+    cipher.setAAD(headerBytes(header));
+    const data = Buffer.concat([cipher.update(JSON.stringify(payload), 'utf8'), cipher.final()]);
+
+    return {
+        ...header,
+        cipher: { name: 'aes-256-gcm', iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64') },
+        data: data.toString('base64')
+    };
+}
+
+// Returns the payload. Throws ArchiveError with code INVALID_ARCHIVE (not an archive or
+// malformed), UNSUPPORTED_ARCHIVE_VERSION or ARCHIVE_INTEGRITY (wrong passphrase or modified).
+async function openArchive(archive, passphrase) {
+    if (!archive || archive.format !== ARCHIVE_FORMAT) {
+        throw new ArchiveError('Not a room archive', 'INVALID_ARCHIVE');
+    }
+    if (archive.version !== ARCHIVE_VERSION) {
+        throw new ArchiveError(`Unsupported archive version: ${archive.version}`, 'UNSUPPORTED_ARCHIVE_VERSION');
+    }
+
+    const { kdf = {}, cipher = {} } = archive;
+    if (!isValidKdf(kdf) || cipher.name !== 'aes-256-gcm' || typeof cipher.iv !== 'string' ||
+        typeof cipher.tag !== 'string' || typeof archive.data !== 'string') {
+        throw new ArchiveError('Malformed room archive', 'INVALID_ARCHIVE');
+    }
+
+    const tag = Buffer.from(cipher.tag, 'base64');
+    if (tag.length !== AUTH_TAG_BYTES) {
+        throw new ArchiveError('Malformed room archive', 'INVALID_ARCHIVE');
+    }
+
+    try {
+        const key = await deriveKey(passphrase, Buffer.from(kdf.salt, 'base64'), kdf);
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(cipher.iv, 'base64'), { authTagLength: AUTH_TAG_BYTES });
+        decipher.setAAD(headerBytes(archive));
+        decipher.setAuthTag(tag);
+        const plaintext = Buffer.concat([decipher.update(Buffer.from(archive.data, 'base64')), decipher.final()]);
+        return JSON.parse(plaintext.toString('utf8'));
+    } catch (error) {
+        throw new ArchiveError('Archive failed its integrity check (wrong passphrase or modified archive)', 'ARCHIVE_INTEGRITY');
+    }
+}
+
+module.exports = { sealArchive, openArchive, ArchiveError, ARCHIVE_FORMAT, ARCHIVE_VERSION };
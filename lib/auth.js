@@ -0,0 +1,110 @@
+// User identity: registration credentials and signed bearer tokens
+// A userId is claimed once via registration, which hands out a long-lived credential.
+// The credential is exchanged for short-lived HMAC-signed tokens bound to that userId.
+// Only a SHA-256 hash of the credential is stored.
+
+const crypto = require('crypto');
+
+function base64url(input) {
+    return Buffer.from(input).toString('base64')
+        .replace(/=+$/, '')
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_');
+}
+
+function fromBase64url(input) {
+    return Buffer.from(input.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8');
+}
+
+function timingSafeEqualStrings(a, b) {
+    const bufA = Buffer.from(a);
+    const bufB = Buffer.from(b);
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function generateSecret(bytes = 32) {
+    return base64url(crypto.randomBytes(bytes));
+}
+
+function hashCredential(credential) {
+    return crypto.createHash('sha256').update(credential).digest('hex');
+}
+
+function credentialMatches(credential, credentialHash) {
+    return typeof credential === 'string' && timingSafeEqualStrings(hashCredential(credential), credentialHash);
+}
+
+// Room join passwords: scrypt with a per-password salt, stored as "salt:hash"
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, 32).toString('hex');
+    return `${salt}:${hash}`;
+}
+
+function verifyPassword(password, stored) {
+    if (typeof password !== 'string' || typeof stored !== 'string') {
+        return false;
+    }
+    const [salt, hash] = stored.split(':');
+    return timingSafeEqualStrings(crypto.scryptSync(password, salt, 32).toString('hex'), hash);
+}
+
+function createTokenService({ secret, ttlMs }) {
+    function signature(payload) {
+        return base64url(crypto.createHmac('sha256', secret).update(payload).digest());
+    }
+
+    return {
+        sign(userId) {
+            const issuedAt = Date.now();
+            const expiresAt = issuedAt + ttlMs;
+            const payload = base64url(JSON.stringify({ sub: userId, iat: issuedAt, exp: expiresAt }));
+            return { token: `${payload}.${signature(payload)}`, expiresAt };
+        },
+
+        // Returns the token claims, or null if the token is malformed, forged or expired
+        verify(token) {
+            if (typeof token !== 'string') {
+                return null;
+            }
+
+            const [payload, sig] = token.split('.');
+            if (!payload || !sig || !timingSafeEqualStrings(signature(payload), sig)) {
+                return null;
+            }
+
+            try {
+                const claims = JSON.parse(fromBase64url(payload));
+                if (!claims.sub || !claims.exp || claims.exp <= Date.now()) {
+                    return null;
+                }
+                return claims;
+            } catch (error) {
+                return null;
+            }
+        }
+    };
+}
+
+function extractBearerToken(req, { allowQueryToken = false } = {}) {
+    const header = req.get('Authorization') || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    if (match) {
+        return match[1].trim();
+    }
+    // EventSource cannot set headers, so streams may pass the token as a query parameter
+    if (allowQueryToken && typeof req.query.access_token === 'string') {
+        return req.query.access_token;
+    }
+    return null;
+}
+
+module.exports = {
+    generateSecret,
+    hashCredential,
+    credentialMatches,
+    hashPassword,
+    verifyPassword,
+    createTokenService,
+    extractBearerToken
+};
@@ -0,0 +1,54 @@
+// Room event bus for real-time delivery
+// Route handlers publish events here; the SSE endpoint subscribes per room and
+// filters per user. Events addressed to a recipientId are only delivered to that user
+// (and, with a recipientDeviceId, only to streams of that device or of no particular device).
+// Events travel through a pub/sub adapter (lib/pubsub), so with a shared adapter a stream
+// held by one instance receives events published by any other.
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { MemoryPubSub } = require('./pubsub');
+
+const CHANNEL = 'room-events';
+
+class RoomEventBus {
+    constructor({ pubsub = new MemoryPubSub(), onError = () => {} } = {}) {
+        this.emitter = new EventEmitter();
+        this.emitter.setMaxListeners(0);
+        this.sequence = 0;
+        this.instanceId = crypto.randomBytes(4).toString('hex'); // keeps event ids unique across instances
+        this.pubsub = pubsub;
+        this.onError = onError;
+        this.pubsub.subscribe(CHANNEL, event => this.emitter.emit(event.roomId, event));
+    }
+
+    publish(roomId, type, data, { recipientId = null, recipientDeviceId = null } = {}) {
+        const event = {
+            id: `${Date.now()}-${this.instanceId}-${++this.sequence}`,
+            type,
+            roomId,
+            recipientId,
+            recipientDeviceId,
+            data,
+            timestamp: Date.now()
+        };
+        this.pubsub.publish(CHANNEL, event).catch(this.onError);
+        return event;
+    }
+
+    // Returns an unsubscribe function
+    subscribe(roomId, listener) {
+        this.emitter.on(roomId, listener);
+        return () => this.emitter.off(roomId, listener);
+    }
+
+    listenerCount(roomId) {
+        return this.emitter.listenerCount(roomId);
+    }
+
+    async close() {
+        await this.pubsub.close();
+    }
+}
+
+module.exports = { RoomEventBus };
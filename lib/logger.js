@@ -0,0 +1,88 @@
+// Structured logging
+// One JSON object per line: { time, level, msg, ...fields }. LOG_LEVEL selects the minimum
+// level (debug, info, warn, error). Message identifiers are redacted unless redactIds is off,
+// so logs do not link who talked to whom about which message.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Fields holding message or envelope identifiers
+const REDACTED_FIELDS = new Set(['messageId', 'messageIds', 'envelopeId', 'envelopeIds']);
+const REDACTED = '[redacted]';
+
+function serializeError(error) {
+    return {
+        name: error.name,
+        message: error.message,
+        ...(error.code !== undefined ? { code: error.code } : {}),
+        stack: error.stack
+    };
+}
+
+class Logger {
+    constructor({ level = 'info', redactIds = true, fields = {}, stdout = process.stdout, stderr = process.stderr } = {}) {
+        if (!LEVELS[level]) {
+            throw new Error(`Unknown log level: ${level}`);
+        }
+        this.level = level;
+        this.redactIds = redactIds;
+        this.fields = fields;
+        this.stdout = stdout;
+        this.stderr = stderr;
+    }
+
+    // Logger that adds `fields` to every entry, e.g. a request id
+    child(fields) {
+        return new Logger({ ...this, fields: { ...this.fields, ...fields } });
+    }
+
+    isLevelEnabled(level) {
+        return LEVELS[level] >= LEVELS[this.level];
+    }
+
+    log(level, msg, fields = {}) {
+        if (!this.isLevelEnabled(level)) {
+            return;
+        }
+
+        const entry = { time: new Date().toISOString(), level, msg };
+        for (const [name, value] of Object.entries({ ...this.fields, ...fields })) {
+            if (value === undefined) {
+                continue;
+            }
+            if (this.redactIds && REDACTED_FIELDS.has(name)) {
+                entry[name] = REDACTED;
+            } else {
+                entry[name] = value instanceof Error ? serializeError(value) : value;
+            }
+        }
+
+        const stream = LEVELS[level] >= LEVELS.warn ? this.stderr : this.stdout;
+        stream.write(`${JSON.stringify(entry)}\n`);
+    }
+
+    debug(msg, fields) {
+        this.log('debug', msg, fields);
+    }
+
+    info(msg, fields) {
+        this.log('info', msg, fields);
+    }
+
+    warn(msg, fields) {
+        this.log('warn', msg, fields);
+    }
+
+    error(msg, fields) {
+        this.log('error', msg, fields);
+    }
+}
+
+function createLogger(options = {}) {
+    return new Logger({
+        ...options,
+        level: options.level || process.env.LOG_LEVEL || 'info',
+        redactIds: options.redactIds !== undefined ? options.redactIds : process.env.LOG_REDACT_IDS !== 'false'
+    });
+}
+
+module.exports = { Logger, createLogger, LEVELS };
@@ -0,0 +1,158 @@
+// Prometheus metrics
+// A small in-process registry rendering the text exposition format (version 0.0.4).
+// Counters and histograms are updated by the server as things happen; gauges can instead
+// provide a collect() callback that is evaluated on every scrape.
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) {
+        return '';
+    }
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function labelKey(labels) {
+    return JSON.stringify(Object.keys(labels).sort().map(name => [name, String(labels[name])]));
+}
+
+class Metric {
+    constructor(type, { name, help }) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.series = new Map(); // labelKey -> { labels, ... }
+    }
+
+    seriesFor(labels, init) {
+        const key = labelKey(labels);
+        if (!this.series.has(key)) {
+            this.series.set(key, { labels, ...init() });
+        }
+        return this.series.get(key);
+    }
+
+    header() {
+        return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    }
+}
+
+class Counter extends Metric {
+    constructor(options) {
+        super('counter', options);
+    }
+
+    inc(labels = {}, amount = 1) {
+        this.seriesFor(labels, () => ({ value: 0 })).value += amount;
+    }
+
+    async render() {
+        return [...this.header(), ...[...this.series.values()].map(s => `${this.name}${formatLabels(s.labels)} ${s.value}`)];
+    }
+}
+
+class Gauge extends Metric {
+    // collect() may return a number or [{ labels, value }] and replaces any set() values
+    constructor({ collect, ...options }) {
+        super('gauge', options);
+        this.collect = collect;
+    }
+
+    set(labels, value) {
+        this.seriesFor(labels, () => ({ value: 0 })).value = value;
+    }
+
+    async render() {
+        if (this.collect) {
+            const collected = await this.collect();
+            this.series.clear();
+            for (const { labels, value } of Array.isArray(collected) ? collected : [{ labels: {}, value: collected }]) {
+                this.set(labels, value);
+            }
+        }
+        return [...this.header(), ...[...this.series.values()].map(s => `${this.name}${formatLabels(s.labels)} ${s.value}`)];
+    }
+}
+
+class Histogram extends Metric {
+    constructor({ buckets = DEFAULT_BUCKETS, ...options }) {
+        super('histogram', options);
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    observe(labels, value) {
+        const series = this.seriesFor(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) {
+                series.counts[i]++;
+            }
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    // Returns a function that records (and returns) the elapsed seconds when called
+    startTimer(labels = {}) {
+        const start = process.hrtime.bigint();
+        return (extraLabels = {}) => {
+            const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+            this.observe({ ...labels, ...extraLabels }, seconds);
+            return seconds;
+        };
+    }
+
+    async render() {
+        const lines = this.header();
+        for (const s of this.series.values()) {
+            this.buckets.forEach((bound, i) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...s.labels, le: bound })} ${s.counts[i]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...s.labels, le: '+Inf' })} ${s.count}`);
+            lines.push(`${this.name}_sum${formatLabels(s.labels)} ${s.sum}`);
+            lines.push(`${this.name}_count${formatLabels(s.labels)} ${s.count}`);
+        }
+        return lines;
+    }
+}
+
+class MetricsRegistry {
+    constructor({ prefix = '' } = {}) {
+        this.prefix = prefix;
+        this.metrics = [];
+    }
+
+    register(metric) {
+        metric.name = `${this.prefix}${metric.name}`;
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    counter(options) {
+        return this.register(new Counter(options));
+    }
+
+    gauge(options) {
+        return this.register(new Gauge(options));
+    }
+
+    histogram(options) {
+        return this.register(new Histogram(options));
+    }
+
+    async render() {
+        const blocks = [];
+        for (const metric of this.metrics) {
+            blocks.push((await metric.render()).join('\n'));
+        }
+        return `${blocks.join('\n')}\n`;
+    }
+}
+
+MetricsRegistry.contentType = 'text/plain; version=0.0.4; charset=utf-8';
+
+module.exports = { MetricsRegistry, DEFAULT_BUCKETS };
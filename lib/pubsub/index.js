@@ -0,0 +1,27 @@
+// Pub/sub backend selection
+// PUBSUB_ADAPTER=memory | redis (defaults to redis when STORAGE_ADAPTER=redis, else memory)
+// REDIS_URL / REDIS_PREFIX / REDIS_COMMAND_TIMEOUT_MS are shared with the redis storage adapter
+
+const MemoryPubSub = require('./memory');
+const RedisPubSub = require('./redis');
+
+function createPubSub(options = {}) {
+    const storageAdapter = (process.env.STORAGE_ADAPTER || 'memory').toLowerCase();
+    const adapter = (options.adapter || process.env.PUBSUB_ADAPTER || (storageAdapter === 'redis' ? 'redis' : 'memory')).toLowerCase();
+
+    switch (adapter) {
+        case 'memory':
+            return new MemoryPubSub();
+        case 'redis':
+            return new RedisPubSub({
+                url: options.url || process.env.REDIS_URL,
+                prefix: options.prefix || process.env.REDIS_PREFIX,
+                commandTimeoutMs: options.commandTimeoutMs || parseInt(process.env.REDIS_COMMAND_TIMEOUT_MS, 10) || undefined,
+                logger: options.logger
+            });
+        default:
+            throw new Error(`Unknown pub/sub adapter: ${adapter}`);
+    }
+}
+
+module.exports = { createPubSub, MemoryPubSub, RedisPubSub };
@@ -0,0 +1,29 @@
+// In-process pub/sub adapter (default)
+// Messages only reach subscribers in this process, which is all a single instance needs.
+// Delivery is synchronous, so subscribers see a message before publish() returns.
+
+const { EventEmitter } = require('events');
+
+class MemoryPubSub {
+    constructor() {
+        this.name = 'memory';
+        this.emitter = new EventEmitter();
+        this.emitter.setMaxListeners(0);
+    }
+
+    async publish(channel, message) {
+        this.emitter.emit(channel, message);
+    }
+
+    // Returns an unsubscribe function
+    subscribe(channel, listener) {
+        this.emitter.on(channel, listener);
+        return () => this.emitter.off(channel, listener);
+    }
+
+    async close() {
+        this.emitter.removeAllListeners();
+    }
+}
+
+module.exports = MemoryPubSub;
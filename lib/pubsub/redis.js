@@ -0,0 +1,48 @@
+// Redis pub/sub adapter
+// Fans messages out to every instance subscribed to the same Redis server, so an event
+// published by the instance handling a request reaches SSE streams held by the others.
+// Messages are JSON encoded; subscribers in this process are only called when Redis
+// delivers the message back, so nobody sees an event twice.
+
+const { EventEmitter } = require('events');
+const { RedisClient } = require('../redis');
+const { createLogger } = require('../logger');
+
+class RedisPubSub {
+    constructor({ url, prefix = 'securechat:', commandTimeoutMs, logger = createLogger() } = {}) {
+        this.name = 'redis';
+        this.prefix = prefix;
+        this.logger = logger;
+        this.emitter = new EventEmitter();
+        this.emitter.setMaxListeners(0);
+
+        // A subscribed connection cannot issue regular commands, hence two clients
+        this.publisher = new RedisClient(url, { commandTimeoutMs });
+        this.subscriber = new RedisClient(url, { commandTimeoutMs });
+        for (const client of [this.publisher, this.subscriber]) {
+            client.on('error', error => logger.error('Redis pub/sub error', { error }));
+        }
+    }
+
+    async publish(channel, message) {
+        await this.publisher.command('PUBLISH', `${this.prefix}${channel}`, JSON.stringify(message));
+    }
+
+    // Returns an unsubscribe function
+    subscribe(channel, listener) {
+        if (this.emitter.listenerCount(channel) === 0) {
+            this.subscriber.subscribe(`${this.prefix}${channel}`, payload => {
+                this.emitter.emit(channel, JSON.parse(payload));
+            }).catch(error => this.logger.error('Redis subscribe error', { error, channel }));
+        }
+        this.emitter.on(channel, listener);
+        return () => this.emitter.off(channel, listener);
+    }
+
+    async close() {
+        this.emitter.removeAllListeners();
+        await Promise.all([this.publisher.quit(), this.subscriber.quit()]);
+    }
+}
+
+module.exports = RedisPubSub;
@@ -0,0 +1,30 @@
+// Delivery failure reported by a push transport.
+// gone: the endpoint no longer exists (404/410) and the subscription should be dropped.
+// retryable: worth trying again later (network errors, 429, 5xx).
+
+class PushError extends Error {
+    constructor(message, { statusCode = null, gone = false, retryable = true, retryAfterMs = null } = {}) {
+        super(message);
+        this.name = 'PushError';
+        this.statusCode = statusCode;
+        this.gone = gone;
+        this.retryable = retryable;
+        this.retryAfterMs = retryAfterMs;
+    }
+
+    // Throws for any non-2xx status
+    static check(statusCode, headers = {}) {
+        if (statusCode >= 200 && statusCode < 300) {
+            return;
+        }
+        const retryAfterSeconds = parseInt(headers['retry-after'], 10);
+        throw new PushError(`Push endpoint answered ${statusCode}`, {
+            statusCode,
+            gone: statusCode === 404 || statusCode === 410,
+            retryable: statusCode === 429 || statusCode >= 500,
+            retryAfterMs: retryAfterSeconds > 0 ? retryAfterSeconds * 1000 : null
+        });
+    }
+}
+
+module.exports = { PushError };
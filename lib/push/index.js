@@ -0,0 +1,97 @@
+// Push notification dispatch
+// Sends content-free wake-ups to a user's registered push subscriptions through pluggable
+// transports (webpush, webhook, or anything registered with registerTransport). Wake-ups for
+// the same user within coalesceMs are merged into one, failed deliveries are retried with
+// exponential backoff, and subscriptions whose endpoint is gone are reported through onGone.
+// Pending wake-ups and retries live in this process only.
+
+const WebhookTransport = require('./webhook');
+const { WebPushTransport, generateVapidKeys } = require('./webpush');
+const { PushError } = require('./errors');
+const { checkPublicEndpoint } = require('./request');
+
+class PushDispatcher {
+    constructor({
+        transports = {},
+        coalesceMs = 2000,
+        maxAttempts = 5,
+        retryBaseMs = 1000,
+        onGone = () => {},
+        onResult = () => {},
+        onError = () => {}
+    } = {}) {
+        this.transports = { ...transports };
+        this.coalesceMs = coalesceMs;
+        this.maxAttempts = maxAttempts;
+        this.retryBaseMs = retryBaseMs;
+        this.onGone = onGone;
+        this.onResult = onResult; // (transportName, result) with result delivered | retried | failed | gone | coalesced
+        this.onError = onError;
+        this.pending = new Map(); // userId -> { subscriptions, count, timer }
+    }
+
+    registerTransport(name, transport) {
+        this.transports[name] = transport;
+    }
+
+    // Queue a wake-up for userId; repeated calls inside the coalescing window send only one
+    wake(userId, subscriptions) {
+        const pending = this.pending.get(userId);
+        if (pending) {
+            pending.subscriptions = subscriptions;
+            pending.count++;
+            subscriptions.forEach(subscription => this.onResult(subscription.type, 'coalesced'));
+            return;
+        }
+
+        const timer = setTimeout(() => this.flush(userId), this.coalesceMs);
+        timer.unref();
+        this.pending.set(userId, { subscriptions, count: 1, timer });
+    }
+
+    flush(userId) {
+        const pending = this.pending.get(userId);
+        if (!pending) {
+            return;
+        }
+        this.pending.delete(userId);
+        clearTimeout(pending.timer);
+
+        const notification = { type: 'wakeup', timestamp: Date.now() };
+        for (const subscription of pending.subscriptions) {
+            this.deliver(subscription, notification, 1);
+        }
+    }
+
+    async deliver(subscription, notification, attempt) {
+        const transport = this.transports[subscription.type];
+        if (!transport) {
+            this.onError(new PushError(`No push transport for ${subscription.type}`, { retryable: false }), subscription);
+            return;
+        }
+
+        try {
+            await transport.send(subscription, notification);
+            this.onResult(subscription.type, 'delivered');
+        } catch (error) {
+            if (error.gone) {
+                this.onResult(subscription.type, 'gone');
+                this.onGone(subscription);
+                return;
+            }
+            if (error.retryable === false || attempt >= this.maxAttempts) {
+                this.onResult(subscription.type, 'failed');
+                this.onError(error, subscription);
+                return;
+            }
+
+            // 1x, 2x, 4x, ... the base delay with up to 20% jitter, unless the endpoint asked for longer
+            const backoff = this.retryBaseMs * 2 ** (attempt - 1) * (1 + Math.random() * 0.2);
+            const timer = setTimeout(() => this.deliver(subscription, notification, attempt + 1), Math.max(backoff, error.retryAfterMs || 0));
+            timer.unref();
+            this.onResult(subscription.type, 'retried');
+        }
+    }
+}
+
+module.exports = { PushDispatcher, PushError, WebhookTransport, WebPushTransport, generateVapidKeys, checkPublicEndpoint };
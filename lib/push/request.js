@@ -0,0 +1,89 @@
+// Minimal HTTP(S) POST used by the push transports (core modules only, Node 16 has no fetch)
+// Endpoints come from users, so requests never go to loopback, private, link-local (cloud
+// metadata), unique-local or other non-public addresses unless allowPrivateAddresses is set.
+// The check runs on the address actually connected to, so a hostname that resolves to a
+// public address at registration and a private one later is still refused.
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { PushError } = require('./errors');
+
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [prefix, bits] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+    BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv4');
+}
+// IPv4 rules also match IPv4-mapped IPv6 addresses (::ffff:127.0.0.1). NAT64 prefixes
+// (64:ff9b::/96 well-known, 64:ff9b:1::/48 local-use) embed an IPv4 address the gateway
+// connects to, so they are refused as a whole.
+for (const [prefix, bits] of [['::', 96], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv6');
+}
+
+function isPublicAddress(address) {
+    return !BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+function refuse(address) {
+    return new PushError(`Push endpoint resolves to a non-public address (${address})`, { retryable: false });
+}
+
+// dns.lookup for http.request that fails instead of returning a non-public address
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) {
+            return callback(error);
+        }
+        const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+        if (blocked) {
+            return callback(refuse(blocked.address));
+        }
+        if (options.all) {
+            return callback(null, addresses);
+        }
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+// Rejects with a PushError unless every address the URL's host resolves to is public
+function checkPublicEndpoint(url) {
+    const hostname = new URL(url).hostname.replace(/^\[(.*)\]$/, '$1');
+    if (net.isIP(hostname)) {
+        return isPublicAddress(hostname) ? Promise.resolve() : Promise.reject(refuse(hostname));
+    }
+    return new Promise((resolve, reject) => {
+        publicLookup(hostname, { all: true }, error => (error ? reject(error) : resolve()));
+    });
+}
+
+// Resolves with { statusCode, headers } once the response ends; rejects on network errors or timeout
+function postRequest(url, { headers = {}, body = '', timeoutMs = 10000, allowPrivateAddresses = false } = {}) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        const hostname = target.hostname.replace(/^\[(.*)\]$/, '$1');
+        // IP literals never go through lookup
+        if (!allowPrivateAddresses && net.isIP(hostname) && !isPublicAddress(hostname)) {
+            return reject(refuse(hostname));
+        }
+
+        const client = target.protocol === 'https:' ? https : http;
+        const req = client.request(target, {
+            method: 'POST',
+            headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+            timeout: timeoutMs,
+            ...(allowPrivateAddresses ? {} : { lookup: publicLookup })
+        }, res => {
+            res.resume();
+            res.on('end', () => resolve({ statusCode: res.statusCode, headers: res.headers }));
+        });
+        req.on('timeout', () => req.destroy(new Error(`Request timed out after ${timeoutMs}ms`)));
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+module.exports = { postRequest, checkPublicEndpoint, isPublicAddress };
@@ -0,0 +1,33 @@
+// Generic webhook transport
+// POSTs { type: 'wakeup', subscriptionId, timestamp } as JSON. The body is signed with the
+// subscription's secret (X-Push-Signature: sha256=<hex HMAC>) so receivers can reject forgeries.
+
+const crypto = require('crypto');
+const { postRequest } = require('./request');
+const { PushError } = require('./errors');
+
+class WebhookTransport {
+    constructor({ timeoutMs = 10000, allowPrivateAddresses = false } = {}) {
+        this.name = 'webhook';
+        this.timeoutMs = timeoutMs;
+        this.allowPrivateAddresses = allowPrivateAddresses;
+    }
+
+    async send(subscription, notification) {
+        const body = JSON.stringify({ ...notification, subscriptionId: subscription.subscriptionId });
+        const signature = crypto.createHmac('sha256', subscription.secret).update(body).digest('hex');
+
+        const { statusCode, headers } = await postRequest(subscription.endpoint, {
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Push-Signature': `sha256=${signature}`
+            },
+            body,
+            timeoutMs: this.timeoutMs,
+            allowPrivateAddresses: this.allowPrivateAddresses
+        });
+        PushError.check(statusCode, headers);
+    }
+}
+
+module.exports = WebhookTransport;
@@ -0,0 +1,79 @@
+// Web Push transport (RFC 8030) with VAPID authentication (RFC 8292)
+// Wake-ups are sent without a payload, so no message encryption (RFC 8291) is involved:
+// the push service delivers an empty push event and the client fetches envelopes itself.
+// VAPID keys are base64url: the uncompressed P-256 public key and the private scalar.
+
+const crypto = require('crypto');
+const { postRequest } = require('./request');
+const { PushError } = require('./errors');
+
+const VAPID_TOKEN_TTL_SECONDS = 12 * 60 * 60; // push services reject tokens valid for over 24h
+
+function base64url(data) {
+    return Buffer.from(data).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function generateVapidKeys() {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+    const jwk = privateKey.export({ format: 'jwk' });
+    return {
+        publicKey: base64url(publicKey.export({ format: 'der', type: 'spki' }).subarray(-65)),
+        privateKey: jwk.d
+    };
+}
+
+function vapidPrivateKey({ publicKey, privateKey }) {
+    const point = Buffer.from(publicKey, 'base64url');
+    return crypto.createPrivateKey({
+        format: 'jwk',
+        key: {
+            kty: 'EC',
+            crv: 'P-256',
+            x: base64url(point.subarray(1, 33)),
+            y: base64url(point.subarray(33, 65)),
+            d: privateKey
+        }
+    });
+}
+
+class WebPushTransport {
+    // vapidKeys: { publicKey, privateKey } or an (async) function returning them
+    constructor({ vapidKeys, subject, ttlSeconds = 60 * 60, timeoutMs = 10000, allowPrivateAddresses = false }) {
+        this.name = 'webpush';
+        this.vapidKeys = vapidKeys;
+        this.subject = subject;
+        this.ttlSeconds = ttlSeconds;
+        this.timeoutMs = timeoutMs;
+        this.allowPrivateAddresses = allowPrivateAddresses;
+    }
+
+    async authorization(endpoint) {
+        const keys = typeof this.vapidKeys === 'function' ? await this.vapidKeys() : this.vapidKeys;
+        const header = base64url(JSON.stringify({ typ: 'JWT', alg: 'ES256' }));
+        const claims = base64url(JSON.stringify({
+            aud: new URL(endpoint).origin,
+            exp: Math.floor(Date.now() / 1000) + VAPID_TOKEN_TTL_SECONDS,
+            sub: this.subject
+        }));
+        const signature = crypto.sign('sha256', Buffer.from(`${header}.${claims}`), {
+            key: vapidPrivateKey(keys),
+            dsaEncoding: 'ieee-p1363'
+        });
+        return `vapid t=${header}.${claims}.${base64url(signature)}, k=${keys.publicKey}`;
+    }
+
+    async send(subscription) {
+        const { statusCode, headers } = await postRequest(subscription.endpoint, {
+            headers: {
+                Authorization: await this.authorization(subscription.endpoint),
+                TTL: String(this.ttlSeconds),
+                Urgency: 'high'
+            },
+            timeoutMs: this.timeoutMs,
+            allowPrivateAddresses: this.allowPrivateAddresses
+        });
+        PushError.check(statusCode, headers);
+    }
+}
+
+module.exports = { WebPushTransport, generateVapidKeys };
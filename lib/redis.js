@@ -0,0 +1,261 @@
+// Minimal Redis client (RESP2)
+// Just enough for the redis storage and pub/sub adapters: pipelined commands over one socket,
+// subscriber mode and automatic reconnects. Works with Redis and compatible servers
+// (Valkey, KeyDB, Dragonfly, ...). Connection URL: redis[s]://[user:password@]host:port[/db]
+// Every command fails after commandTimeoutMs, including commands queued while disconnected,
+// so callers see an error instead of waiting for a server that does not come back.
+
+const net = require('net');
+const tls = require('tls');
+const { EventEmitter } = require('events');
+
+const CRLF = '\r\n';
+const MAX_RECONNECT_DELAY_MS = 2000;
+const DEFAULT_COMMAND_TIMEOUT_MS = 5000;
+
+class RedisError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RedisError';
+    }
+}
+
+function encodeCommand(args) {
+    let out = `*${args.length}${CRLF}`;
+    for (const arg of args) {
+        const value = String(arg);
+        out += `$${Buffer.byteLength(value)}${CRLF}${value}${CRLF}`;
+    }
+    return out;
+}
+
+// Parses one reply starting at `offset`. Returns { value, offset } or null if the buffer
+// does not hold a complete reply yet.
+function parseReply(buffer, offset = 0) {
+    const lineEnd = buffer.indexOf(CRLF, offset);
+    if (lineEnd === -1) {
+        return null;
+    }
+
+    const type = String.fromCharCode(buffer[offset]);
+    const line = buffer.toString('utf8', offset + 1, lineEnd);
+    const next = lineEnd + 2;
+
+    switch (type) {
+        case '+':
+            return { value: line, offset: next };
+        case '-':
+            return { value: new RedisError(line), offset: next };
+        case ':':
+            return { value: Number(line), offset: next };
+        case '$': {
+            const length = Number(line);
+            if (length === -1) {
+                return { value: null, offset: next };
+            }
+            if (buffer.length < next + length + 2) {
+                return null;
+            }
+            return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+        }
+        case '*': {
+            const count = Number(line);
+            if (count === -1) {
+                return { value: null, offset: next };
+            }
+            const items = [];
+            let position = next;
+            for (let i = 0; i < count; i++) {
+                const item = parseReply(buffer, position);
+                if (!item) {
+                    return null;
+                }
+                items.push(item.value);
+                position = item.offset;
+            }
+            return { value: items, offset: position };
+        }
+        default:
+            throw new RedisError(`Unexpected reply type: ${type}`);
+    }
+}
+
+class RedisClient extends EventEmitter {
+    constructor(url = 'redis://127.0.0.1:6379', { commandTimeoutMs = DEFAULT_COMMAND_TIMEOUT_MS } = {}) {
+        super();
+        const parsed = new URL(url);
+        this.options = {
+            host: parsed.hostname || '127.0.0.1',
+            port: Number(parsed.port) || 6379,
+            tls: parsed.protocol === 'rediss:',
+            username: decodeURIComponent(parsed.username || ''),
+            password: decodeURIComponent(parsed.password || ''),
+            db: Number(parsed.pathname.slice(1)) || 0
+        };
+        this.socket = null;
+        this.connected = false;
+        this.closing = false;
+        this.buffer = Buffer.alloc(0);
+        this.pending = []; // commands awaiting a reply, in order
+        this.outbox = []; // encoded commands written once connected
+        this.channels = new Map(); // channel -> listener (subscriber mode)
+        this.reconnectDelay = 50;
+        this.commandTimeoutMs = commandTimeoutMs;
+        this.connect();
+    }
+
+    connect() {
+        const { host, port } = this.options;
+        this.socket = this.options.tls
+            ? tls.connect({ host, port, servername: host })
+            : net.createConnection({ host, port });
+        this.socket.setNoDelay(true);
+
+        this.socket.on(this.options.tls ? 'secureConnect' : 'connect', () => this.onConnect());
+        this.socket.on('data', chunk => this.onData(chunk));
+        this.socket.on('error', error => this.emit('error', error));
+        this.socket.on('close', () => this.onClose());
+    }
+
+    onConnect() {
+        this.connected = true;
+        this.reconnectDelay = 50;
+
+        // Handshake goes ahead of anything queued while disconnected
+        const handshake = [];
+        if (this.options.password) {
+            handshake.push(this.options.username
+                ? ['AUTH', this.options.username, this.options.password]
+                : ['AUTH', this.options.password]);
+        }
+        if (this.options.db) {
+            handshake.push(['SELECT', this.options.db]);
+        }
+        if (this.channels.size > 0) {
+            handshake.push(['SUBSCRIBE', ...this.channels.keys()]);
+        }
+        const handshakeEntries = handshake.map(args => ({
+            payload: encodeCommand(args),
+            resolve: () => {},
+            reject: error => this.emit('error', error),
+            subscribe: args[0] === 'SUBSCRIBE' ? args.length - 1 : 0
+        }));
+
+        for (const entry of [...handshakeEntries, ...this.outbox]) {
+            this.pending.push(entry);
+            this.socket.write(entry.payload);
+        }
+        this.outbox = [];
+        this.emit('connect');
+    }
+
+    onData(chunk) {
+        this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, chunk]) : chunk;
+
+        let reply;
+        while (this.buffer.length > 0 && (reply = parseReply(this.buffer))) {
+            this.buffer = this.buffer.subarray(reply.offset);
+            this.onReply(reply.value);
+        }
+    }
+
+    onReply(value) {
+        // Subscriber mode: published messages are pushed without a matching command
+        if (Array.isArray(value) && value[0] === 'message' && this.channels.has(value[1])) {
+            this.channels.get(value[1])(value[2]);
+            return;
+        }
+
+        const entry = this.pending[0];
+        if (!entry) {
+            return;
+        }
+
+        // SUBSCRIBE answers once per channel
+        if (entry.subscribe > 1) {
+            entry.subscribe--;
+            return;
+        }
+
+        this.pending.shift();
+        if (value instanceof RedisError) {
+            entry.reject(value);
+        } else {
+            entry.resolve(value);
+        }
+    }
+
+    onClose() {
+        this.connected = false;
+        this.buffer = Buffer.alloc(0);
+
+        const inFlight = this.pending;
+        this.pending = [];
+        inFlight.forEach(entry => entry.reject(new RedisError('Connection closed')));
+
+        if (this.closing) {
+            return;
+        }
+        const timer = setTimeout(() => this.connect(), this.reconnectDelay);
+        timer.unref();
+        this.reconnectDelay = Math.min(this.reconnectDelay * 2, MAX_RECONNECT_DELAY_MS);
+    }
+
+    send(args, { subscribe = 0 } = {}) {
+        if (this.closing) {
+            return Promise.reject(new RedisError('Client is closed'));
+        }
+        return new Promise((resolve, reject) => {
+            const entry = { payload: encodeCommand(args), subscribe };
+            const timer = setTimeout(() => {
+                // A written command stays in `pending` so later replies still line up; its
+                // reply is dropped. A queued one is never sent.
+                this.outbox = this.outbox.filter(queued => queued !== entry);
+                entry.reject(new RedisError(`Command timed out after ${this.commandTimeoutMs}ms: ${args[0]}`));
+            }, this.commandTimeoutMs);
+
+            let settled = false;
+            const settle = fn => value => {
+                if (!settled) {
+                    settled = true;
+                    clearTimeout(timer);
+                    fn(value);
+                }
+            };
+            entry.resolve = settle(resolve);
+            entry.reject = settle(reject);
+
+            if (this.connected) {
+                this.pending.push(entry);
+                this.socket.write(entry.payload);
+            } else {
+                this.outbox.push(entry);
+            }
+        });
+    }
+
+    // command('HSET', 'key', 'field', 'value') -> reply (strings, numbers, arrays or null)
+    command(...args) {
+        return this.send(args);
+    }
+
+    // Puts this connection in subscriber mode; use a separate client for regular commands
+    subscribe(channel, listener) {
+        this.channels.set(channel, listener);
+        return this.send(['SUBSCRIBE', channel], { subscribe: 1 });
+    }
+
+    async quit() {
+        if (this.closing) {
+            return;
+        }
+        const reply = this.connected ? this.command('QUIT').catch(() => null) : null;
+        this.closing = true;
+        this.outbox.forEach(entry => entry.reject(new RedisError('Client is closed')));
+        this.outbox = [];
+        await reply;
+        this.socket.destroy();
+    }
+}
+
+module.exports = { RedisClient, RedisError, encodeCommand, parseReply };
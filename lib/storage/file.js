@@ -0,0 +1,86 @@
+// File-backed storage adapter
+// Keeps the working set in memory and writes a JSON snapshot to disk after every change.
+// Writes are coalesced and go through a temp file + rename so a crash never leaves a half-written file.
+
+const fs = require('fs');
+const path = require('path');
+const MemoryStore = require('./memory');
+const { createLogger } = require('../logger');
+
+class FileStore extends MemoryStore {
+    constructor({ filePath, flushDelay = 100, logger = createLogger() }) {
+        super();
+        this.name = 'file';
+        this.logger = logger;
+        this.filePath = path.resolve(filePath);
+        this.flushDelay = flushDelay;
+        this.flushTimer = null;
+        this.writing = Promise.resolve();
+
+        this.load();
+
+        // Last-chance synchronous flush on shutdown
+        process.on('exit', () => {
+            if (this.flushTimer) {
+                this.flushSync();
+            }
+        });
+    }
+
+    load() {
+        if (!fs.existsSync(this.filePath)) {
+            return;
+        }
+
+        const snapshot = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        for (const [name, entries] of Object.entries(snapshot.collections || {})) {
+            this.collections.set(name, new Map(entries));
+        }
+    }
+
+    serialize() {
+        const collections = {};
+        for (const [name, map] of this.collections.entries()) {
+            collections[name] = Array.from(map.entries());
+        }
+        return JSON.stringify({ version: 1, savedAt: Date.now(), collections });
+    }
+
+    changed() {
+        if (this.flushTimer) {
+            return;
+        }
+        this.flushTimer = setTimeout(() => {
+            this.flushTimer = null;
+            this.writing = this.writing
+                .then(() => this.flush())
+                .catch(error => this.logger.error('storage.flush_failed', { error, filePath: this.filePath }));
+        }, this.flushDelay);
+        this.flushTimer.unref();
+    }
+
+    async flush() {
+        const tmpPath = `${this.filePath}.tmp`;
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.writeFile(tmpPath, this.serialize());
+        await fs.promises.rename(tmpPath, this.filePath);
+    }
+
+    flushSync() {
+        const tmpPath = `${this.filePath}.tmp`;
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.writeFileSync(tmpPath, this.serialize());
+        fs.renameSync(tmpPath, this.filePath);
+    }
+
+    async close() {
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+        }
+        await this.writing;
+        await this.flush();
+    }
+}
+
+module.exports = FileStore;
@@ -0,0 +1,39 @@
+// Storage backend selection
+// STORAGE_ADAPTER=memory (default) | file | redis
+// STORAGE_FILE=path to the JSON snapshot used by the file adapter
+// REDIS_URL=redis[s]://[user:password@]host:port[/db] for the redis adapter (default redis://127.0.0.1:6379)
+// REDIS_PREFIX=key prefix for the redis adapter (default securechat:)
+// REDIS_COMMAND_TIMEOUT_MS=how long a redis command may wait, connected or not (default 5000)
+//
+// memory and file keep state inside one process; run several instances only with redis.
+
+const os = require('os');
+const path = require('path');
+const MemoryStore = require('./memory');
+const FileStore = require('./file');
+const RedisStore = require('./redis');
+
+function createStore(options = {}) {
+    const adapter = (options.adapter || process.env.STORAGE_ADAPTER || 'memory').toLowerCase();
+
+    switch (adapter) {
+        case 'memory':
+            return new MemoryStore();
+        case 'file':
+            return new FileStore({
+                filePath: options.filePath || process.env.STORAGE_FILE || path.join(os.tmpdir(), 'securechat-store.json'),
+                logger: options.logger
+            });
+        case 'redis':
+            return new RedisStore({
+                url: options.url || process.env.REDIS_URL,
+                prefix: options.prefix || process.env.REDIS_PREFIX,
+                commandTimeoutMs: options.commandTimeoutMs || parseInt(process.env.REDIS_COMMAND_TIMEOUT_MS, 10) || undefined,
+                logger: options.logger
+            });
+        default:
+            throw new Error(`Unknown storage adapter: ${adapter}`);
+    }
+}
+
+module.exports = { createStore, MemoryStore, FileStore, RedisStore };
@@ -0,0 +1,71 @@
+// In-memory storage adapter (default)
+// Every collection is a Map of key -> value, exactly like the original module-level Maps.
+// State is lost on restart or cold start.
+
+class MemoryStore {
+    constructor() {
+        this.name = 'memory';
+        this.collections = new Map(); // collection -> Map(key -> value)
+    }
+
+    collection(name) {
+        if (!this.collections.has(name)) {
+            this.collections.set(name, new Map());
+        }
+        return this.collections.get(name);
+    }
+
+    async get(collection, key) {
+        return this.collection(collection).get(key);
+    }
+
+    async set(collection, key, value) {
+        this.collection(collection).set(key, value);
+        this.changed();
+        return value;
+    }
+
+    // Read-modify-write helper. The updater receives the current value (or undefined)
+    // and returns the new one; returning undefined deletes the key.
+    async update(collection, key, updater) {
+        const current = this.collection(collection).get(key);
+        const next = await updater(current);
+        if (next === undefined) {
+            await this.delete(collection, key);
+        } else {
+            await this.set(collection, key, next);
+        }
+        return next;
+    }
+
+    async delete(collection, key) {
+        const deleted = this.collection(collection).delete(key);
+        if (deleted) {
+            this.changed();
+        }
+        return deleted;
+    }
+
+    async has(collection, key) {
+        return this.collection(collection).has(key);
+    }
+
+    async keys(collection) {
+        return Array.from(this.collection(collection).keys());
+    }
+
+    async entries(collection) {
+        return Array.from(this.collection(collection).entries());
+    }
+
+    async size(collection) {
+        return this.collection(collection).size;
+    }
+
+    // Hook for persistent subclasses
+    changed() {}
+
+    async close() {}
+}
+
+module.exports = MemoryStore;
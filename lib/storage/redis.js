@@ -0,0 +1,104 @@
+// Redis-backed storage adapter
+// Shared state for running several server instances behind a load balancer. Each collection
+// is one Redis hash (`${prefix}${collection}`) of key -> JSON value. update() holds a
+// short-lived per-key lock (SET NX PX) so read-modify-write cycles from different instances
+// never interleave.
+
+const crypto = require('crypto');
+const { RedisClient } = require('../redis');
+const { createLogger } = require('../logger');
+
+// Deletes the lock only if we still own it
+const RELEASE_LOCK_SCRIPT = "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end";
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+class RedisStore {
+    constructor({ url, prefix = 'securechat:', lockTimeoutMs = 5000, commandTimeoutMs, client, logger = createLogger() } = {}) {
+        this.name = 'redis';
+        this.shared = true; // state is visible to every instance using the same server
+        this.prefix = prefix;
+        this.lockTimeoutMs = lockTimeoutMs;
+        this.client = client || new RedisClient(url, { commandTimeoutMs });
+        this.client.on('error', error => logger.error('Redis storage error', { error }));
+    }
+
+    hashKey(collection) {
+        return `${this.prefix}${collection}`;
+    }
+
+    async get(collection, key) {
+        const raw = await this.client.command('HGET', this.hashKey(collection), key);
+        return raw === null ? undefined : JSON.parse(raw);
+    }
+
+    async set(collection, key, value) {
+        await this.client.command('HSET', this.hashKey(collection), key, JSON.stringify(value));
+        return value;
+    }
+
+    // Same contract as MemoryStore#update, serialized across instances
+    async update(collection, key, updater) {
+        return this.withLock(collection, key, async () => {
+            const next = await updater(await this.get(collection, key));
+            if (next === undefined) {
+                await this.delete(collection, key);
+            } else {
+                await this.set(collection, key, next);
+            }
+            return next;
+        });
+    }
+
+    async withLock(collection, key, fn) {
+        const lockKey = `${this.prefix}lock:${collection}:${key}`;
+        const token = crypto.randomBytes(16).toString('hex');
+        const deadline = Date.now() + this.lockTimeoutMs;
+
+        while (await this.client.command('SET', lockKey, token, 'NX', 'PX', this.lockTimeoutMs) !== 'OK') {
+            if (Date.now() > deadline) {
+                throw new Error(`Timed out waiting for lock on ${collection}/${key}`);
+            }
+            await sleep(5 + Math.floor(Math.random() * 20));
+        }
+
+        try {
+            return await fn();
+        } finally {
+            await this.client.command('EVAL', RELEASE_LOCK_SCRIPT, 1, lockKey, token);
+        }
+    }
+
+    async delete(collection, key) {
+        return (await this.client.command('HDEL', this.hashKey(collection), key)) === 1;
+    }
+
+    async has(collection, key) {
+        return (await this.client.command('HEXISTS', this.hashKey(collection), key)) === 1;
+    }
+
+    async keys(collection) {
+        return this.client.command('HKEYS', this.hashKey(collection));
+    }
+
+    async entries(collection) {
+        const flat = await this.client.command('HGETALL', this.hashKey(collection));
+        const entries = [];
+        for (let i = 0; i < flat.length; i += 2) {
+            entries.push([flat[i], JSON.parse(flat[i + 1])]);
+        }
+        return entries;
+    }
+
+    async size(collection) {
+        return this.client.command('HLEN', this.hashKey(collection));
+    }
+
+    async close() {
+        await this.client.quit();
+    }
+}
+
+module.exports = RedisStore;
@@ -0,0 +1,202 @@
+// Declarative request validation
+// Each route declares the fields it reads from body, params and query:
+//
+//   validate({ body: { roomId: field.string({ max: 64 }), expirationTime: field.integer({ optional: true }) } })
+//
+// The middleware rejects the request with 400 { error, code, field } before the handler runs.
+// Integer and boolean fields in params/query are coerced from their string form in place.
+
+// Builders for field specs. Every field is required unless { optional: true }.
+const field = {
+    string: (options = {}) => ({ type: 'string', ...options }),
+    integer: (options = {}) => ({ type: 'integer', ...options }),
+    boolean: (options = {}) => ({ type: 'boolean', ...options }),
+    // Plain object. `values` validates every value, `maxKeys` caps the key count.
+    object: (options = {}) => ({ type: 'object', ...options }),
+    array: (options = {}) => ({ type: 'array', ...options }),
+    // Any JSON value (string, object, ...) bounded by its serialized size, e.g. ciphertext blobs
+    json: (options = {}) => ({ type: 'json', ...options }),
+    // Accepts the first of several specs that matches, e.g. ids that may be numbers or strings
+    oneOf: (specs, options = {}) => ({ type: 'oneOf', specs, ...options })
+};
+
+function failure(code, name, message) {
+    return { error: { code, field: name, message } };
+}
+
+function byteLength(value) {
+    return Buffer.byteLength(typeof value === 'string' ? value : JSON.stringify(value));
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Returns { value } on success or { error: { code, field, message } }
+function checkField(value, spec, name, { coerce = false } = {}) {
+    if (value === undefined || value === null || value === '') {
+        return spec.optional
+            ? { value: undefined }
+            : failure('MISSING_FIELD', name, `${name} is required`);
+    }
+
+    switch (spec.type) {
+        case 'string': {
+            if (typeof value !== 'string') {
+                return failure('INVALID_TYPE', name, `${name} must be a string`);
+            }
+            if (spec.min !== undefined && value.length < spec.min) {
+                return failure('TOO_SHORT', name, `${name} must be at least ${spec.min} characters`);
+            }
+            if (spec.max !== undefined && value.length > spec.max) {
+                return failure('TOO_LONG', name, `${name} must be at most ${spec.max} characters`);
+            }
+            if (spec.pattern && !spec.pattern.test(value)) {
+                return failure('INVALID_FORMAT', name, `${name} has an invalid format`);
+            }
+            if (spec.enum && !spec.enum.includes(value)) {
+                return failure('INVALID_VALUE', name, `${name} must be one of: ${spec.enum.join(', ')}`);
+            }
+            return { value };
+        }
+
+        case 'integer': {
+            const parsed = coerce && typeof value === 'string' && /^-?\d+$/.test(value) ? Number(value) : value;
+            if (!Number.isSafeInteger(parsed)) {
+                return failure('INVALID_TYPE', name, `${name} must be an integer`);
+            }
+            if ((spec.min !== undefined && parsed < spec.min) || (spec.max !== undefined && parsed > spec.max)) {
+                const bounds = [
+                    spec.min !== undefined ? `>= ${spec.min}` : null,
+                    spec.max !== undefined ? `<= ${spec.max}` : null
+                ].filter(Boolean).join(' and ');
+                return failure('OUT_OF_RANGE', name, `${name} must be ${bounds}`);
+            }
+            return { value: parsed };
+        }
+
+        case 'boolean': {
+            if (coerce && (value === 'true' || value === 'false')) {
+                return { value: value === 'true' };
+            }
+            if (typeof value !== 'boolean') {
+                return failure('INVALID_TYPE', name, `${name} must be a boolean`);
+            }
+            return { value };
+        }
+
+        case 'object': {
+            if (!isPlainObject(value)) {
+                return failure('INVALID_TYPE', name, `${name} must be an object`);
+            }
+            const keys = Object.keys(value);
+            if (spec.minKeys !== undefined && keys.length < spec.minKeys) {
+                return failure('TOO_SHORT', name, `${name} must have at least ${spec.minKeys} entries`);
+            }
+            if (spec.maxKeys !== undefined && keys.length > spec.maxKeys) {
+                return failure('TOO_MANY_ITEMS', name, `${name} must have at most ${spec.maxKeys} entries`);
+            }
+            for (const key of keys) {
+                if (spec.keys) {
+                    const keyResult = checkField(key, spec.keys, `${name} key`);
+                    if (keyResult.error) {
+                        return keyResult;
+                    }
+                }
+                if (spec.values) {
+                    const result = checkField(value[key], spec.values, `${name}.${key}`);
+                    if (result.error) {
+                        return result;
+                    }
+                }
+            }
+            if (spec.fields) {
+                const nested = checkFields(value, spec.fields, { prefix: `${name}.` });
+                if (nested.error) {
+                    return nested;
+                }
+            }
+            if (spec.maxBytes !== undefined && byteLength(value) > spec.maxBytes) {
+                return failure('TOO_LARGE', name, `${name} must be at most ${spec.maxBytes} bytes`);
+            }
+            return { value };
+        }
+
+        case 'array': {
+            if (!Array.isArray(value)) {
+                return failure('INVALID_TYPE', name, `${name} must be an array`);
+            }
+            if (spec.maxItems !== undefined && value.length > spec.maxItems) {
+                return failure('TOO_MANY_ITEMS', name, `${name} must have at most ${spec.maxItems} items`);
+            }
+            if (spec.items) {
+                for (let i = 0; i < value.length; i++) {
+                    const result = checkField(value[i], spec.items, `${name}[${i}]`);
+                    if (result.error) {
+                        return result;
+                    }
+                }
+            }
+            return { value };
+        }
+
+        case 'oneOf': {
+            for (const candidate of spec.specs) {
+                const result = checkField(value, candidate, name, { coerce });
+                if (!result.error) {
+                    return result;
+                }
+            }
+            return failure('INVALID_TYPE', name, `${name} must be one of: ${spec.specs.map(candidate => candidate.type).join(', ')}`);
+        }
+
+        case 'json': {
+            if (spec.maxBytes !== undefined && byteLength(value) > spec.maxBytes) {
+                return failure('TOO_LARGE', name, `${name} must be at most ${spec.maxBytes} bytes`);
+            }
+            return { value };
+        }
+
+        default:
+            throw new Error(`Unknown field type: ${spec.type}`);
+    }
+}
+
+function checkFields(source, fields, { coerce = false, prefix = '' } = {}) {
+    const values = {};
+    for (const [name, spec] of Object.entries(fields)) {
+        const result = checkField(source ? source[name] : undefined, spec, `${prefix}${name}`, { coerce });
+        if (result.error) {
+            return result;
+        }
+        values[name] = result.value;
+    }
+    return { values };
+}
+
+function validate(schema) {
+    return (req, res, next) => {
+        for (const location of ['params', 'query', 'body']) {
+            if (!schema[location]) {
+                continue;
+            }
+
+            const coerce = location !== 'body';
+            const { values, error } = checkFields(req[location], schema[location], { coerce });
+            if (error) {
+                return res.status(400).json({ error: error.message, code: error.code, field: error.field });
+            }
+
+            if (coerce) {
+                for (const [name, value] of Object.entries(values)) {
+                    if (value !== undefined) {
+                        req[location][name] = value;
+                    }
+                }
+            }
+        }
+        next();
+    };
+}
+
+module.exports = { field, validate, checkField };
@@ -1,761 +1,6008 @@
 // File: api/index.js (oder server.js für Vercel)
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
 const rateLimit = require('express-rate-limit');
+const { createStore } = require('./lib/storage');
+const { RoomEventBus } = require('./lib/events');
+const { createPubSub } = require('./lib/pubsub');
+const auth = require('./lib/auth');
+const { field, validate, checkField } = require('./lib/validation');
+const { MetricsRegistry } = require('./lib/metrics');
+const { createLogger } = require('./lib/logger');
+const { PushDispatcher, WebhookTransport, WebPushTransport, generateVapidKeys, checkPublicEndpoint } = require('./lib/push');
+const { sealArchive, openArchive, ArchiveError } = require('./lib/archive');
 
 const app = express();
 
+// ===== OBSERVABILITY =====
+// JSON logs on stdout/stderr (LOG_LEVEL, LOG_REDACT_IDS) and Prometheus metrics at /metrics.
+// /metrics is open to anyone unless METRICS_TOKEN is set to require `Authorization: Bearer <token>`
+// for scrapes; /stats needs the admin token (ADMIN_SECRET).
+const logger = createLogger();
+const metrics = new MetricsRegistry({ prefix: 'securechat_' });
+const METRICS_TOKEN = process.env.METRICS_TOKEN || null;
+
+const httpRequests = metrics.counter({ name: 'http_requests_total', help: 'HTTP requests by method, route and status' });
+const httpDuration = metrics.histogram({ name: 'http_request_duration_seconds', help: 'HTTP request latency by method and route' });
+const rateLimitRejections = metrics.counter({ name: 'rate_limit_rejections_total', help: 'Requests rejected by a rate limiter' });
+const messagesAccepted = metrics.counter({ name: 'messages_total', help: 'Messages accepted by kind' });
+const cleanupRuns = metrics.counter({ name: 'cleanup_runs_total', help: 'Cleanup job runs by trigger and result' });
+const cleanupRemoved = metrics.counter({ name: 'cleanup_removed_total', help: 'Items removed by cleanup jobs by kind' });
+const cleanupDuration = metrics.histogram({ name: 'cleanup_duration_seconds', help: 'Cleanup job duration' });
+const pushNotifications = metrics.counter({ name: 'push_notifications_total', help: 'Push wake-ups by transport and result' });
+const cleanupLastSuccess = metrics.gauge({ name: 'cleanup_last_success_timestamp_seconds', help: 'Unix time of the last successful cleanup run' });
+metrics.gauge({ name: 'active_rooms', help: 'Rooms currently stored', collect: () => store.size('rooms') });
+metrics.gauge({ name: 'room_members', help: 'Memberships across all rooms', collect: () => countEntries('roomUsers', users => users.length) });
+metrics.gauge({ name: 'registered_users', help: 'Registered userIds', collect: () => store.size('accounts') });
+metrics.gauge({ name: 'queued_envelopes', help: 'E2EE envelopes waiting for their recipient', collect: () => countEntries('e2eeMessages', msgs => msgs.length) });
+metrics.gauge({ name: 'event_streams', help: 'Open SSE event streams', collect: () => activeEventStreams });
+
 // ===== MIDDLEWARE =====
 app.use(cors({
     origin: '*',
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Chunk-SHA256', 'Range', 'X-Request-Id'],
+    exposedHeaders: ['X-Sync-Cursor', 'X-Has-More', 'Accept-Ranges', 'Content-Range', 'Content-Length', 'X-Request-Id']
 }));
 
+// Request ids (a well-formed incoming X-Request-Id is kept), a per-request logger and HTTP metrics.
+// Routes are labelled by their pattern, never by the concrete path, so ids stay out of logs and metrics.
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+app.use((req, res, next) => {
+    const incomingId = req.get('X-Request-Id');
+    req.id = incomingId && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : crypto.randomUUID();
+    req.log = logger.child({ requestId: req.id });
+    res.set('X-Request-Id', req.id);
+    serverStats.totalRequests++;
+    
+    const stopTimer = httpDuration.startTimer({ method: req.method });
+    let recorded = false;
+    const record = () => {
+        if (recorded) {
+            return;
+        }
+        recorded = true;
+        const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+        const seconds = stopTimer({ route });
+        httpRequests.inc({ method: req.method, route, status: res.statusCode });
+        req.log.info('Request completed', {
+            method: req.method,
+            route,
+            status: res.statusCode,
+            durationMs: Math.round(seconds * 1000)
+        });
+    };
+    res.on('finish', record);
+    res.on('close', record);
+    next();
+});
+
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Rate limiting
-const limiter = rateLimit({
-    windowMs: 1 * 60 * 1000, // 1 minute
-    max: 100, // 100 requests per minute per IP
-    message: { error: 'Too many requests, please try again later' },
-    standardHeaders: true,
-    legacyHeaders: false
-});
-app.use(limiter);
+// Layered fixed-window limits, requests per RATE_LIMIT_WINDOW_MS (0 disables a limit):
+//   ip        every request, per client IP; a coarse backstop kept high enough for shared NATs
+//   send      message sends, edits, deletes and receipts, per userId (per IP for sealed sends)
+//   roomSend  message sends per room, across all senders
+//   fetch     message and receipt reads and acks, per userId
+//   keys      publishing keys and fetching prekey bundles (which consume one-time prekeys), per userId
+// Thresholds come from RATE_LIMIT_<NAME>_MAX and can be changed at runtime through rateLimits.
+// With a shared storage adapter (redis) the counters are shared too, so a client spreading
+// requests over several instances still gets one budget.
+const RATE_LIMIT_WINDOW_MS = parseInt(process.env.RATE_LIMIT_WINDOW_MS, 10) || 60 * 1000;
 
-// ===== IN-MEMORY STORAGE =====
-// In production, use a proper database (MongoDB, PostgreSQL, etc.)
+function limitFromEnv(name, fallback) {
+    const value = process.env[name];
+    return value !== undefined && value !== '' ? Math.max(parseInt(value, 10) || 0, 0) : fallback;
+}
 
-// Legacy room-based storage
-const rooms = new Map(); // roomId -> { hostId, timestamp, e2eeEnabled }
-const messages = new Map(); // roomId -> [message objects]
-const roomKeys = new Map(); // roomId -> encryptedKey
-const receipts = new Map(); // roomId -> [receipt objects]
+const rateLimits = {
+    ip: limitFromEnv('RATE_LIMIT_IP_MAX', 300),
+    send: limitFromEnv('RATE_LIMIT_SEND_MAX', 60),
+    roomSend: limitFromEnv('RATE_LIMIT_ROOM_SEND_MAX', 300),
+    fetch: limitFromEnv('RATE_LIMIT_FETCH_MAX', 120),
+    keys: limitFromEnv('RATE_LIMIT_KEYS_MAX', 20)
+};
+
+// Storage quotas checked before a message or attachment is accepted (0 disables)
+const storageQuotas = {
+    queuedEnvelopesPerRecipient: limitFromEnv('QUOTA_QUEUED_ENVELOPES', 1000),
+    roomBytes: limitFromEnv('QUOTA_ROOM_BYTES', 100 * 1024 * 1024) // 100 MB
+};
+const QUOTA_RETRY_AFTER_SECONDS = 60; // queues drain as recipients fetch and ack
+
+// Every limit answers 429 { error, code, limit, retryAfter } plus a Retry-After header
+function rejectOverLimit(req, res, { error, code, limit, retryAfter, field }) {
+    rateLimitRejections.inc({ limiter: limit });
+    req.log.warn('Limit exceeded', { limit });
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({ error, code, limit, retryAfter, ...(field ? { field } : {}) });
+}
+
+// express-rate-limit store that counts in the storage adapter when it is shared between
+// instances and in process memory otherwise. Entries: rateLimits `${limiter}:${key}` -> { hits, resetAt }
+class StorageRateLimitStore {
+    constructor(limiter) {
+        this.prefix = `${limiter}:`;
+        this.localKeys = true; // keys are namespaced per limiter
+        this.local = new rateLimit.MemoryStore();
+    }
+    
+    init(options) {
+        this.windowMs = options.windowMs;
+        this.local.init(options);
+    }
+    
+    async increment(key) {
+        if (!store.shared) {
+            return this.local.increment(key);
+        }
+        const now = Date.now();
+        const entry = await store.update('rateLimits', `${this.prefix}${key}`, current =>
+            current && current.resetAt > now
+                ? { hits: current.hits + 1, resetAt: current.resetAt }
+                : { hits: 1, resetAt: now + this.windowMs }
+        );
+        return { totalHits: entry.hits, resetTime: new Date(entry.resetAt) };
+    }
+    
+    async decrement(key) {
+        if (!store.shared) {
+            return this.local.decrement(key);
+        }
+        await store.update('rateLimits', `${this.prefix}${key}`, current =>
+            current ? { ...current, hits: Math.max(current.hits - 1, 0) } : undefined
+        );
+    }
+    
+    async resetKey(key) {
+        if (!store.shared) {
+            return this.local.resetKey(key);
+        }
+        await store.delete('rateLimits', `${this.prefix}${key}`);
+    }
+}
+
+function createLimiter(name, keyGenerator, { skip = () => false, ...options } = {}) {
+    return rateLimit({
+        windowMs: RATE_LIMIT_WINDOW_MS,
+        store: new StorageRateLimitStore(name),
+        max: () => rateLimits[name],
+        skip: req => !rateLimits[name] || skip(req),
+        keyGenerator,
+        handler: (req, res) => rejectOverLimit(req, res, {
+            error: 'Too many requests, please try again later',
+            code: 'RATE_LIMITED',
+            limit: name,
+            retryAfter: Math.max(Math.ceil((req.rateLimit.resetTime - Date.now()) / 1000), 1)
+        }),
+        legacyHeaders: false,
+        ...options
+    });
+}
+
+// Run after authentication so req.userId is known
+const byIdentity = req => req.userId ? `user:${req.userId}` : `ip:${req.ip}`;
+const byRoom = req => `room:${normalizeRoomId(req.body.roomId || req.params.roomId)}`;
+
+app.use(createLimiter('ip', req => req.ip, {
+    skip: req => req.path === '/metrics', // scrapes must not eat into client budgets
+    standardHeaders: true
+}));
 
+const limits = {
+    send: [createLimiter('send', byIdentity), createLimiter('roomSend', byRoom)],
+    fetch: createLimiter('fetch', byIdentity),
+    keys: createLimiter('keys', byIdentity)
+};
+
+// ===== STORAGE =====
+// All state goes through the storage adapter (see lib/storage), selected by STORAGE_ADAPTER.
+// The default adapter keeps everything in memory; use 'file' to survive restarts and 'redis'
+// to share state between several instances behind a load balancer (see DEPLOYMENT below).
+//
+// Collections:
+// Legacy room-based storage
+//   rooms          roomId -> { hostId, timestamp, e2eeEnabled, passwordHash, inviteOnly, bannedUsers,
+//                             lastActivityAt, expiresAt, upgradedAt, messagePolicy, importedAt }
+//                  (e2eeEnabled rooms refuse /send, legacy edits and /rooms/:roomId/key)
+//                  direct conversations add { direct: true, participants, requestedBy, status, acceptedAt }
+//   roomInvites    roomId -> [{ codeHash, createdBy, expiresAt, maxUses, uses }]
+//   messages       roomId -> [message objects]
+//   roomKeys       roomId -> { encryptedKey, timestamp }
+//   receipts       roomId -> [receipt objects]
 // E2EE storage
-const userPublicKeys = new Map(); // roomId -> { userId -> publicKey }
-const roomUsers = new Map(); // roomId -> Set of userIds
-const e2eeMessages = new Map(); // roomId -> [e2ee message objects]
+//   userPublicKeys roomId -> { userId -> { publicKey, fingerprint, version, timestamp } }
+//   publicKeyHistory roomId -> { userId -> [every published key record, oldest first] }
+//   roomUsers      roomId -> [userIds]
+//   e2eeMessages   roomId -> [e2ee message objects]
+//                  (scheduled envelopes carry deliverAt and scheduled: true until released)
+//   roomSequences  roomId -> last E2EE sequence number handed out
+//   e2eeMessageIndex roomId -> { messageId -> { senderId, recipientIds, recipientDevices, timestamp, expirationTime, deliverAt } }
+//                  (recipientDevices: recipientId -> deviceIds, for recipients addressed per device)
+//                  (outlives acked envelopes so edits and deletes can still reach every recipient)
+// Attachments (client-encrypted blobs)
+//   attachments      attachmentId -> { roomId, uploaderId, size, sha256, chunkSize, totalChunks,
+//                                      receivedChunks, status, createdAt, expirationTime, messageIds }
+//   attachmentChunks `${attachmentId}:${index}` -> base64 chunk data
+//   roomAttachments  roomId -> [attachmentIds] (so quotas and purges never scan every attachment)
+//   prekeyBundles  roomId -> { userId -> { identityKey, signedPrekey, oneTimePrekeys, updatedAt } }
+// Presence
+//   presence       roomId -> { userId -> { status, lastSeen, hideLastSeen } }
+// Sealed sender
+//   deliveryTokens roomId -> { userId -> { tokenHash, createdAt } }
+//                  (sealed envelopes in e2eeMessages carry no senderId, timestamp or index entry)
+// Group keys (sender-key / MLS-style epochs)
+//   groupEpochs    roomId -> { epoch, members, reason, changedAt,
+//                              packages: { recipientId -> { publisherId -> { encryptedPackage, timestamp } } } }
+//   groupMessages  roomId -> [{ id, seq, senderId, epoch, ciphertext, recipientIds, timestamp, expirationTime }]
+// Delivery state (sent -> delivered -> read, advanced by receipts and fetches)
+//   deliveryStates roomId -> { messageId -> { senderId, sentAt, expirationTime,
+//                                             recipients: { recipientId -> { state, deliveredAt, readAt } } } }
+// Encryption policy audit (metadata only: which path each message took, never content)
+//   messageAudit   roomId -> { counts: { accepted: { mode -> n }, rejected: { mode -> n } },
+//                              entries: [{ messageId, mode, senderId, outcome, timestamp }] }
+// Devices
+//   deviceKeys     roomId -> { userId -> { deviceId -> { publicKey, fingerprint, version, timestamp } } }
+//                  (envelopes addressed to one device carry recipientDeviceId in e2eeMessages)
+// Server-wide
+//   accounts       userId -> { userId, credentialHash, createdAt }
+//   devices        userId -> { deviceId -> { deviceId, name, createdAt } }
+//   pushSubscriptions userId -> { subscriptionId -> { subscriptionId, userId, type, endpoint, secret, deviceId, createdAt } }
+//   pushSettings   userId -> { muted, mutedUntil, mutedRooms }
+//   directConversations userId -> { peerId -> roomId }
+//   directBlocks   userId -> [userIds whose message requests are refused]
+//   serverConfig   'authSecret' -> generated token signing secret, 'vapidKeys' -> generated Web Push key pair,
+//                  'directSecret' -> generated key deriving direct conversation room ids,
+//                  'archiveSecret' -> generated key signing room exports (unless ARCHIVE_SECRET is set),
+//                  'settings' -> runtime overrides of rateLimits, storageQuotas and retention
+//   serverBans     userId -> { userId, reason, bannedAt, expiresAt }
+//   adminAudit     'entries' -> [{ id, action, details, requestId, ip, timestamp }] (last ADMIN_AUDIT_LIMIT)
+//   rateLimits     `${limiter}:${key}` -> { hits, resetAt } (shared adapters only)
+//
+// DEPLOYMENT
+// Instances are interchangeable once they share storage and pub/sub: every read-modify-write
+// goes through store.update (serialized per key, across instances with redis) and events are
+// fanned out through the pub/sub adapter (PUBSUB_ADAPTER, redis by default with redis storage),
+// so an SSE stream on one instance sees messages sent through another. No sticky sessions needed.
+// Set AUTH_SECRET on every instance, or let the first one generate it into storage.
+// Process-local by design: SSE connections, typing timers, serverStats and the cleanup timer
+// (cleanup is idempotent, so running it on every instance is harmless).
+const store = createStore({ logger });
+
+// Real-time fan-out to connected SSE clients
+const eventBus = new RoomEventBus({
+    pubsub: createPubSub({ logger }),
+    onError: error => logger.error('Event publish error', { error })
+});
+const SSE_HEARTBEAT_MS = 25 * 1000;
+const SSE_RETRY_MS = 3000;
+let activeEventStreams = 0;
+
+// Authentication
+// AUTH_SECRET signs bearer tokens. Without it a secret is generated once and kept in storage.
+const AUTH_TOKEN_TTL_MS = parseInt(process.env.AUTH_TOKEN_TTL_MS, 10) || 7 * 24 * 60 * 60 * 1000; // 7 days
+let tokenServicePromise = null;
+
+// Admin API (/admin/*, POST /cleanup): `Authorization: Bearer <ADMIN_SECRET>`. Without
+// ADMIN_SECRET every admin endpoint answers 503. Admin actions are kept in an audit log.
+const ADMIN_SECRET = process.env.ADMIN_SECRET || null;
+const ADMIN_AUDIT_LIMIT = 1000; // most recent entries kept
+
+// Room invites
+const INVITE_MAX_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
 
-// Health tracking
+// Room lifecycle and receipt retention (0 disables a limit). Defaults come from ROOM_TTL_MS,
+// ROOM_MAX_TTL_MS and ROOM_IDLE_TIMEOUT_MS and can be changed at runtime through the admin API.
+const retention = {
+    roomTtlMs: parseInt(process.env.ROOM_TTL_MS, 10) || 0, // default lifetime for new rooms
+    roomMaxTtlMs: parseInt(process.env.ROOM_MAX_TTL_MS, 10) || 90 * 24 * 60 * 60 * 1000, // 90 days
+    roomIdleTimeoutMs: parseInt(process.env.ROOM_IDLE_TIMEOUT_MS, 10) || 0, // opt-in
+    receiptsMs: 7 * 24 * 60 * 60 * 1000 // 7 days
+};
+// Reads by members count as activity, but lastActivityAt is rewritten at most this often
+const ROOM_TOUCH_INTERVAL_MS = 60 * 1000;
+
+// Every collection keyed by roomId; purging a room deletes its entry from each of these
+const ROOM_COLLECTIONS = [
+    'rooms', 'messages', 'roomKeys', 'receipts', 'userPublicKeys', 'roomUsers', 'e2eeMessages',
+    'roomSequences', 'e2eeMessageIndex', 'roomInvites', 'prekeyBundles', 'publicKeyHistory', 'presence',
+    'deliveryTokens', 'groupEpochs', 'groupMessages', 'deliveryStates', 'deviceKeys', 'messageAudit',
+    'roomAttachments'
+];
+
+// Room archives (see lib/archive): the per-room collections an export carries. Invites, delivery
+// tokens, prekey bundles, presence and group epochs are single-use or tied to this instance and
+// start fresh after an import; attachment blobs are not included.
+const ROOM_EXPORT_COLLECTIONS = [
+    'rooms', 'roomUsers', 'roomKeys', 'userPublicKeys', 'publicKeyHistory', 'deviceKeys', 'messages',
+    'e2eeMessages', 'e2eeMessageIndex', 'groupMessages', 'roomSequences', 'deliveryStates', 'receipts'
+];
+const ARCHIVE_LIST_COLLECTIONS = new Set(['roomUsers', 'messages', 'e2eeMessages', 'groupMessages', 'receipts']);
+// Anyone can seal an archive naming themselves host, so exports are signed with a server key
+// (ARCHIVE_SECRET, shared between servers that should trust each other's archives; generated and
+// kept in storage otherwise). Archives without a valid signature bring back the room settings
+// (without password or bans), the room key and the importer's own keys only: no other members,
+// their keys or their messages.
+let archiveSecretPromise = null;
+
+// Attachments
+const ATTACHMENT_MAX_BYTES = parseInt(process.env.ATTACHMENT_MAX_BYTES, 10) || 50 * 1024 * 1024; // 50 MB
+const ATTACHMENT_DEFAULT_CHUNK_BYTES = 512 * 1024;
+const ATTACHMENT_MAX_CHUNK_BYTES = 4 * 1024 * 1024;
+const ATTACHMENT_UNREFERENCED_TTL_MS = 24 * 60 * 60 * 1000; // uploads nobody sends are dropped after 24h
+
+// Public key history kept per user per room
+const KEY_HISTORY_LIMIT = 50;
+
+// Prekey bundles (X3DH-style asynchronous session setup)
+const PREKEY_LOW_THRESHOLD = parseInt(process.env.PREKEY_LOW_THRESHOLD, 10) || 10;
+const PREKEY_MAX_STORED = 200; // one-time prekeys kept per user per room
+
+// Encryption policy audit
+const MESSAGE_AUDIT_LIMIT = 1000; // entries kept per room; counts cover every message
+
+// Message lifetime. A host-set room policy (see /rooms/:roomId/message-policy) narrows these;
+// requested expirationTimes are clamped into the room's range rather than rejected.
+const MESSAGE_DEFAULT_TTL_MS = 24 * 60 * 60 * 1000; // 24h
+const MESSAGE_MAX_TTL_MS = parseInt(process.env.MESSAGE_MAX_TTL_MS, 10) || 30 * 24 * 60 * 60 * 1000; // 30 days
+const MESSAGE_MAX_SCHEDULE_MS = 7 * 24 * 60 * 60 * 1000; // how far ahead deliverAt may lie
+
+// Devices (several clients under one userId, each with its own keys)
+const DEVICE_MAX_PER_USER = 10;
+
+// Direct conversations (one-to-one, outside of rooms)
+// Each pair of users gets one room with an id derived from the pair (see directRoomId); room ids
+// with this prefix cannot be created through /create-room.
+const DIRECT_ROOM_PREFIX = 'DM-';
+let directSecretPromise = null;
+
+// Push notifications (content-free wake-ups for recipients without a live connection)
+// VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY sign Web Push requests; without them a key pair is generated once and kept in storage.
+// PUSH_ALLOW_HTTP=true accepts plain http endpoints (local testing only).
+// Endpoints resolving to loopback, private, link-local or unique-local addresses are refused at
+// registration and again at send time; PUSH_ALLOW_PRIVATE_ENDPOINTS=true lifts that (local testing only).
+const PUSH_MAX_SUBSCRIPTIONS = 10; // per user
+const PUSH_COALESCE_MS = parseInt(process.env.PUSH_COALESCE_MS, 10) || 2000;
+const PUSH_ALLOW_HTTP = process.env.PUSH_ALLOW_HTTP === 'true';
+const PUSH_ALLOW_PRIVATE_ENDPOINTS = process.env.PUSH_ALLOW_PRIVATE_ENDPOINTS === 'true';
+const PUSH_VAPID_SUBJECT = process.env.VAPID_SUBJECT || 'mailto:push@localhost';
+let vapidKeysPromise = null;
+
+const pushDispatcher = new PushDispatcher({
+    transports: {
+        webpush: new WebPushTransport({ vapidKeys: () => getVapidKeys(), subject: PUSH_VAPID_SUBJECT, allowPrivateAddresses: PUSH_ALLOW_PRIVATE_ENDPOINTS }),
+        webhook: new WebhookTransport({ allowPrivateAddresses: PUSH_ALLOW_PRIVATE_ENDPOINTS })
+    },
+    coalesceMs: PUSH_COALESCE_MS,
+    maxAttempts: parseInt(process.env.PUSH_MAX_ATTEMPTS, 10) || 5,
+    retryBaseMs: parseInt(process.env.PUSH_RETRY_BASE_MS, 10) || 1000,
+    onGone: subscription => removePushSubscription(subscription.userId, subscription.subscriptionId).catch(error => {
+        logger.error('Push subscription removal error', { error });
+    }),
+    onResult: (transport, result) => pushNotifications.inc({ transport, result }),
+    onError: (error, subscription) => logger.warn('Push delivery failed', { error, transport: subscription.type })
+});
+
+// Presence and typing indicators
+const PRESENCE_TIMEOUT_MS = parseInt(process.env.PRESENCE_TIMEOUT_MS, 10) || 60 * 1000; // no heartbeat for this long reads as offline
+const TYPING_TTL_MS = 5 * 1000; // typing indicators lapse unless refreshed
+// `${roomId}:${userId}` -> lapse timer; typing state is never stored. Timers are per instance, so behind
+// a load balancer a refresh handled elsewhere can end in an early lapse that the next refresh corrects.
+const typingTimers = new Map();
+
+// Health tracking (per instance; storage-derived stats in collectStorageStats are global)
 const serverStats = {
     startTime: Date.now(),
     totalRequests: 0,
     totalRooms: 0,
-    totalUsers: 0,
     totalMessages: 0,
     totalE2EEMessages: 0
 };
 
 // ===== UTILITY FUNCTIONS =====
-function logRequest(req, action) {
-    serverStats.totalRequests++;
-    console.log(`[${new Date().toISOString()}] ${req.method} ${req.path} - ${action}`);
+// Remove list items failing keep(). The write re-reads the list under store.update so items
+// appended meanwhile (possibly by another instance) are not lost. Returns the number removed.
+async function pruneList(collection, key, keep) {
+    let removed = 0;
+    await store.update(collection, key, items => {
+        if (!items) {
+            return undefined;
+        }
+        const kept = items.filter(keep);
+        removed = items.length - kept.length;
+        return kept;
+    });
+    return removed;
+}
+
+// Same as pruneList for objects keyed by id; keep() receives each value
+async function pruneMap(collection, key, keep) {
+    let removed = 0;
+    await store.update(collection, key, map => {
+        if (!map) {
+            return undefined;
+        }
+        for (const [id, value] of Object.entries(map)) {
+            if (!keep(value)) {
+                delete map[id];
+                removed++;
+            }
+        }
+        return map;
+    });
+    return removed;
 }
 
-function cleanupExpiredMessages() {
+async function cleanupExpiredMessages() {
     const now = Date.now();
+    const isLive = msg => !msg.expirationTime || msg.expirationTime > now;
     let cleaned = 0;
     
-    // Clean legacy messages
-    for (const [roomId, roomMessages] of messages.entries()) {
-        const validMessages = roomMessages.filter(msg => 
-            !msg.expirationTime || msg.expirationTime > now
-        );
-        if (validMessages.length !== roomMessages.length) {
-            messages.set(roomId, validMessages);
-            cleaned += roomMessages.length - validMessages.length;
+    // Clean legacy and E2EE messages
+    for (const collection of ['messages', 'e2eeMessages']) {
+        for (const [roomId, roomMessages] of await store.entries(collection)) {
+            if (!roomMessages.every(isLive)) {
+                cleaned += await pruneList(collection, roomId, isLive);
+            }
         }
     }
     
-    // Clean E2EE messages
-    for (const [roomId, roomMessages] of e2eeMessages.entries()) {
-        const validMessages = roomMessages.filter(msg => 
-            !msg.expirationTime || msg.expirationTime > now
-        );
-        if (validMessages.length !== roomMessages.length) {
-            e2eeMessages.set(roomId, validMessages);
-            cleaned += roomMessages.length - validMessages.length;
+    // Clean group messages (one ciphertext per message, so they only leave on expiry)
+    for (const [roomId, roomMessages] of await store.entries('groupMessages')) {
+        if (!roomMessages.every(isLive)) {
+            cleaned += await pruneList('groupMessages', roomId, isLive);
+        }
+    }
+    
+    // Delivery state goes with the message it describes; so do index entries for E2EE messages
+    for (const collection of ['deliveryStates', 'e2eeMessageIndex']) {
+        for (const [roomId, map] of await store.entries(collection)) {
+            if (!Object.values(map).every(isLive)) {
+                await pruneMap(collection, roomId, isLive);
+            }
         }
     }
     
     if (cleaned > 0) {
-        console.log(`🧹 Cleaned up ${cleaned} expired messages`);
+        logger.debug('Expired messages cleaned', { cleaned });
     }
+    
+    return cleaned;
 }
 
-function generateMessageId() {
-    return `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+// Same as cleanupExpiredMessages for a single room, so reads prune what they are about to return
+// without sweeping every room (the periodic cleanup job does that)
+async function cleanupExpiredRoomMessages(roomId) {
+    const now = Date.now();
+    const isLive = msg => !msg.expirationTime || msg.expirationTime > now;
+    let cleaned = 0;
+    
+    for (const collection of ['messages', 'e2eeMessages', 'groupMessages']) {
+        const roomMessages = await store.get(collection, roomId);
+        if (roomMessages && !roomMessages.every(isLive)) {
+            cleaned += await pruneList(collection, roomId, isLive);
+        }
+    }
+    
+    for (const collection of ['deliveryStates', 'e2eeMessageIndex']) {
+        const map = await store.get(collection, roomId);
+        if (map && !Object.values(map).every(isLive)) {
+            await pruneMap(collection, roomId, isLive);
+        }
+    }
+    
+    return cleaned;
 }
 
-function normalizeRoomId(roomId) {
-    return roomId ? roomId.toString().toUpperCase().trim() : '';
+// Release scheduled envelopes that fell due without a timer (e.g. sent before a restart)
+async function releaseDueEnvelopes() {
+    const now = Date.now();
+    let released = 0;
+    
+    for (const [roomId, roomMessages] of await store.entries('e2eeMessages')) {
+        if (roomMessages.some(msg => msg.scheduled && msg.deliverAt <= now)) {
+            released += await releaseScheduledEnvelopes(roomId);
+        }
+    }
+    
+    return released;
 }
 
-// ===== HEALTH & STATUS ENDPOINTS =====
-app.get('/health', (req, res) => {
-    logRequest(req, 'Health check');
-    res.json({ 
-        status: 'healthy', 
-        timestamp: Date.now(),
-        uptime: Date.now() - serverStats.startTime
+const isArchiveObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isArchiveId = value => typeof value === 'string' && ID_PATTERN.test(value);
+
+// Archived collections must have the shape the rest of the server expects
+function isArchiveValueValid(collection, value) {
+    if (collection === 'roomSequences') {
+        return Number.isSafeInteger(value) && value >= 0;
+    }
+    if (ARCHIVE_LIST_COLLECTIONS.has(collection)) {
+        return Array.isArray(value) && value.every(item => 
+            collection === 'roomUsers' ? isArchiveId(item) : isArchiveObject(item)
+        );
+    }
+    if (collection === 'publicKeyHistory') {
+        return isArchiveObject(value) && Object.values(value).every(Array.isArray);
+    }
+    if (collection === 'userPublicKeys' || collection === 'deviceKeys') {
+        return isArchiveObject(value) && Object.values(value).every(isArchiveObject);
+    }
+    return isArchiveObject(value);
+}
+
+// Per-item rules for archived messages and their bookkeeping: `wellFormed` checks the fields the
+// server relies on (an item without expirationTime would never expire), `belongs` that the users
+// it names are in the room. Senders may also be former members, known from their key history.
+const ARCHIVE_ITEM_RULES = {
+    messages: {
+        wellFormed: msg => isArchiveId(msg.id) && isArchiveId(msg.senderId) && Number.isFinite(msg.expirationTime),
+        belongs: (msg, room) => room.known.has(msg.senderId)
+    },
+    e2eeMessages: {
+        wellFormed: msg => isArchiveId(msg.id) && isArchiveId(msg.recipientId) && 
+            Number.isFinite(msg.expirationTime) && (msg.sealed === true || isArchiveId(msg.senderId)),
+        belongs: (msg, room) => room.members.has(msg.recipientId) && (msg.sealed === true || room.known.has(msg.senderId))
+    },
+    groupMessages: {
+        wellFormed: msg => isArchiveId(msg.id) && isArchiveId(msg.senderId) && 
+            Array.isArray(msg.recipientIds) && Number.isFinite(msg.expirationTime),
+        belongs: (msg, room) => room.known.has(msg.senderId)
+    },
+    e2eeMessageIndex: {
+        wellFormed: entry => isArchiveId(entry.senderId) && Array.isArray(entry.recipientIds) && Number.isFinite(entry.expirationTime) && 
+            (entry.recipientDevices === undefined || (isArchiveObject(entry.recipientDevices) && 
+                Object.values(entry.recipientDevices).every(deviceIds => Array.isArray(deviceIds) && deviceIds.every(isArchiveId)))),
+        belongs: (entry, room) => room.known.has(entry.senderId)
+    },
+    deliveryStates: {
+        wellFormed: entry => isArchiveId(entry.senderId) && isArchiveObject(entry.recipients) && Number.isFinite(entry.expirationTime),
+        belongs: (entry, room) => room.known.has(entry.senderId)
+    },
+    receipts: {
+        wellFormed: receipt => isArchiveId(receipt.senderId) && isArchiveId(receipt.recipientId) && Number.isFinite(receipt.timestamp),
+        belongs: (receipt, room) => room.known.has(receipt.senderId) && room.known.has(receipt.recipientId)
+    }
+};
+
+// Check and clean one archived collection for the room's `members` and `known` users. Returns null
+// when an item is malformed; items naming users outside the room are left out and counted in
+// `dropped`. Expiry times are capped at MESSAGE_MAX_TTL_MS from now, like those of new messages.
+function sanitizeArchiveValue(collection, value, room, now) {
+    if (collection === 'userPublicKeys' || collection === 'deviceKeys') {
+        const kept = Object.entries(value).filter(([userId]) => room.members.has(userId));
+        return { value: Object.fromEntries(kept), dropped: Object.keys(value).length - kept.length };
+    }
+    
+    const rules = ARCHIVE_ITEM_RULES[collection];
+    if (!rules) {
+        return { value, dropped: 0 };
+    }
+    
+    const entries = Array.isArray(value) ? value.map(item => [null, item]) : Object.entries(value);
+    if (!entries.every(([, item]) => isArchiveObject(item) && rules.wellFormed(item))) {
+        return null;
+    }
+    
+    const kept = entries.filter(([, item]) => rules.belongs(item, room)).map(([key, item]) => {
+        const cleaned = { ...item };
+        if (item.expirationTime !== undefined) {
+            cleaned.expirationTime = Math.min(item.expirationTime, now + MESSAGE_MAX_TTL_MS);
+        }
+        if (item.recipientIds) {
+            cleaned.recipientIds = item.recipientIds.filter(userId => room.members.has(userId));
+        }
+        if (item.recipients) {
+            cleaned.recipients = Object.fromEntries(Object.entries(item.recipients).filter(([userId]) => room.members.has(userId)));
+        }
+        if (item.recipientDevices) {
+            cleaned.recipientDevices = Object.fromEntries(Object.entries(item.recipientDevices).filter(([userId]) => room.members.has(userId)));
+        }
+        return [key, cleaned];
     });
-});
+    return {
+        value: Array.isArray(value) ? kept.map(([, item]) => item) : Object.fromEntries(kept),
+        dropped: entries.length - kept.length
+    };
+}
 
-app.get('/status', (req, res) => {
-    logRequest(req, 'Status check');
-    res.json({ 
-        status: 'online', 
-        timestamp: Date.now(),
-        uptime: Date.now() - serverStats.startTime
+// What an archive without a valid signature may bring back (see archiveSecretPromise)
+function restrictArchiveToImporter(collections, userId) {
+    const ownEntry = map => (map && map[userId] !== undefined ? { [userId]: map[userId] } : undefined);
+    return {
+        rooms: collections.rooms,
+        roomKeys: collections.roomKeys,
+        roomSequences: collections.roomSequences,
+        roomUsers: [userId],
+        userPublicKeys: ownEntry(collections.userPublicKeys),
+        publicKeyHistory: ownEntry(collections.publicKeyHistory),
+        deviceKeys: ownEntry(collections.deviceKeys)
+    };
+}
+
+// An archived message policy, held to the rules of PUT /rooms/:roomId/message-policy; null when
+// it breaks them
+function importMessagePolicy(archived) {
+    const rules = schemas.updateMessagePolicy.body;
+    if (!isArchiveObject(archived) || Object.keys(rules).some(name => checkField(archived[name], rules[name], name).error)) {
+        return null;
+    }
+    const policy = describeMessagePolicy({
+        messagePolicy: Object.fromEntries(Object.keys(rules).filter(name => archived[name] !== undefined).map(name => [name, archived[name]]))
     });
-});
+    const consistent = policy.minTtlMs <= policy.maxTtlMs && 
+        policy.defaultTtlMs >= policy.minTtlMs && policy.defaultTtlMs <= policy.maxTtlMs;
+    return consistent ? policy : null;
+}
 
-app.get('/', (req, res) => {
-    logRequest(req, 'Root endpoint');
-    res.json({ 
-        message: 'SecureChat E2EE Server', 
-        version: '2.0.0',
-        timestamp: Date.now(),
-        stats: {
-            ...serverStats,
-            uptime: Date.now() - serverStats.startTime,
-            activeRooms: rooms.size,
-            totalUsers: Array.from(roomUsers.values()).reduce((acc, users) => acc + users.size, 0)
+// Leave out whatever has expired by `now`: messages, envelopes, their index and delivery state,
+// and receipts past retention. Applied on export and again on import.
+function pruneExpiredForArchive(collection, value, now) {
+    const isLive = item => !item.expirationTime || item.expirationTime > now;
+    switch (collection) {
+        case 'messages':
+        case 'e2eeMessages':
+        case 'groupMessages':
+            return value.filter(isLive);
+        case 'e2eeMessageIndex':
+        case 'deliveryStates':
+            return Object.fromEntries(Object.entries(value).filter(([, entry]) => isLive(entry)));
+        case 'receipts':
+            return value.filter(receipt => !retention.receiptsMs || receipt.timestamp > now - retention.receiptsMs);
+        default:
+            return value;
+    }
+}
+
+function countArchiveItems(value) {
+    return Array.isArray(value) ? value.length : Object.keys(value).length;
+}
+
+// Remove attachments whose referencing messages (or unreferenced upload window) have expired
+async function cleanupExpiredAttachments() {
+    const now = Date.now();
+    let cleaned = 0;
+    
+    for (const [attachmentId, attachment] of await store.entries('attachments')) {
+        if (attachment.expirationTime && attachment.expirationTime <= now) {
+            await deleteAttachment(attachmentId, attachment);
+            cleaned++;
         }
+    }
+    
+    if (cleaned > 0) {
+        logger.debug('Expired attachments cleaned', { cleaned });
+    }
+    
+    return cleaned;
+}
+
+async function deleteAttachment(attachmentId, attachment) {
+    for (let index = 0; index < attachment.totalChunks; index++) {
+        await store.delete('attachmentChunks', `${attachmentId}:${index}`);
+    }
+    await store.delete('attachments', attachmentId);
+    await store.update('roomAttachments', attachment.roomId, (attachmentIds = []) => {
+        const remaining = attachmentIds.filter(id => id !== attachmentId);
+        return remaining.length > 0 ? remaining : undefined;
     });
-});
+}
 
-app.get('/stats', (req, res) => {
-    logRequest(req, 'Stats request');
+// Delete every trace of a room, including its attachments
+async function purgeRoom(roomId, reason) {
+    const room = await store.get('rooms', roomId);
+    if (room && room.direct) {
+        const [first, second] = room.participants;
+        await unlinkDirectConversation(first, second);
+        await unlinkDirectConversation(second, first);
+    }
     
-    const stats = {
-        ...serverStats,
-        uptime: Date.now() - serverStats.startTime,
-        activeRooms: rooms.size,
-        totalUsers: Array.from(roomUsers.values()).reduce((acc, users) => acc + users.size, 0),
-        messagesInMemory: Array.from(messages.values()).reduce((acc, msgs) => acc + msgs.length, 0),
-        e2eeMessagesInMemory: Array.from(e2eeMessages.values()).reduce((acc, msgs) => acc + msgs.length, 0),
-        publicKeysStored: Array.from(userPublicKeys.values()).reduce((acc, keys) => acc + Object.keys(keys).length, 0)
-    };
+    for (const attachmentId of await store.get('roomAttachments', roomId) || []) {
+        const attachment = await store.get('attachments', attachmentId);
+        if (attachment) {
+            await deleteAttachment(attachmentId, attachment);
+        }
+    }
     
-    res.json(stats);
-});
+    for (const collection of ROOM_COLLECTIONS) {
+        await store.delete(collection, roomId);
+    }
+    
+    eventBus.publish(roomId, 'room-deleted', {
+        roomId,
+        reason,
+        timestamp: Date.now()
+    });
+    
+    logger.info('Room purged', { roomId, reason });
+}
 
-// ===== ROOM MANAGEMENT =====
-app.post('/create-room', (req, res) => {
+// Purge rooms past their fixed lifetime or idle for longer than retention.roomIdleTimeoutMs
+async function cleanupExpiredRooms() {
+    const now = Date.now();
+    let cleaned = 0;
+    
+    for (const [roomId, room] of await store.entries('rooms')) {
+        const lastActivityAt = room.lastActivityAt || room.timestamp;
+        if (room.expiresAt && room.expiresAt <= now) {
+            await purgeRoom(roomId, 'expired');
+            cleaned++;
+        } else if (retention.roomIdleTimeoutMs && lastActivityAt + retention.roomIdleTimeoutMs <= now) {
+            await purgeRoom(roomId, 'idle');
+            cleaned++;
+        }
+    }
+    
+    return cleaned;
+}
+
+// Receipts older than retention.receiptsMs (7 days). Only an explicit POST /cleanup prunes them,
+// as before the periodic job existed.
+async function cleanupOldReceipts() {
+    if (!retention.receiptsMs) {
+        return 0;
+    }
+    
+    const retainedSince = Date.now() - retention.receiptsMs;
+    const isRecent = receipt => receipt.timestamp > retainedSince;
+    let cleaned = 0;
+    
+    for (const [roomId, roomReceipts] of await store.entries('receipts')) {
+        if (!roomReceipts.every(isRecent)) {
+            cleaned += await pruneList('receipts', roomId, isRecent);
+        }
+    }
+    
+    return cleaned;
+}
+
+// Shared rate limit windows that have ended (see StorageRateLimitStore)
+async function cleanupExpiredRateLimits() {
+    const now = Date.now();
+    for (const [key, entry] of await store.entries('rateLimits')) {
+        if (entry.resetAt <= now) {
+            await store.update('rateLimits', key, current => current && current.resetAt > now ? current : undefined);
+        }
+    }
+}
+
+// Everything the periodic job does; also run by the admin-only POST /cleanup (trigger: 'periodic' or 'manual')
+async function runCleanupJob(trigger) {
+    const stopTimer = cleanupDuration.startTimer({ trigger });
     try {
-        logRequest(req, 'Create room');
+        const results = {
+            releasedEnvelopes: await releaseDueEnvelopes(),
+            cleanedMessages: await cleanupExpiredMessages(),
+            cleanedAttachments: await cleanupExpiredAttachments(),
+            cleanedRooms: await cleanupExpiredRooms(),
+            cleanedReceipts: trigger === 'manual' ? await cleanupOldReceipts() : 0
+        };
+        await cleanupExpiredRateLimits();
+        const seconds = stopTimer();
         
-        const { roomId, hostId, e2eeEnabled = false } = req.body;
+        cleanupRuns.inc({ trigger, result: 'success' });
+        cleanupRemoved.inc({ kind: 'messages' }, results.cleanedMessages);
+        cleanupRemoved.inc({ kind: 'attachments' }, results.cleanedAttachments);
+        cleanupRemoved.inc({ kind: 'rooms' }, results.cleanedRooms);
+        cleanupRemoved.inc({ kind: 'receipts' }, results.cleanedReceipts);
+        cleanupLastSuccess.set({}, Math.floor(Date.now() / 1000));
+        logger.info('Cleanup completed', { trigger, ...results, durationMs: Math.round(seconds * 1000) });
         
-        if (!roomId || !hostId) {
-            return res.status(400).json({ error: 'Missing roomId or hostId' });
+        return results;
+    } catch (error) {
+        stopTimer();
+        cleanupRuns.inc({ trigger, result: 'failure' });
+        throw error;
+    }
+}
+
+// Record activity so the room is not purged as idle
+async function touchRoom(roomId) {
+    await store.update('rooms', roomId, room => {
+        if (room) {
+            room.lastActivityAt = Date.now();
         }
-        
-        const normalizedRoomId = normalizeRoomId(roomId);
-        
-        // Create or update room
-        rooms.set(normalizedRoomId, {
-            hostId,
-            timestamp: Date.now(),
-            e2eeEnabled: Boolean(e2eeEnabled)
-        });
-        
-        // Initialize room storage
-        if (!messages.has(normalizedRoomId)) {
-            messages.set(normalizedRoomId, []);
+        return room;
+    });
+}
+
+// Activity that is not a send (fetches, acks, key uploads, receipts, open event streams)
+async function noteRoomActivity(roomId, room) {
+    room = room || await store.get('rooms', roomId);
+    if (room && Date.now() - (room.lastActivityAt || room.timestamp) >= ROOM_TOUCH_INTERVAL_MS) {
+        await touchRoom(roomId);
+    }
+}
+
+async function countEntries(collection, measure) {
+    let total = 0;
+    for (const [, value] of await store.entries(collection)) {
+        total += measure(value);
+    }
+    return total;
+}
+
+async function collectStorageStats() {
+    return {
+        activeRooms: await store.size('rooms'),
+        totalUsers: await countEntries('roomUsers', users => users.length),
+        registeredUsers: await store.size('accounts'),
+        messagesInMemory: await countEntries('messages', msgs => msgs.length),
+        e2eeMessagesInMemory: await countEntries('e2eeMessages', msgs => msgs.length),
+        publicKeysStored: await countEntries('userPublicKeys', keys => Object.keys(keys).length),
+        attachmentsStored: await store.size('attachments')
+    };
+}
+
+function payloadBytes(value) {
+    return Buffer.byteLength(typeof value === 'string' ? value : JSON.stringify(value));
+}
+
+// Bytes a room holds in queued envelopes, legacy and group messages and attachments
+async function roomStorageBytes(roomId) {
+    let total = 0;
+    for (const msg of await store.get('e2eeMessages', roomId) || []) {
+        total += payloadBytes(msg.encryptedData);
+    }
+    for (const msg of await store.get('messages', roomId) || []) {
+        total += payloadBytes(msg.message);
+    }
+    for (const msg of await store.get('groupMessages', roomId) || []) {
+        total += payloadBytes(msg.ciphertext);
+    }
+    for (const attachmentId of await store.get('roomAttachments', roomId) || []) {
+        const attachment = await store.get('attachments', attachmentId);
+        total += attachment ? attachment.size : 0;
+    }
+    return total;
+}
+
+// Returns the 429 details for the first storage quota that accepting `incomingBytes`
+// (and one more envelope for each of recipientIds) would break, or null
+async function checkStorageQuotas(roomId, { recipientIds = [], incomingBytes = 0 } = {}) {
+    const { queuedEnvelopesPerRecipient, roomBytes } = storageQuotas;
+    
+    if (queuedEnvelopesPerRecipient && recipientIds.length > 0) {
+        const queued = new Map();
+        for (const msg of await store.get('e2eeMessages', roomId) || []) {
+            queued.set(msg.recipientId, (queued.get(msg.recipientId) || 0) + 1);
         }
-        if (!e2eeMessages.has(normalizedRoomId)) {
-            e2eeMessages.set(normalizedRoomId, []);
+        const fullRecipient = recipientIds.find(recipientId => (queued.get(recipientId) || 0) >= queuedEnvelopesPerRecipient);
+        if (fullRecipient) {
+            return {
+                error: `Message queue for ${fullRecipient} is full`,
+                code: 'QUOTA_EXCEEDED',
+                limit: 'queuedEnvelopes',
+                retryAfter: QUOTA_RETRY_AFTER_SECONDS
+            };
         }
-        if (!receipts.has(normalizedRoomId)) {
-            receipts.set(normalizedRoomId, []);
+    }
+    
+    if (roomBytes && await roomStorageBytes(roomId) + incomingBytes > roomBytes) {
+        return {
+            error: 'Room storage quota exceeded',
+            code: 'QUOTA_EXCEEDED',
+            limit: 'roomBytes',
+            retryAfter: QUOTA_RETRY_AFTER_SECONDS
+        };
+    }
+    
+    return null;
+}
+
+// Append an item to a per-room list collection
+async function appendToRoomList(collection, roomId, ...items) {
+    return store.update(collection, roomId, (list = []) => {
+        list.push(...items);
+        return list;
+    });
+}
+
+// Add a user to a room's member list (no-op if already present)
+async function addRoomUser(roomId, userId) {
+    let added = false;
+    const users = await store.update('roomUsers', roomId, (users = []) => {
+        if (!users.includes(userId)) {
+            users.push(userId);
+            added = true;
         }
-        if (!userPublicKeys.has(normalizedRoomId)) {
-            userPublicKeys.set(normalizedRoomId, {});
+        return users;
+    });
+    
+    if (added) {
+        await advanceGroupEpoch(roomId, 'joined');
+    }
+    return users;
+}
+
+// Every membership change starts a new group-key epoch. Key packages of the old epoch are
+// dropped, so members have to rekey before group messages are accepted again.
+async function advanceGroupEpoch(roomId, reason) {
+    const members = await store.get('roomUsers', roomId) || [];
+    const state = await store.update('groupEpochs', roomId, (current = { epoch: 0 }) => ({
+        epoch: current.epoch + 1,
+        members,
+        reason,
+        changedAt: Date.now(),
+        packages: {}
+    }));
+    
+    eventBus.publish(roomId, 'epoch-changed', {
+        epoch: state.epoch,
+        members,
+        reason,
+        timestamp: state.changedAt
+    });
+    return state;
+}
+
+// Rooms stored before group keys existed start their first epoch on first use
+async function loadGroupEpoch(roomId) {
+    return await store.get('groupEpochs', roomId) || advanceGroupEpoch(roomId, 'initialized');
+}
+
+function getTokenService() {
+    if (!tokenServicePromise) {
+        tokenServicePromise = (async () => {
+            let secret = process.env.AUTH_SECRET;
+            if (!secret) {
+                // Generated under update() so instances sharing a store agree on one secret
+                let generated = false;
+                secret = await store.update('serverConfig', 'authSecret', existing => {
+                    if (existing) {
+                        return existing;
+                    }
+                    generated = true;
+                    return auth.generateSecret();
+                });
+                if (generated) {
+                    logger.warn('AUTH_SECRET not set, generated a token signing secret');
+                }
+            }
+            return auth.createTokenService({ secret, ttlMs: AUTH_TOKEN_TTL_MS });
+        })().catch(error => {
+            tokenServicePromise = null;
+            throw error;
+        });
+    }
+    return tokenServicePromise;
+}
+
+// Same lifecycle as the token secret: env first, otherwise generated once into storage
+function getVapidKeys() {
+    if (!vapidKeysPromise) {
+        vapidKeysPromise = (async () => {
+            if (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY) {
+                return { publicKey: process.env.VAPID_PUBLIC_KEY, privateKey: process.env.VAPID_PRIVATE_KEY };
+            }
+            let generated = false;
+            const keys = await store.update('serverConfig', 'vapidKeys', existing => {
+                if (existing) {
+                    return existing;
+                }
+                generated = true;
+                return generateVapidKeys();
+            });
+            if (generated) {
+                logger.warn('VAPID keys not set, generated a Web Push key pair');
+            }
+            return keys;
+        })().catch(error => {
+            vapidKeysPromise = null;
+            throw error;
+        });
+    }
+    return vapidKeysPromise;
+}
+
+function getDirectSecret() {
+    if (!directSecretPromise) {
+        directSecretPromise = store.update('serverConfig', 'directSecret', existing => existing || auth.generateSecret())
+            .catch(error => {
+                directSecretPromise = null;
+                throw error;
+            });
+    }
+    return directSecretPromise;
+}
+
+function getArchiveSecret() {
+    if (!archiveSecretPromise) {
+        archiveSecretPromise = (process.env.ARCHIVE_SECRET
+            ? Promise.resolve(process.env.ARCHIVE_SECRET)
+            : store.update('serverConfig', 'archiveSecret', existing => existing || auth.generateSecret())
+        ).catch(error => {
+            archiveSecretPromise = null;
+            throw error;
+        });
+    }
+    return archiveSecretPromise;
+}
+
+async function signArchive(roomId, exportedAt, collections) {
+    return crypto.createHmac('sha256', await getArchiveSecret())
+        .update(JSON.stringify({ roomId, exportedAt, collections }))
+        .digest('hex');
+}
+
+async function isArchiveSignedHere(archive, payload) {
+    if (typeof payload.signature !== 'string') {
+        return false;
+    }
+    const expected = Buffer.from(await signArchive(archive.roomId, archive.exportedAt, payload.collections));
+    const actual = Buffer.from(payload.signature);
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+// The same room for both orderings of the pair. Keyed with a server secret so that nobody can
+// probe /room/:roomId to learn whether two users talk to each other.
+async function directRoomId(userId, peerId) {
+    const pair = [userId, peerId].sort().join('\n');
+    const digest = crypto.createHmac('sha256', await getDirectSecret()).update(pair).digest('hex');
+    return `${DIRECT_ROOM_PREFIX}${digest.slice(0, 40).toUpperCase()}`;
+}
+
+async function linkDirectConversation(userId, peerId, roomId) {
+    await store.update('directConversations', userId, (conversations = {}) => {
+        conversations[peerId] = roomId;
+        return conversations;
+    });
+}
+
+async function unlinkDirectConversation(userId, peerId) {
+    await store.update('directConversations', userId, (conversations = {}) => {
+        delete conversations[peerId];
+        return Object.keys(conversations).length > 0 ? conversations : undefined;
+    });
+}
+
+// Accept requesterId's pending message request in roomId. Returns the updated room, or null when
+// there is no such request. The requester learns about it through 'request-accepted'.
+async function acceptMessageRequest(roomId, requesterId) {
+    let accepted = false;
+    const room = await store.update('rooms', roomId, current => {
+        if (current && current.direct && current.status === 'pending' && current.requestedBy === requesterId) {
+            current.status = 'accepted';
+            current.acceptedAt = Date.now();
+            accepted = true;
+        }
+        return current;
+    });
+    
+    if (!accepted) {
+        return null;
+    }
+    
+    eventBus.publish(roomId, 'request-accepted', {
+        roomId,
+        userId: room.participants.find(id => id !== requesterId),
+        timestamp: room.acceptedAt
+    }, { recipientId: requesterId });
+    return room;
+}
+
+// A direct conversation as seen by userId
+function describeDirectConversation(roomId, room, userId) {
+    return {
+        roomId,
+        peerId: room.participants.find(id => id !== userId),
+        status: room.status,
+        direction: room.requestedBy === userId ? 'outgoing' : 'incoming',
+        createdAt: room.timestamp,
+        acceptedAt: room.acceptedAt || null,
+        lastActivityAt: room.lastActivityAt || room.timestamp
+    };
+}
+
+// Middleware: requires a valid bearer token and sets req.userId
+function authenticate({ allowQueryToken = false } = {}) {
+    return async (req, res, next) => {
+        try {
+            const token = auth.extractBearerToken(req, { allowQueryToken });
+            if (!token) {
+                return res.status(401).json({ error: 'Missing authorization token', code: 'AUTH_REQUIRED' });
+            }
+            
+            const claims = (await getTokenService()).verify(token);
+            if (!claims || !await store.has('accounts', claims.sub)) {
+                return res.status(401).json({ error: 'Invalid or expired authorization token', code: 'INVALID_TOKEN' });
+            }
+            if (await getActiveBan(claims.sub)) {
+                return rejectBanned(res);
+            }
+            
+            req.userId = claims.sub;
+            next();
+            
+        } catch (error) {
+            req.log.error('Authentication error', { error });
+            res.status(500).json({ error: 'Failed to authenticate request', code: 'INTERNAL_ERROR' });
+        }
+    };
+}
+
+const requireAuth = authenticate();
+
+// Middleware: admin endpoints. Rejected attempts are logged; handlers audit what they do.
+function requireAdmin(req, res, next) {
+    if (!ADMIN_SECRET) {
+        return res.status(503).json({ error: 'Admin API is disabled (ADMIN_SECRET not set)', code: 'ADMIN_DISABLED' });
+    }
+    if (!auth.credentialMatches(auth.extractBearerToken(req) || '', auth.hashCredential(ADMIN_SECRET))) {
+        req.log.warn('Admin authentication failed', { path: req.path });
+        return res.status(401).json({ error: 'Invalid admin token', code: 'INVALID_ADMIN_TOKEN' });
+    }
+    next();
+}
+
+// Append an admin action to the audit log (metadata only)
+async function recordAdminAction(req, action, details = {}) {
+    const entry = {
+        id: crypto.randomUUID(),
+        action,
+        details,
+        requestId: req.id,
+        ip: req.ip,
+        timestamp: Date.now()
+    };
+    await store.update('adminAudit', 'entries', (entries = []) => [...entries, entry].slice(-ADMIN_AUDIT_LIMIT));
+    req.log.info('Admin action', { action, ...details });
+    return entry;
+}
+
+// Server-wide ban of userId, or null. A ban with expiresAt lapses on its own.
+async function getActiveBan(userId) {
+    const ban = await store.get('serverBans', userId);
+    return ban && (!ban.expiresAt || ban.expiresAt > Date.now()) ? ban : null;
+}
+
+function rejectBanned(res) {
+    res.status(403).json({ error: 'This userId is banned from the server', code: 'ACCOUNT_BANNED' });
+}
+
+// Limits the admin API can change at runtime. Overrides are kept in serverConfig 'settings'
+// and re-read with every periodic cleanup, so all instances pick them up.
+const RUNTIME_SETTINGS = { rateLimits, storageQuotas, retention };
+
+function applyRuntimeSettings(overrides = {}) {
+    for (const [group, settings] of Object.entries(RUNTIME_SETTINGS)) {
+        for (const [name, value] of Object.entries(overrides[group] || {})) {
+            if (name in settings && Number.isInteger(value) && value >= 0) {
+                settings[name] = value;
+            }
+        }
+    }
+}
+
+async function loadRuntimeSettings() {
+    applyRuntimeSettings(await store.get('serverConfig', 'settings'));
+}
+
+// Responds with 403 and returns false when the authenticated user is not userId
+function ensureIdentity(req, res, userId) {
+    if (req.userId !== userId) {
+        res.status(403).json({ error: 'Authenticated user does not match userId', code: 'IDENTITY_MISMATCH' });
+        return false;
+    }
+    return true;
+}
+
+// Loads one of the authenticated user's registered devices; otherwise responds 404 and returns null
+async function loadDevice(res, userId, deviceId) {
+    const device = (await store.get('devices', userId) || {})[deviceId];
+    if (!device) {
+        res.status(404).json({ error: 'Device not found', code: 'DEVICE_NOT_FOUND' });
+        return null;
+    }
+    return device;
+}
+
+// Whether an envelope belongs in a recipient's queue. With a deviceId that is the device's own
+// envelopes plus user-wide ones (no recipientDeviceId); without one, everything for the user.
+function isAddressedTo(msg, userId, deviceId) {
+    return msg.recipientId === userId && (!deviceId || !msg.recipientDeviceId || msg.recipientDeviceId === deviceId);
+}
+
+// Disappearing-message policy of a room; rooms without one get the server defaults
+function describeMessagePolicy(room) {
+    return {
+        defaultTtlMs: Math.min(MESSAGE_DEFAULT_TTL_MS, MESSAGE_MAX_TTL_MS),
+        minTtlMs: 0,
+        maxTtlMs: MESSAGE_MAX_TTL_MS,
+        burnAfterRead: false,
+        burnAfterReadMs: 0,
+        ...room.messagePolicy
+    };
+}
+
+// Absolute expiry of a message that becomes visible at startsAt: the requested expirationTime,
+// or the room's default TTL, clamped into the room's [minTtlMs, maxTtlMs]
+function resolveExpiration(room, expirationTime, startsAt) {
+    const policy = describeMessagePolicy(room);
+    const ttl = expirationTime ? expirationTime - startsAt : policy.defaultTtlMs;
+    return startsAt + Math.min(Math.max(ttl, policy.minTtlMs), policy.maxTtlMs, MESSAGE_MAX_TTL_MS);
+}
+
+// Record which path a message took: mode is 'e2ee', 'sealed', 'group' or 'legacy', outcome
+// 'accepted' or 'rejected' (legacy attempts refused by an E2EE room)
+async function recordMessageMode(roomId, { messageId = null, mode, senderId = null, outcome = 'accepted' }) {
+    await store.update('messageAudit', roomId, (audit = { counts: { accepted: {}, rejected: {} }, entries: [] }) => {
+        audit.counts[outcome][mode] = (audit.counts[outcome][mode] || 0) + 1;
+        audit.entries = [...audit.entries, { messageId, mode, senderId, outcome, timestamp: Date.now() }].slice(-MESSAGE_AUDIT_LIMIT);
+        return audit;
+    });
+}
+
+// Responds 403 E2EE_REQUIRED and returns true when the room is E2EE-only. Message attempts
+// pass audit ({ messageId?, senderId }) and are recorded as rejected legacy messages.
+async function rejectLegacyInE2EERoom(req, res, room, roomId, audit = null) {
+    if (!room.e2eeEnabled) {
+        return false;
+    }
+    if (audit) {
+        await recordMessageMode(roomId, { ...audit, mode: 'legacy', outcome: 'rejected' });
+    }
+    req.log.warn('Legacy request refused in E2EE room', { roomId });
+    res.status(403).json({ error: 'This room is end-to-end encrypted; use the E2EE endpoints', code: 'E2EE_REQUIRED' });
+    return true;
+}
+
+// A direct conversation with a pending message request belongs to its sender only: the recipient
+// gets 403 REQUEST_PENDING from its envelopes and events until accepting, so held messages
+// are neither fetched, streamed nor pushed.
+function rejectPendingRequest(req, res, room) {
+    if (!room.direct || room.status !== 'pending' || room.requestedBy === req.userId) {
+        return false;
+    }
+    res.status(403).json({ error: 'Accept the message request first', code: 'REQUEST_PENDING' });
+    return true;
+}
+
+// Reserve the next per-room sequence number (monotonically increasing, starts at 1)
+async function nextRoomSequence(roomId) {
+    return store.update('roomSequences', roomId, (seq = 0) => seq + 1);
+}
+
+async function isRoomMember(roomId, userId) {
+    const users = await store.get('roomUsers', roomId) || [];
+    return users.includes(userId);
+}
+
+// Loads the room if the authenticated user is a member; otherwise responds 404/403 and returns null
+async function loadRoomForMember(req, res, roomId) {
+    const room = await store.get('rooms', roomId);
+    if (!room) {
+        res.status(404).json({ error: 'Room not found', code: 'ROOM_NOT_FOUND' });
+        return null;
+    }
+    if (!await isRoomMember(roomId, req.userId)) {
+        res.status(403).json({ error: 'Not a member of this room', code: 'NOT_A_MEMBER' });
+        return null;
+    }
+    await noteRoomActivity(roomId, room);
+    return room;
+}
+
+// Like loadRoomForMember, but only the room host passes
+async function loadRoomForHost(req, res, roomId) {
+    const room = await store.get('rooms', roomId);
+    if (!room) {
+        res.status(404).json({ error: 'Room not found', code: 'ROOM_NOT_FOUND' });
+        return null;
+    }
+    if (room.hostId !== req.userId) {
+        res.status(403).json({ error: 'Only the room host can do this', code: 'HOST_ONLY' });
+        return null;
+    }
+    await noteRoomActivity(roomId, room);
+    return room;
+}
+
+// Drop a user's membership, published key and pending envelopes. The key history stays, so a
+// different key after a rejoin still shows up as a key change.
+async function removeRoomUser(roomId, userId, reason) {
+    await store.update('roomUsers', roomId, (users = []) => users.filter(id => id !== userId));
+    await store.update('userPublicKeys', roomId, (keys = {}) => {
+        delete keys[userId];
+        return keys;
+    });
+    await store.update('prekeyBundles', roomId, (bundles = {}) => {
+        delete bundles[userId];
+        return bundles;
+    });
+    await store.update('deviceKeys', roomId, (keys = {}) => {
+        delete keys[userId];
+        return keys;
+    });
+    await store.update('e2eeMessages', roomId, (roomMessageList = []) => 
+        roomMessageList.filter(msg => msg.recipientId !== userId)
+    );
+    await store.update('presence', roomId, (presence = {}) => {
+        delete presence[userId];
+        return presence;
+    });
+    await store.update('deliveryTokens', roomId, (tokens = {}) => {
+        delete tokens[userId];
+        return tokens;
+    });
+    clearTypingTimer(roomId, userId);
+    await advanceGroupEpoch(roomId, reason);
+    
+    eventBus.publish(roomId, 'user-removed', {
+        userId,
+        roomId,
+        reason,
+        timestamp: Date.now()
+    });
+}
+
+// Take userId out of a room for good. A departing host hands the room to the longest-standing
+// member and the last member out deletes it. Returns the host afterwards, or null once deleted.
+async function departRoom(roomId, room, userId, reason) {
+    await removeRoomUser(roomId, userId, reason);
+    
+    const remainingUsers = await store.get('roomUsers', roomId) || [];
+    if (remainingUsers.length === 0) {
+        await purgeRoom(roomId, 'empty');
+        return null;
+    }
+    if (room.hostId !== userId) {
+        return room.hostId;
+    }
+    
+    const hostId = remainingUsers[0];
+    await store.update('rooms', roomId, current => {
+        current.hostId = hostId;
+        return current;
+    });
+    eventBus.publish(roomId, 'host-changed', {
+        previousHostId: userId,
+        hostId,
+        roomId,
+        timestamp: Date.now()
+    });
+    return hostId;
+}
+
+// Effective presence of a stored record: a stale heartbeat reads as offline.
+// lastSeen is withheld from others when the user opted out of publishing it.
+function describePresence(record, { revealLastSeen = false } = {}) {
+    if (!record) {
+        return { status: 'offline', lastSeen: null };
+    }
+    const live = record.status !== 'offline' && Date.now() - record.lastSeen <= PRESENCE_TIMEOUT_MS;
+    return {
+        status: live ? record.status : 'offline',
+        lastSeen: !record.hideLastSeen || revealLastSeen ? record.lastSeen : null
+    };
+}
+
+// Record a heartbeat. Without a status the previous one is kept (an offline user comes back online).
+// Status changes are announced as 'presence' events; heartbeats that change nothing stay quiet.
+async function updatePresence(roomId, userId, { status, hideLastSeen } = {}) {
+    let previousStatus = 'offline';
+    let record = null;
+    
+    await store.update('presence', roomId, (presence = {}) => {
+        const previous = presence[userId];
+        previousStatus = describePresence(previous).status;
+        record = {
+            status: status || (previous && previous.status !== 'offline' ? previous.status : 'online'),
+            lastSeen: Date.now(),
+            hideLastSeen: hideLastSeen !== undefined ? hideLastSeen : Boolean(previous && previous.hideLastSeen)
+        };
+        presence[userId] = record;
+        return presence;
+    });
+    
+    const current = describePresence(record);
+    if (current.status !== previousStatus) {
+        eventBus.publish(roomId, 'presence', {
+            userId,
+            ...current,
+            timestamp: Date.now()
+        });
+    }
+    
+    return { ...current, lastSeen: record.lastSeen, hideLastSeen: record.hideLastSeen };
+}
+
+// Returns true if the user had a running typing indicator
+function clearTypingTimer(roomId, userId) {
+    const key = `${roomId}:${userId}`;
+    const timer = typingTimers.get(key);
+    clearTimeout(timer);
+    typingTimers.delete(key);
+    return Boolean(timer);
+}
+
+// Typing indicators exist only as events. A started indicator is announced as stopped by the
+// server once it lapses, so a client that vanishes mid-sentence does not leave it hanging.
+function setTyping(roomId, userId, typing) {
+    const wasTyping = clearTypingTimer(roomId, userId);
+    if (!typing && !wasTyping) {
+        return;
+    }
+    
+    if (typing) {
+        const timer = setTimeout(() => setTyping(roomId, userId, false), TYPING_TTL_MS);
+        timer.unref();
+        typingTimers.set(`${roomId}:${userId}`, timer);
+    }
+    
+    eventBus.publish(roomId, 'typing', {
+        userId,
+        typing,
+        expiresAt: typing ? Date.now() + TYPING_TTL_MS : null,
+        timestamp: Date.now()
+    });
+}
+
+// Wake-ups are skipped while the user has muted them everywhere, until a time, or for this room
+function isPushMuted(settings, roomId) {
+    if (!settings) {
+        return false;
+    }
+    return settings.muted || (settings.mutedUntil && settings.mutedUntil > Date.now()) || settings.mutedRooms.includes(roomId);
+}
+
+// Queue a push wake-up for each recipient without a live connection (presence reads offline).
+// Wake-ups name no room or message; a woken client syncs everything it has.
+async function notifyOfflineRecipients(roomId, recipientIds) {
+    const presenceMap = await store.get('presence', roomId) || {};
+    for (const userId of new Set(recipientIds)) {
+        if (describePresence(presenceMap[userId]).status !== 'offline') {
+            continue;
+        }
+        if (isPushMuted(await store.get('pushSettings', userId), roomId)) {
+            continue;
+        }
+        const subscriptions = Object.values(await store.get('pushSubscriptions', userId) || {});
+        if (subscriptions.length > 0) {
+            pushDispatcher.wake(userId, subscriptions);
+        }
+    }
+}
+
+async function removePushSubscription(userId, subscriptionId) {
+    let removed = false;
+    await store.update('pushSubscriptions', userId, (subscriptions = {}) => {
+        removed = Boolean(subscriptions[subscriptionId]);
+        delete subscriptions[subscriptionId];
+        return Object.keys(subscriptions).length > 0 ? subscriptions : undefined;
+    });
+    return removed;
+}
+
+// Delivery states in order; receipts may only move a recipient forward
+const DELIVERY_STATES = ['sent', 'delivered', 'read'];
+
+// Start tracking a message as 'sent' to every recipient (the sender is never its own recipient)
+async function trackDelivery(roomId, messageId, senderId, recipientIds, expirationTime) {
+    const recipients = {};
+    for (const recipientId of recipientIds) {
+        if (recipientId !== senderId) {
+            recipients[recipientId] = { state: 'sent', deliveredAt: null, readAt: null };
+        }
+    }
+    
+    await store.update('deliveryStates', roomId, (states = {}) => {
+        states[messageId] = { senderId, sentAt: Date.now(), expirationTime, recipients };
+        return states;
+    });
+}
+
+// Move recipientId to `state` for each message. Per message the result is one of
+// 'unknown' (not tracked for this recipient), 'unchanged', 'invalid' (backwards) or 'advanced'.
+// Advanced messages get a receipt logged and pushed to their sender.
+async function advanceDeliveryState(roomId, recipientId, messageIds, state) {
+    const now = Date.now();
+    const results = {};
+    const receipts = [];
+    
+    await store.update('deliveryStates', roomId, (states = {}) => {
+        for (const messageId of messageIds) {
+            const entry = states[messageId];
+            const current = entry && entry.recipients[recipientId];
+            if (!current) {
+                results[messageId] = 'unknown';
+                continue;
+            }
+            
+            const from = DELIVERY_STATES.indexOf(current.state);
+            const to = DELIVERY_STATES.indexOf(state);
+            if (to <= from) {
+                results[messageId] = to === from ? 'unchanged' : 'invalid';
+                continue;
+            }
+            
+            current.state = state;
+            current.deliveredAt = current.deliveredAt || now;
+            if (state === 'read') {
+                current.readAt = now;
+            }
+            results[messageId] = 'advanced';
+            receipts.push({ messageId, senderId: entry.senderId, recipientId, type: state, timestamp: now });
+        }
+        return states;
+    });
+    
+    if (receipts.length > 0) {
+        await appendToRoomList('receipts', roomId, ...receipts);
+        for (const receipt of receipts) {
+            eventBus.publish(roomId, 'receipt', receipt, { recipientId: receipt.senderId });
+        }
+    }
+    if (state === 'read' && receipts.length > 0) {
+        await burnReadMessages(roomId, recipientId, receipts.map(receipt => receipt.messageId));
+    }
+    
+    return results;
+}
+
+// Burn-after-read: a read message expires burnAfterReadMs later. A reader's own envelopes burn
+// right away; shared copies (legacy and group messages) and the index once everyone has read.
+// Sealed envelopes burn on their recipient's read receipt too (POST /receipts), but no receipt
+// reaches their sender.
+async function burnReadMessages(roomId, recipientId, messageIds) {
+    const room = await store.get('rooms', roomId);
+    const policy = room && describeMessagePolicy(room);
+    if (!policy || !policy.burnAfterRead) {
+        return;
+    }
+    
+    const burnAt = Date.now() + policy.burnAfterReadMs;
+    const burn = item => ({ ...item, expirationTime: Math.min(item.expirationTime || Infinity, burnAt) });
+    const read = new Set(messageIds);
+    
+    await store.update('e2eeMessages', roomId, roomMessageList => roomMessageList && roomMessageList.map(msg =>
+        read.has(msg.messageId) && msg.recipientId === recipientId ? burn(msg) : msg
+    ));
+    
+    const states = await store.get('deliveryStates', roomId) || {};
+    const readByAll = new Set(messageIds.filter(messageId =>
+        states[messageId] && Object.values(states[messageId].recipients).every(status => status.state === 'read')
+    ));
+    if (readByAll.size === 0) {
+        return;
+    }
+    
+    for (const collection of ['messages', 'groupMessages']) {
+        await store.update(collection, roomId, roomMessages => roomMessages && roomMessages.map(msg =>
+            readByAll.has(msg.id) ? burn(msg) : msg
+        ));
+    }
+    for (const collection of ['deliveryStates', 'e2eeMessageIndex']) {
+        await store.update(collection, roomId, map => {
+            for (const messageId of readByAll) {
+                if (map && map[messageId]) {
+                    map[messageId] = burn(map[messageId]);
+                }
+            }
+            return map;
+        });
+    }
+}
+
+function summarizeDelivery(messageId, entry) {
+    const recipients = Object.entries(entry.recipients).map(([recipientId, status]) => ({ recipientId, ...status }));
+    const reached = state => recipients.filter(recipient => 
+        DELIVERY_STATES.indexOf(recipient.state) >= DELIVERY_STATES.indexOf(state)
+    ).length;
+    
+    return {
+        messageId,
+        sentAt: entry.sentAt,
+        total: recipients.length,
+        delivered: reached('delivered'),
+        read: reached('read'),
+        summary: `read by ${reached('read')}/${recipients.length}`,
+        recipients
+    };
+}
+
+// Consume one use of an invite code. Expired and used-up invites are pruned along the way.
+async function redeemInvite(roomId, inviteCode) {
+    const codeHash = auth.hashCredential(String(inviteCode));
+    const now = Date.now();
+    let redeemed = false;
+    
+    await store.update('roomInvites', roomId, (invites = []) => {
+        const invite = invites.find(inv => inv.codeHash === codeHash && inv.expiresAt > now);
+        if (invite && (!invite.maxUses || invite.uses < invite.maxUses)) {
+            invite.uses++;
+            redeemed = true;
+        }
+        return invites.filter(inv => inv.expiresAt > now && (!inv.maxUses || inv.uses < inv.maxUses));
+    });
+    
+    return redeemed;
+}
+
+// SHA-256 over the published key, hex encoded. Clients compare these as safety numbers.
+function fingerprintKey(publicKey) {
+    return crypto.createHash('sha256').update(String(publicKey)).digest('hex');
+}
+
+// Key records stored before versioning have no version/fingerprint; fill them in on read
+function describeKey(record) {
+    return {
+        publicKey: record.publicKey,
+        version: record.version || 1,
+        fingerprint: record.fingerprint || fingerprintKey(record.publicKey),
+        timestamp: record.timestamp
+    };
+}
+
+// A user's device keys in one room ({ deviceId -> record }), least recently published first
+function describeDevices(deviceKeys = {}) {
+    return Object.entries(deviceKeys)
+        .map(([deviceId, record]) => ({ deviceId, ...describeKey(record) }))
+        .sort((a, b) => a.timestamp - b.timestamp);
+}
+
+// Swap out the pending envelopes of an E2EE message for the ones buildEnvelopes(seq) returns.
+// Each replacement takes the place of the envelope for the same recipient and device (or the
+// user-wide one when it has no recipientDeviceId); other devices keep theirs. Replacements get
+// a fresh sequence number so clients that already synced past the original (or acked it) still
+// receive the edit or tombstone.
+async function replaceE2EEEnvelopes(roomId, messageId, buildEnvelopes) {
+    const seq = await nextRoomSequence(roomId);
+    const replacements = buildEnvelopes(seq);
+    const addressOf = msg => `${msg.recipientId}\n${msg.recipientDeviceId || ''}`;
+    const replaced = new Set(replacements.map(addressOf));
+    
+    await store.update('e2eeMessages', roomId, (roomMessageList = []) => [
+        ...roomMessageList.filter(msg => msg.messageId !== messageId || !replaced.has(addressOf(msg))),
+        ...replacements
+    ]);
+    
+    for (const envelope of replacements.filter(replacement => !replacement.scheduled)) {
+        eventBus.publish(roomId, 'e2ee-message', envelope, {
+            recipientId: envelope.recipientId,
+            recipientDeviceId: envelope.recipientDeviceId
+        });
+    }
+    
+    return { seq, replacements };
+}
+
+// Checks the addressing of an E2EE send or edit: one user-wide ciphertext or one per device for
+// each recipient, never both, and only registered devices. Otherwise responds 400 and returns false.
+async function checkE2EEAddressing(res, encryptedMessages, deviceMessages) {
+    if (Object.keys(encryptedMessages).length === 0 && Object.keys(deviceMessages).length === 0) {
+        res.status(400).json({ error: 'Provide encryptedMessages or deviceMessages', code: 'MISSING_FIELD', field: 'encryptedMessages' });
+        return false;
+    }
+    
+    if (Object.keys(deviceMessages).some(recipientId => encryptedMessages[recipientId] !== undefined)) {
+        res.status(400).json({ error: 'Address each recipient either per user or per device', code: 'INVALID_VALUE', field: 'deviceMessages' });
+        return false;
+    }
+    
+    for (const [recipientId, ciphertexts] of Object.entries(deviceMessages)) {
+        const devices = await store.get('devices', recipientId) || {};
+        const unknownDevice = Object.keys(ciphertexts).find(deviceId => !devices[deviceId]);
+        if (unknownDevice) {
+            res.status(400).json({ error: `Unknown device ${unknownDevice} for ${recipientId}`, code: 'DEVICE_NOT_FOUND', field: 'deviceMessages' });
+            return false;
+        }
+    }
+    
+    return true;
+}
+
+// recipientId -> deviceIds of the recipients a message addressed per device (kept in e2eeMessageIndex)
+function describeRecipientDevices(deviceMessages) {
+    return Object.fromEntries(Object.entries(deviceMessages).map(([recipientId, ciphertexts]) => [recipientId, Object.keys(ciphertexts)]));
+}
+
+// Scheduled envelopes (deliverAt) stay out of fetches, acks and streams until due. A released
+// message gets a fresh sequence number, so clients whose sync cursor moved past the original
+// still pick it up; streams and push wake-ups then follow as for a new message.
+async function releaseScheduledEnvelopes(roomId) {
+    const now = Date.now();
+    const due = new Set((await store.get('e2eeMessages', roomId) || [])
+        .filter(msg => msg.scheduled && msg.deliverAt <= now)
+        .map(msg => msg.messageId));
+    if (due.size === 0) {
+        return 0;
+    }
+    
+    const seqs = {};
+    for (const messageId of due) {
+        seqs[messageId] = await nextRoomSequence(roomId);
+    }
+    
+    const released = [];
+    await store.update('e2eeMessages', roomId, (roomMessageList = []) => roomMessageList.map(msg => {
+        if (!msg.scheduled || !seqs[msg.messageId]) {
+            return msg;
+        }
+        const envelope = { ...msg, seq: seqs[msg.messageId] };
+        delete envelope.scheduled;
+        released.push(envelope);
+        return envelope;
+    }));
+    
+    for (const envelope of released) {
+        eventBus.publish(roomId, 'e2ee-message', envelope, {
+            recipientId: envelope.recipientId,
+            recipientDeviceId: envelope.recipientDeviceId
+        });
+    }
+    const room = await store.get('rooms', roomId);
+    if (room && !(room.direct && room.status === 'pending')) {
+        await notifyOfflineRecipients(roomId, released.filter(envelope => envelope.recipientId !== envelope.senderId).map(envelope => envelope.recipientId));
+    }
+    
+    return released.length;
+}
+
+// Release on time while this instance runs; fetches and the periodic sweep catch up otherwise
+function scheduleRelease(roomId, deliverAt) {
+    const timer = setTimeout(() => {
+        releaseScheduledEnvelopes(roomId).catch(error => {
+            logger.error('Scheduled delivery error', { error });
+        });
+    }, Math.max(deliverAt - Date.now(), 0));
+    timer.unref();
+}
+
+function sha256Hex(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function isSha256Hex(value) {
+    return typeof value === 'string' && /^[0-9a-f]{64}$/i.test(value);
+}
+
+function generateAttachmentId() {
+    return `att_${Date.now()}_${crypto.randomBytes(8).toString('hex')}`;
+}
+
+function generateMessageId() {
+    return `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+function normalizeRoomId(roomId) {
+    return roomId ? roomId.toString().toUpperCase().trim() : '';
+}
+
+// ===== REQUEST SCHEMAS =====
+// Declarative input rules per route (see lib/validation). Failures answer 400 with
+// { error, code, field }; handlers can rely on the declared types and limits.
+// Ids key plain objects (key maps, presence, delivery tokens and states), where the names of
+// Object.prototype members would reach the prototype instead of storing an entry
+const ID_PATTERN = /^(?!(?:__proto__|constructor|prototype)$)[^\s\x00-\x1f\x7f]+$/; // no whitespace or control characters
+const MESSAGE_ID_PATTERN = /^(?!(?:__proto__|constructor|prototype)$)/;
+const ENCRYPTED_PAYLOAD_MAX_BYTES = 256 * 1024; // per recipient
+const LEGACY_MESSAGE_MAX_BYTES = 64 * 1024;
+
+const fields = {
+    roomId: (options = {}) => field.string({ max: 64, pattern: ID_PATTERN, ...options }),
+    userId: (options = {}) => field.string({ max: 128, pattern: ID_PATTERN, ...options }),
+    messageId: (options = {}) => field.string({ max: 128, pattern: MESSAGE_ID_PATTERN, ...options }),
+    attachmentId: (options = {}) => field.string({ max: 64, pattern: ID_PATTERN, ...options }),
+    deviceId: (options = {}) => field.string({ max: 64, pattern: ID_PATTERN, ...options }),
+    publicKey: (options = {}) => field.string({ max: 8 * 1024, ...options }),
+    timestamp: (options = {}) => field.integer({ min: 0, ...options }),
+    // Ciphertexts keyed by recipientId
+    encryptedMessages: (options = {}) => field.object({
+        minKeys: 1,
+        maxKeys: 1000,
+        keys: fields.userId(),
+        values: field.json({ maxBytes: ENCRYPTED_PAYLOAD_MAX_BYTES }),
+        ...options
+    }),
+    // recipientId -> { deviceId -> ciphertext }, for recipients addressed per device
+    deviceMessages: (options = {}) => field.object({
+        minKeys: 1,
+        maxKeys: 1000,
+        keys: fields.userId(),
+        values: field.object({
+            minKeys: 1,
+            maxKeys: DEVICE_MAX_PER_USER,
+            keys: fields.deviceId(),
+            values: field.json({ maxBytes: ENCRYPTED_PAYLOAD_MAX_BYTES })
+        }),
+        ...options
+    }),
+    // Signatures are checked by clients against the identity key, the server only stores them
+    prekey: (options = {}) => field.object({
+        fields: {
+            keyId: field.oneOf([field.integer({ min: 0 }), field.string({ max: 64 })]),
+            publicKey: fields.publicKey(),
+            ...(options.signed ? { signature: field.string({ max: 1024 }) } : {})
+        },
+        optional: options.optional
+    })
+};
+
+const roomParams = { roomId: fields.roomId() };
+const roomUserParams = { roomId: fields.roomId(), userId: fields.userId() };
+const roomMessageParams = { roomId: fields.roomId(), messageId: fields.messageId() };
+const attachmentParams = { attachmentId: fields.attachmentId() };
+const deviceParams = { roomId: fields.roomId(), userId: fields.userId(), deviceId: fields.deviceId() };
+
+const schemas = {
+    register: { body: { userId: fields.userId() } },
+    issueToken: { body: { userId: fields.userId(), credential: field.string({ max: 256 }) } },
+    registerDevice: { body: { deviceId: fields.deviceId(), name: field.string({ optional: true, max: 64 }) } },
+    device: { params: { deviceId: fields.deviceId() } },
+    publishDeviceKey: { params: deviceParams, body: { publicKey: fields.publicKey() } },
+    createPushSubscription: {
+        body: {
+            type: field.string({ enum: ['webpush', 'webhook'] }),
+            endpoint: field.string({ max: 2048 }),
+            deviceId: fields.deviceId({ optional: true })
+        }
+    },
+    pushSubscription: { params: { subscriptionId: field.string({ max: 64, pattern: ID_PATTERN }) } },
+    updatePushSettings: {
+        body: {
+            muted: field.boolean({ optional: true }),
+            mutedUntil: fields.timestamp({ optional: true }),
+            mutedRooms: field.array({ optional: true, maxItems: 1000, items: fields.roomId() })
+        }
+    },
+    createRoom: {
+        body: {
+            roomId: fields.roomId(),
+            hostId: fields.userId(),
+            e2eeEnabled: field.boolean({ optional: true }),
+            password: field.string({ optional: true, max: 256 }),
+            inviteOnly: field.boolean({ optional: true }),
+            expiresIn: field.integer({ optional: true, min: 0 })
+        }
+    },
+    joinRoom: {
+        body: {
+            roomId: fields.roomId(),
+            userId: fields.userId(),
+            password: field.string({ optional: true, max: 256 }),
+            inviteCode: field.string({ optional: true, max: 64 })
+        }
+    },
+    leaveRoom: { body: { roomId: fields.roomId(), userId: fields.userId() } },
+    room: { params: roomParams },
+    createInvite: {
+        params: roomParams,
+        body: {
+            expiresIn: field.integer({ optional: true, min: 1, max: INVITE_MAX_TTL_MS }),
+            maxUses: field.integer({ optional: true, min: 1, max: 10000 })
+        }
+    },
+    roomMember: { params: roomParams, body: { userId: fields.userId() } },
+    unban: { params: roomUserParams },
+    transferHost: { params: roomParams, body: { newHostId: fields.userId() } },
+    upgradeRoom: { params: roomParams, body: { purgeLegacyMessages: field.boolean({ optional: true }) } },
+    updateMessagePolicy: {
+        params: roomParams,
+        body: {
+            defaultTtlMs: field.integer({ optional: true, min: 1000, max: MESSAGE_MAX_TTL_MS }),
+            minTtlMs: field.integer({ optional: true, min: 0, max: MESSAGE_MAX_TTL_MS }),
+            maxTtlMs: field.integer({ optional: true, min: 1000, max: MESSAGE_MAX_TTL_MS }),
+            burnAfterRead: field.boolean({ optional: true }),
+            burnAfterReadMs: field.integer({ optional: true, min: 0, max: MESSAGE_MAX_TTL_MS })
+        }
+    },
+    roomAudit: { params: roomParams, query: { since: fields.timestamp({ optional: true }) } },
+    exportRoom: { params: roomParams, body: { passphrase: field.string({ min: 8, max: 1024 }) } },
+    importRoom: {
+        body: {
+            archive: field.object({ maxBytes: 8 * 1024 * 1024 }),
+            passphrase: field.string({ max: 1024 }),
+            roomId: fields.roomId({ optional: true }),
+            onConflict: field.string({ optional: true, enum: ['fail', 'replace'] })
+        }
+    },
+    directPeer: { params: { peerId: fields.userId() } },
+    listDirect: { query: { status: field.string({ optional: true, enum: ['pending', 'accepted'] }) } },
+    declineDirect: { params: { peerId: fields.userId() }, body: { block: field.boolean({ optional: true }) } },
+    publishKey: { params: roomUserParams, body: { publicKey: fields.publicKey() } },
+    roomUser: { params: roomUserParams },
+    eventStream: { params: roomUserParams, query: { deviceId: fields.deviceId({ optional: true }) } },
+    keyChanges: { params: roomParams, query: { since: fields.timestamp({ optional: true }) } },
+    publishPrekeys: {
+        params: roomUserParams,
+        body: {
+            identityKey: fields.publicKey({ optional: true }),
+            signedPrekey: fields.prekey({ optional: true, signed: true }),
+            oneTimePrekeys: field.array({ optional: true, maxItems: PREKEY_MAX_STORED, items: fields.prekey() })
+        }
+    },
+    updatePresence: {
+        params: roomUserParams,
+        body: {
+            status: field.string({ optional: true, enum: ['online', 'away', 'offline'] }),
+            hideLastSeen: field.boolean({ optional: true })
+        }
+    },
+    typing: { params: roomUserParams, body: { typing: field.boolean({ optional: true }) } },
+    sendE2EE: {
+        body: {
+            roomId: fields.roomId(),
+            senderId: fields.userId(),
+            encryptedMessages: fields.encryptedMessages({ optional: true }),
+            deviceMessages: fields.deviceMessages({ optional: true }),
+            expirationTime: fields.timestamp({ optional: true }),
+            deliverAt: fields.timestamp({ optional: true }),
+            attachmentIds: field.array({ optional: true, maxItems: 20, items: fields.attachmentId() })
+        }
+    },
+    getE2EEMessages: {
+        params: roomUserParams,
+        query: {
+            since: field.integer({ optional: true, min: 0 }),
+            limit: field.integer({ optional: true, min: 1, max: 1000 }),
+            deviceId: fields.deviceId({ optional: true })
+        }
+    },
+    sendSealed: {
+        body: {
+            roomId: fields.roomId(),
+            // recipientId -> { deliveryToken, encryptedData }; the sender sits inside encryptedData
+            envelopes: field.object({
+                minKeys: 1,
+                maxKeys: 1000,
+                keys: fields.userId(),
+                values: field.object({
+                    fields: {
+                        deliveryToken: field.string({ max: 128 }),
+                        encryptedData: field.json({ maxBytes: ENCRYPTED_PAYLOAD_MAX_BYTES })
+                    }
+                })
+            }),
+            expirationTime: fields.timestamp({ optional: true })
+        }
+    },
+    publishGroupKeys: {
+        params: roomParams,
+        body: {
+            epoch: field.integer({ min: 1 }),
+            // recipientId -> key package encrypted to that member
+            packages: field.object({
+                minKeys: 1,
+                maxKeys: 1000,
+                keys: fields.userId(),
+                values: field.json({ maxBytes: 16 * 1024 })
+            })
+        }
+    },
+    sendGroup: {
+        body: {
+            roomId: fields.roomId(),
+            senderId: fields.userId(),
+            epoch: field.integer({ min: 1 }),
+            ciphertext: field.json({ maxBytes: ENCRYPTED_PAYLOAD_MAX_BYTES }),
+            expirationTime: fields.timestamp({ optional: true })
+        }
+    },
+    ackE2EEMessages: {
+        params: roomUserParams,
+        body: {
+            ids: field.array({ optional: true, maxItems: 1000, items: field.string({ max: 256 }) }),
+            upTo: field.integer({ optional: true, min: 0 }),
+            deviceId: fields.deviceId({ optional: true })
+        }
+    },
+    editE2EEMessage: {
+        params: roomMessageParams,
+        body: {
+            encryptedMessages: fields.encryptedMessages({ optional: true }),
+            deviceMessages: fields.deviceMessages({ optional: true })
+        }
+    },
+    roomMessage: { params: roomMessageParams },
+    createAttachment: {
+        body: {
+            roomId: fields.roomId(),
+            size: field.integer({ min: 1, max: ATTACHMENT_MAX_BYTES }),
+            sha256: field.string({ pattern: /^[0-9a-fA-F]{64}$/ }),
+            chunkSize: field.integer({ optional: true, min: 1, max: ATTACHMENT_MAX_CHUNK_BYTES })
+        }
+    },
+    attachmentChunk: { params: { attachmentId: fields.attachmentId(), index: field.integer({ min: 0 }) } },
+    attachment: { params: attachmentParams },
+    send: {
+        body: {
+            roomId: fields.roomId(),
+            message: field.json({ maxBytes: LEGACY_MESSAGE_MAX_BYTES }),
+            senderId: fields.userId(),
+            timestamp: fields.timestamp({ optional: true }),
+            expirationTime: fields.timestamp({ optional: true })
+        }
+    },
+    editMessage: { params: roomMessageParams, body: { message: field.json({ maxBytes: LEGACY_MESSAGE_MAX_BYTES }) } },
+    storeRoomKey: { params: roomParams, body: { encryptedKey: field.json({ maxBytes: 16 * 1024 }) } },
+    sendReceipt: {
+        body: {
+            messageId: fields.messageId(),
+            recipientId: fields.userId(),
+            type: field.string({ enum: ['delivered', 'read'] }),
+            roomId: fields.roomId()
+        }
+    },
+    adminListRooms: {
+        query: {
+            limit: field.integer({ optional: true, min: 1, max: 1000 }),
+            offset: field.integer({ optional: true, min: 0 })
+        }
+    },
+    adminCloseRoom: { params: roomParams, body: { reason: field.string({ optional: true, max: 256 }) } },
+    adminBan: {
+        body: {
+            userId: fields.userId(),
+            reason: field.string({ optional: true, max: 256 }),
+            expiresIn: field.integer({ optional: true, min: 1 })
+        }
+    },
+    adminUnban: { params: { userId: fields.userId() } },
+    adminSettings: {
+        body: Object.fromEntries(Object.entries(RUNTIME_SETTINGS).map(([group, settings]) => [group, field.object({
+            optional: true,
+            fields: Object.fromEntries(Object.keys(settings).map(name => [name, field.integer({ optional: true, min: 0 })]))
+        })]))
+    },
+    adminAudit: {
+        query: {
+            since: fields.timestamp({ optional: true }),
+            limit: field.integer({ optional: true, min: 1, max: ADMIN_AUDIT_LIMIT })
+        }
+    }
+};
+
+// ===== HEALTH & STATUS ENDPOINTS =====
+app.get('/health', (req, res) => {
+    req.log.debug('Health check');
+    res.json({ 
+        status: 'healthy', 
+        timestamp: Date.now(),
+        uptime: Date.now() - serverStats.startTime
+    });
+});
+
+app.get('/status', (req, res) => {
+    req.log.debug('Status check');
+    res.json({ 
+        status: 'online', 
+        timestamp: Date.now(),
+        uptime: Date.now() - serverStats.startTime
+    });
+});
+
+app.get('/', async (req, res) => {
+    try {
+        req.log.debug('Root endpoint');
+        
+        const { activeRooms, totalUsers } = await collectStorageStats();
+        
+        res.json({ 
+            message: 'SecureChat E2EE Server', 
+            version: '2.0.0',
+            timestamp: Date.now(),
+            stats: {
+                ...serverStats,
+                uptime: Date.now() - serverStats.startTime,
+                activeRooms,
+                totalUsers
+            }
+        });
+        
+    } catch (error) {
+        req.log.error('Root endpoint error', { error });
+        res.status(500).json({ error: 'Failed to get server info', code: 'INTERNAL_ERROR' });
+    }
+});
+
+// Instance internals (adapters, instance id, open streams, storage counts); operators only, like
+// the admin API. /health and /status are the public liveness checks.
+app.get('/stats', requireAdmin, async (req, res) => {
+    try {
+        req.log.debug('Stats request');
+        
+        const stats = {
+            ...serverStats,
+            uptime: Date.now() - serverStats.startTime,
+            storageAdapter: store.name,
+            pubsubAdapter: eventBus.pubsub.name,
+            instanceId: eventBus.instanceId,
+            activeEventStreams,
+            ...await collectStorageStats()
+        };
+        
+        res.json(stats);
+        
+    } catch (error) {
+        req.log.error('Stats error', { error });
+        res.status(500).json({ error: 'Failed to get stats', code: 'INTERNAL_ERROR' });
+    }
+});
+
+// Prometheus scrape endpoint. Public unless METRICS_TOKEN is set: the series carry counts and
+// route names only, but set the token (or keep /metrics off the public listener) in production.
+app.get('/metrics', async (req, res) => {
+    try {
+        if (METRICS_TOKEN && !auth.credentialMatches(auth.extractBearerToken(req) || '', auth.hashCredential(METRICS_TOKEN))) {
+            return res.status(401).json({ error: 'Invalid metrics token', code: 'INVALID_TOKEN' });
+        }
+        
+        res.set('Content-Type', MetricsRegistry.contentType);
+        res.send(await metrics.render());
+        
+    } catch (error) {
+        req.log.error('Metrics error', { error });
+        res.status(500).json({ error: 'Failed to render metrics', code: 'INTERNAL_ERROR' });
+    }
+});
+
+// ===== AUTHENTICATION =====
+// Claim a userId. The returned credential is shown once and is needed to get new tokens.
+app.post('/auth/register', validate(schemas.register), async (req, res) => {
+    try {
+        req.log.debug('Register user');
+        
+        const { userId } = req.body;
+        
+        if (await getActiveBan(userId)) {
+            return rejectBanned(res);
+        }
+        
+        const credential = auth.generateSecret();
+        let exists = false;
+        await store.update('accounts', userId, current => {
+            if (current) {
+                exists = true;
+                return current;
+            }
+            return {
+                userId,
+                credentialHash: auth.hashCredential(credential),
+                createdAt: Date.now()
+            };
+        });
+        
+        if (exists) {
+            return res.status(409).json({ error: 'userId already registered', code: 'USER_EXISTS' });
+        }
+        
+        const { token, expiresAt } = (await getTokenService()).sign(userId);
+        
+        req.log.info('User registered', { userId });
+        
+        res.json({ 
+            success: true,
+            userId,
+            credential,
+            token,
+            expiresAt,
+            timestamp: Date.now()
+        });
+        
+    } catch (error) {
+        req.log.error('Register user error', { error });
+        res.status(500).json({ error: 'Failed to register user', code: 'INTERNAL_ERROR' });
+    }
+});
+
+// Exchange a registration credential for a fresh bearer token
+app.post('/auth/token', validate(schemas.issueToken), async (req, res) => {
+    try {
+        req.log.debug('Issue token');
+        
+        const { userId, credential } = req.body;
+        
+        const account = await store.get('accounts', userId);
+        if (!account || !auth.credentialMatches(credential, account.credentialHash)) {
+            return res.status(401).json({ error: 'Invalid userId or credential', code: 'INVALID_CREDENTIALS' });
+        }
+        if (await getActiveBan(userId)) {
+            return rejectBanned(res);
+        }
+        
+        const { token, expiresAt } = (await getTokenService()).sign(userId);
+        
+        res.json({ 
+            success: true,
+            userId,
+            token,
+            expiresAt,
+            timestamp: Date.now()
+        });
+        
+    } catch (error) {
+        req.log.error('Issue token error', { error });
+        res.status(500).json({ error: 'Failed to issue token', code: 'INTERNAL_ERROR' });
+    }
+});
+
+// ===== ROOM MANAGEMENT =====
+app.post('/create-room', requireAuth, validate(schemas.createRoom), async (req, res) => {
+    try {
+        req.log.debug('Create room');
+        
+        const { roomId, hostId, e2eeEnabled = false, password, inviteOnly = false, expiresIn } = req.body;
+        
+        if (!ensureIdentity(req, res, hostId)) {
+            return;
+        }
+        
+        // Fixed lifetime in ms; falls back to retention.roomTtlMs and is capped at retention.roomMaxTtlMs
+        const roomTtl = expiresIn !== undefined ? expiresIn : retention.roomTtlMs;
+        
+        const normalizedRoomId = normalizeRoomId(roomId);
+        
+        if (normalizedRoomId.startsWith(DIRECT_ROOM_PREFIX)) {
+            return res.status(400).json({ error: `Room ids starting with ${DIRECT_ROOM_PREFIX} are reserved for direct conversations`, code: 'INVALID_VALUE', field: 'roomId' });
+        }
+        
+        // Create the room unless it already exists; an existing room keeps its host
+        let existingRoom = null;
+        await store.update('rooms', normalizedRoomId, current => {
+            if (current) {
+                existingRoom = current;
+                return current;
+            }
+            return {
+                hostId,
+                timestamp: Date.now(),
+                e2eeEnabled: Boolean(e2eeEnabled),
+                passwordHash: password ? auth.hashPassword(password) : null,
+                inviteOnly: Boolean(inviteOnly),
+                bannedUsers: [],
+                lastActivityAt: Date.now(),
+                expiresAt: roomTtl ? Date.now() + Math.min(roomTtl, retention.roomMaxTtlMs || Infinity) : null
+            };
+        });
+        
+        if (existingRoom) {
+            if (existingRoom.hostId !== hostId) {
+                return res.status(409).json({ error: 'Room already exists', code: 'ROOM_EXISTS' });
+            }
+            
+            return res.json({ 
+                success: true, 
+                roomId: normalizedRoomId,
+                e2eeEnabled: existingRoom.e2eeEnabled,
+                timestamp: Date.now()
+            });
+        }
+        
+        // Initialize room storage
+        if (!await store.has('messages', normalizedRoomId)) {
+            await store.set('messages', normalizedRoomId, []);
+        }
+        if (!await store.has('e2eeMessages', normalizedRoomId)) {
+            await store.set('e2eeMessages', normalizedRoomId, []);
+        }
+        if (!await store.has('receipts', normalizedRoomId)) {
+            await store.set('receipts', normalizedRoomId, []);
+        }
+        if (!await store.has('userPublicKeys', normalizedRoomId)) {
+            await store.set('userPublicKeys', normalizedRoomId, {});
+        }
+        
+        // Add host to room users
+        await addRoomUser(normalizedRoomId, hostId);
+        
+        serverStats.totalRooms++;
+        
+        req.log.info('Room created', {
+            roomId: normalizedRoomId,
+            hostId,
+            e2eeEnabled: Boolean(e2eeEnabled),
+            passwordProtected: Boolean(password),
+            inviteOnly: Boolean(inviteOnly)
+        });
+        
+        res.json({ 
+            success: true, 
+            roomId: normalizedRoomId,
+            e2eeEnabled: Boolean(e2eeEnabled),
+            timestamp: Date.now()
+        });
+        
+    } catch (error) {
+        req.log.error('Create room error', { error });
+        res.status(500).json({ error: 'Failed to create room', code: 'INTERNAL_ERROR' });
+    }
+});
+
+app.post('/join-room', requireAuth, validate(schemas.joinRoom), async (req, res) => {
+    try {
+        req.log.debug('Join room');
+        
+        const { roomId, userId, password, inviteCode } = req.body;
+        
+        if (!ensureIdentity(req, res, userId)) {
+            return;
+        }
+        
+        const normalizedRoomId = normalizeRoomId(roomId);
+        const room = await store.get('rooms', normalizedRoomId);
+        
+        if (!room) {
+            return res.status(404).json({ error: 'Room not found', code: 'ROOM_NOT_FOUND' });
+        }
+        
+        if (room.direct) {
+            return res.status(403).json({ error: 'Direct conversations cannot be joined', code: 'DIRECT_CONVERSATION' });
+        }
+        
+        if ((room.bannedUsers || []).includes(userId)) {
+            return res.status(403).json({ error: 'You are banned from this room', code: 'BANNED' });
+        }
+        
+        // Protected rooms need the password or a valid invite (members rejoining are let through)
+        if ((room.passwordHash || room.inviteOnly) && !await isRoomMember(normalizedRoomId, userId)) {
+            const passwordOk = Boolean(room.passwordHash) && auth.verifyPassword(password, room.passwordHash);
+            const inviteOk = !passwordOk && Boolean(inviteCode) && await redeemInvite(normalizedRoomId, inviteCode);
+            
+            if (!passwordOk && !inviteOk) {
+                return res.status(403).json({ error: 'Valid password or invite code required', code: 'JOIN_DENIED' });
+            }
+        }
+        
+        // Add user to room
+        await addRoomUser(normalizedRoomId, userId);
+        await touchRoom(normalizedRoomId);
+        
+        eventBus.publish(normalizedRoomId, 'user-joined', {
+            userId,
+            roomId: normalizedRoomId,
+            timestamp: Date.now()
+        });
+        
+        req.log.info('User joined room', { roomId: normalizedRoomId, userId });
+        
+        res.json({ 
+            success: true, 
+            roomId: normalizedRoomId,
+            timestamp: Date.now()
+        });
+        
+    } catch (error) {
+        req.log.error('Join room error', { error });
+        res.status(500).json({ error: 'Failed to join room', code: 'INTERNAL_ERROR' });
+    }
+});
+
+// Leave a room: drops membership, published keys and pending envelopes.
+// A leaving host hands the room to the longest-standing member; the last member leaving deletes it.
+app.post('/leave-room', requireAuth, validate(schemas.leaveRoom), async (req, res) => {
+    try {
+        req.log.debug('Leave room');
+        
+        const { roomId, userId } = req.body;
+        
+        if (!ensureIdentity(req, res, userId)) {
+            return;
+        }
+        
+        const normalizedRoomId = normalizeRoomId(roomId);
+        const room = await loadRoomForMember(req, res, normalizedRoomId);
+        if (!room) {
+            return;
+        }
+        
+        if (room.direct) {
+            return res.status(403).json({ error: 'Use DELETE /direct/:peerId to end a direct conversation', code: 'DIRECT_CONVERSATION' });
+        }
+        
+        const hostId = await departRoom(normalizedRoomId, room, userId, 'left');
+        
+        req.log.info('User left room', { roomId: normalizedRoomId, userId });
+        
+        res.json({ 
+            success: true,
+            roomDeleted: hostId === null,
+            hostId,
+            timestamp: Date.now()
+        });
+        
+    } catch (error) {
+        req.log.error('Leave room error', { error });
+        res.status(500).json({ error: 'Failed to leave room', code: 'INTERNAL_ERROR' });
+    }
+});
+
+// Delete a room and everything stored for it (host only)
+app.delete('/room/:roomId', requireAuth, validate(schemas.room), async (req, res) => {
+    try {
+        req.log.debug('Delete room');
+        
+        const normalizedRoomId = normalizeRoomId(req.params.roomId);
+        
+        if (!await loadRoomForHost(req, res, normalizedRoomId)) {
+            return;
+        }
+        
+        await purgeRoom(normalizedRoomId, 'deleted');
+        
+        res.json({ 
+            success: true,
+            roomId: normalizedRoomId,
+            timestamp: Date.now()
+        });
+        
+    } catch (error) {
+        req.log.error('Delete room error', { error });
+        res.status(500).json({ error: 'Failed to delete room', code: 'INTERNAL_ERROR' });
+    }
+});
+
+app.get('/room/:roomId', validate(schemas.room), async (req, res) => {
+    try {
+        req.log.debug('Check room');
+        
+        const normalizedRoomId = normalizeRoomId(req.params.roomId);
+        
+        const room = await store.get('rooms', normalizedRoomId);
+        
+        if (!room) {
+            return res.status(404).json({ error: 'Room not found', code: 'ROOM_NOT_FOUND' });
+        }
+        
+        res.json({ 
+            exists: true, 
+            roomId: normalizedRoomId,
+            e2eeEnabled: room.e2eeEnabled,
+            upgradedAt: room.upgradedAt || null,
+            importedAt: room.importedAt || null,
+            passwordProtected: Boolean(room.passwordHash),
+            inviteOnly: Boolean(room.inviteOnly),
+            expiresAt: room.expiresAt || null,
+            userCount: (await store.get('roomUsers', normalizedRoomId))?.length || 0,
+            timestamp: Date.now()
+        });
+        
+    } catch (error) {
+        req.log.error('Check room error', { error });
+        res.status(500).json({ error: 'Failed to check room', code: 'INTERNAL_ERROR' });
+    }
+});
+
+// ===== ROOM ACCESS CONTROL (host only) =====
+// Issue an invite code. Body: { expiresIn (ms, default 24h), maxUses (optional) }
+app.post('/rooms/:roomId/invites', requireAuth, validate(schemas.createInvite), async (req, res) => {
+    try {
+        req.log.debug('Create invite');
+        
+        const normalizedRoomId = normalizeRoomId(req.params.roomId);
+        const { expiresIn = 24 * 60 * 60 * 1000, maxUses } = req.body;
+        
+        if (!await loadRoomForHost(req, res, normalizedRoomId)) {
+            return;
+        }
+        
+        const inviteCode = auth.generateSecret(9);
+        const expiresAt = Date.now() + expiresIn;
+        
+        await appendToRoomList('roomInvites', normalizedRoomId, {
+            codeHash: auth.hashCredential(inviteCode),
+            createdBy: req.userId,
+            expiresAt,
+            maxUses: maxUses || null,
+            uses: 0
+        });
+        
+        req.log.info('Invite created', { roomId: normalizedRoomId });
+        
+        res.json({ 
+            success: true,
+            inviteCode,
+            expiresAt,
+            maxUses: maxUses || null,
+            timestamp: Date.now()
+        });
+        
+    } catch (error) {
+        req.log.error('Create invite error', { error });
+        res.status(500).json({ error: 'Failed to create invite', code: 'INTERNAL_ERROR' });
+    }
+});
+
+// Remove a member. Body: { userId }
+app.post('/rooms/:roomId/kick', requireAuth, validate(schemas.roomMember), async (req, res) => {
+    try {
+        req.log.debug('Kick user');
+        
+        const normalizedRoomId = normalizeRoomId(req.params.roomId);
+        const { userId } = req.body;
+        
+        if (!await loadRoomForHost(req, res, normalizedRoomId)) {
+            return;
+        }
+        
+        if (userId === req.userId) {
+            return res.status(400).json({ error: 'Host cannot remove themselves; transfer host rights first', code: 'INVALID_VALUE', field: 'userId' });
+        }
+        
+        if (!await isRoomMember(normalizedRoomId, userId)) {
+            return res.status(404).json({ error: 'User is not a member of this room', code: 'USER_NOT_IN_ROOM' });
+        }
+        
+        await removeRoomUser(normalizedRoomId, userId, 'kicked');
+        
+        req.log.info('User kicked', { roomId: normalizedRoomId, userId });
+        
+        res.json({ 
+            success: true,
+            timestamp: Date.now()
+        });
+        
+    } catch (error) {
+        req.log.error('Kick user error', { error });
+        res.status(500).json({ error: 'Failed to kick user', code: 'INTERNAL_ERROR' });
+    }
+});
+
+// Ban a user (removing them if they are a member). Body: { userId }
+app.post('/rooms/:roomId/ban', requireAuth, validate(schemas.roomMember), async (req, res) => {
+    try {
+        req.log.debug('Ban user');
+        
+        const normalizedRoomId = normalizeRoomId(req.params.roomId);
+        const { userId } = req.body;
+        
+        if (!await loadRoomForHost(req, res, normalizedRoomId)) {
+            return;
+        }
+        
+        if (userId === req.userId) {
+            return res.status(400).json({ error: 'Host cannot ban themselves', code: 'INVALID_VALUE', field: 'userId' });
+        }
+        
+        await store.update('rooms', normalizedRoomId, room => {
+            room.bannedUsers = room.bannedUsers || [];
+            if (!room.bannedUsers.includes(userId)) {
+                room.bannedUsers.push(userId);
+            }
+            return room;
+        });
+        
+        if (await isRoomMember(normalizedRoomId, userId)) {
+            await removeRoomUser(normalizedRoomId, userId, 'banned');
+        }
+        
+        req.log.info('User banned', { roomId: normalizedRoomId, userId });
+        
+        res.json({ 
+            success: true,
+            timestamp: Date.now()
+        });
+        
+    } catch (error) {
+        req.log.error('Ban user error', { error });
+        res.status(500).json({ error: 'Failed to ban user', code: 'INTERNAL_ERROR' });
+    }
+});
+
+app.delete('/rooms/:roomId/ban/:userId', requireAuth, validate(schemas.unban), async (req, res) => {
+    try {
+        req.log.debug('Unban user');
+        
+        const normalizedRoomId = normalizeRoomId(req.params.roomId);
+        const { userId } = req.params;
+        
+        if (!await loadRoomForHost(req, res, normalizedRoomId)) {
+            return;
+        }
+        
+        await store.update('rooms', normalizedRoomId, room => {
+            room.bannedUsers = (room.bannedUsers || []).filter(id => id !== userId);
+            return room;
+        });
+        
+        req.log.info('User unbanned', { roomId: normalizedRoomId, userId });
+        
+        res.json({ 
+            success: true,
+            timestamp: Date.now()
+        });
+        
+    } catch (error) {
+        req.log.error('Unban user error', { error });
+        res.status(500).json({ error: 'Failed to unban user', code: 'INTERNAL_ERROR' });
+    }
+});
+
+// Hand host rights to another member. Body: { newHostId }
+app.post('/rooms/:roomId/transfer-host', requireAuth, validate(schemas.transferHost), async (req, res) => {
+    try {
+        req.log.debug('Transfer host');
+        
+        const normalizedRoomId = normalizeRoomId(req.params.roomId);
+        const { newHostId } = req.body;
+        
+        if (!await loadRoomForHost(req, res, normalizedRoomId)) {
+            return;
+        }
+        
+        if (!await isRoomMember(normalizedRoomId, newHostId)) {
+            return res.status(404).json({ error: 'New host is not a member of this room', code: 'USER_NOT_IN_ROOM' });
+        }
+        
+        await store.update('rooms', normalizedRoomId, room => {
+            room.hostId = newHostId;
+            return room;
+        });
+        
+        eventBus.publish(normalizedRoomId, 'host-changed', {
+            previousHostId: req.userId,
+            hostId: newHostId,
+            roomId: normalizedRoomId,
+            timestamp: Date.now()
+        });
+        
+        req.log.info('Host transferred', { roomId: normalizedRoomId, from: req.userId, to: newHostId });
+        
+        res.json({ 
+            success: true,
+            hostId: newHostId,
+            timestamp: Date.now()
+        });
+        
+    } catch (error) {
+        req.log.error('Transfer host error', { error });
+        res.status(500).json({ error: 'Failed to transfer host', code: 'INTERNAL_ERROR' });
+    }
+});
+
+// Disappearing-message policy (host only; either participant of a direct conversation). Body fields are merged into the current policy:
+// defaultTtlMs applies when a sender gives no expirationTime, requested expiries are clamped into
+// [minTtlMs, maxTtlMs], and burnAfterRead expires a message burnAfterReadMs after it is read.
+// Applies to messages sent afterwards; members get 'message-policy-changed'.
+app.put('/rooms/:roomId/message-policy', requireAuth, validate(schemas.updateMessagePolicy), async (req, res) => {
+    try {
+        req.log.debug('Update message policy');
+        
+        const normalizedRoomId = normalizeRoomId(req.params.roomId);
+        
+        const room = await loadRoomForMember(req, res, normalizedRoomId);
+        if (!room) {
+            return;
+        }
+        
+        if (!room.direct && room.hostId !== req.userId) {
+            return res.status(403).json({ error: 'Only the room host can do this', code: 'HOST_ONLY' });
+        }
+        
+        const policy = { ...describeMessagePolicy(room) };
+        for (const name of ['defaultTtlMs', 'minTtlMs', 'maxTtlMs', 'burnAfterRead', 'burnAfterReadMs']) {
+            if (req.body[name] !== undefined) {
+                policy[name] = req.body[name];
+            }
+        }
+        
+        if (policy.minTtlMs > policy.maxTtlMs) {
+            return res.status(400).json({ error: 'minTtlMs must not exceed maxTtlMs', code: 'INVALID_VALUE', field: 'minTtlMs' });
+        }
+        if (policy.defaultTtlMs < policy.minTtlMs || policy.defaultTtlMs > policy.maxTtlMs) {
+            return res.status(400).json({ error: 'defaultTtlMs must lie between minTtlMs and maxTtlMs', code: 'INVALID_VALUE', field: 'defaultTtlMs' });
+        }
+        
+        await store.update('rooms', normalizedRoomId, current => {
+            current.messagePolicy = policy;
+            return current;
+        });
+        
+        eventBus.publish(normalizedRoomId, 'message-policy-changed', {
+            roomId: normalizedRoomId,
+            policy,
+            changedBy: req.userId,
+            timestamp: Date.now()
+        });
+        
+        req.log.info('Message policy updated', { roomId: normalizedRoomId, burnAfterRead: policy.burnAfterRead });
+        
+        res.json({ 
+            success: true,
+            roomId: normalizedRoomId,
+            policy,
+            timestamp: Date.now()
+        });
+        
+    } catch (error) {
+        req.log.error('Update message policy error', { error });
+        res.status(500).json({ error: 'Failed to update message policy', code: 'INTERNAL_ERROR' });
+    }
+});
+
+// The room's disappearing-message policy (members only)
+app.get('/rooms/:roomId/message-policy', requireAuth, validate(schemas.room), async (req, res) => {
+    try {
+        req.log.debug('Get message policy');
+        
+        const normalizedRoomId = normalizeRoomId(req.params.roomId);
+        
+        const room = await loadRoomForMember(req, res, normalizedRoomId);
+        if (!room) {
+            return;
+        }
+        
+        res.json({ 
+            roomId: normalizedRoomId,
+            policy: describeMessagePolicy(room),
+            timestamp: Date.now()
+        });
+        
+    } catch (error) {
+        req.log.error('Get message policy error', { error });
+        res.status(500).json({ error: 'Failed to get message policy', code: 'INTERNAL_ERROR' });
+    }
+});
+
+// Move a legacy room to E2EE-only. The shared room key is deleted, and with purgeLegacyMessages
+// the stored plaintext history too (otherwise it stays readable until it expires).
+// Clients get 'encryption-upgraded' and must switch to the E2EE endpoints.
+app.post('/rooms/:roomId/upgrade-e2ee', requireAuth, validate(schemas.upgradeRoom), async (req, res) => {
+    try {
+        req.log.debug('Upgrade room to E2EE');
+        
+        const normalizedRoomId = normalizeRoomId(req.params.roomId);
+        const { purgeLegacyMessages = false } = req.body;
+        
+        if (!await loadRoomForHost(req, res, normalizedRoomId)) {
+            return;
+        }
+        
+        let changed = false;
+        const room = await store.update('rooms', normalizedRoomId, current => {
+            if (!current.e2eeEnabled) {
+                changed = true;
+                current.e2eeEnabled = true;
+                current.upgradedAt = Date.now();
+            }
+            return current;
+        });
+        
+        await store.delete('roomKeys', normalizedRoomId);
+        
+        let purgedMessages = 0;
+        if (purgeLegacyMessages) {
+            const purgedIds = new Set();
+            await store.update('messages', normalizedRoomId, (roomMessages = []) => {
+                roomMessages.forEach(msg => purgedIds.add(msg.id));
+                return [];
+            });
+            purgedMessages = purgedIds.size;
+            await store.update('deliveryStates', normalizedRoomId, (states = {}) => {
+                purgedIds.forEach(id => delete states[id]);
+                return states;
+            });
+        }
+        
+        if (changed) {
+            eventBus.publish(normalizedRoomId, 'encryption-upgraded', {
+                roomId: normalizedRoomId,
+                e2eeEnabled: true,
+                upgradedBy: req.userId,
+                legacyMessagesPurged: purgeLegacyMessages,
+                timestamp: room.upgradedAt
+            });
+            req.log.info('Room upgraded to E2EE', { roomId: normalizedRoomId, purgedMessages });
+        }
+        
+        res.json({ 
+            success: true,
+            e2eeEnabled: true,
+            changed,
+            upgradedAt: room.upgradedAt || null,
+            purgedMessages,
+            timestamp: Date.now()
+        });
+        
+    } catch (error) {
+        req.log.error('Upgrade room error', { error });
+        res.status(500).json({ error: 'Failed to upgrade room', code: 'INTERNAL_ERROR' });
+    }
+});
+
+// Which mode each message in the room used (members only). ?since=<timestamp> limits the entries;
+// counts always cover the room's whole history.
+app.get('/rooms/:roomId/audit', requireAuth, validate(schemas.roomAudit), async (req, res) => {
+    try {
+        req.log.debug('Get message audit');
+        
+        const normalizedRoomId = normalizeRoomId(req.params.roomId);
+        const { since = 0 } = req.query;
+        
+        const room = await loadRoomForMember(req, res, normalizedRoomId);
+        if (!room) {
+            return;
+        }
+        
+        const audit = await store.get('messageAudit', normalizedRoomId) || { counts: { accepted: {}, rejected: {} }, entries: [] };
+        
+        res.json({ 
+            roomId: normalizedRoomId,
+            e2eeEnabled: room.e2eeEnabled,
+            upgradedAt: room.upgradedAt || null,
+            counts: audit.counts,
+            entries: audit.entries.filter(entry => entry.timestamp > since),
+            timestamp: Date.now()
+        });
+        
+    } catch (error) {
+        req.log.error('Get message audit error', { error });
+        res.status(500).json({ error: 'Failed to get message audit', code: 'INTERNAL_ERROR' });
+    }
+});
+
+// ===== DIRECT CONVERSATIONS =====
+// One-to-one conversations addressed by the other participant's userId. Each pair shares one
+// E2EE room (roomId in every response) that works with the regular endpoints: keys go through
+// /users/:roomId/..., messages through /send-e2ee, /messages-e2ee and /events.
+// The first open sends a message request. The requester can publish keys and send right away;
+// the recipient is a member too (so it can publish keys before deciding) but gets
+// 403 REQUEST_PENDING from envelopes and events until it accepts.
+
+// Open the conversation with peerId, sending a message request if there is none yet.
+// Opening a conversation the peer requested accepts the request.
+app.post('/direct/:peerId', requireAuth, validate(schemas.directPeer), async (req, res) => {
+    try {
+        req.log.debug('Open direct conversation');
+        
+        const userId = req.userId;
+        const { peerId } = req.params;
+        
+        if (peerId === userId) {
+            return res.status(400).json({ error: 'Cannot open a direct conversation with yourself', code: 'INVALID_VALUE', field: 'peerId' });
+        }
+        
+        if (!await store.has('accounts', peerId)) {
+            return res.status(404).json({ error: 'User not found', code: 'USER_NOT_FOUND' });
+        }
+        
+        const roomId = await directRoomId(userId, peerId);
+        
+        if (!await store.has('rooms', roomId) && (await store.get('directBlocks', peerId) || []).includes(userId)) {
+            return res.status(403).json({ error: 'This user does not accept message requests from you', code: 'REQUEST_BLOCKED' });
+        }
+        
+        let created = false;
+        let room = await store.update('rooms', roomId, current => {
+            if (current) {
+                return current;
+            }
+            created = true;
+            return {
+                hostId: null,
+                timestamp: Date.now(),
+                e2eeEnabled: true,
+                passwordHash: null,
+                inviteOnly: true,
+                bannedUsers: [],
+                lastActivityAt: Date.now(),
+                expiresAt: null,
+                direct: true,
+                participants: [userId, peerId].sort(),
+                requestedBy: userId,
+                status: 'pending',
+                acceptedAt: null
+            };
+        });
+        
+        if (created) {
+            await addRoomUser(roomId, userId);
+            await addRoomUser(roomId, peerId);
+            await linkDirectConversation(userId, peerId, roomId);
+            await linkDirectConversation(peerId, userId, roomId);
+            serverStats.totalRooms++;
+            req.log.info('Message request sent', { roomId, userId });
+        } else {
+            room = await acceptMessageRequest(roomId, peerId) || room;
+        }
+        
+        res.json({ 
+            success: true,
+            ...describeDirectConversation(roomId, room, userId),
+            created,
+            timestamp: Date.now()
+        });
+        
+    } catch (error) {
+        req.log.error('Open direct conversation error', { error });
+        res.status(500).json({ error: 'Failed to open direct conversation', code: 'INTERNAL_ERROR' });
+    }
+});
+
+// Conversations of the authenticated user, most recently active first.
+// ?status=pending lists open message requests (see direction); pendingMessages counts queued envelopes.
+app.get('/direct', requireAuth, validate(schemas.listDirect), async (req, res) => {
+    try {
+        req.log.debug('List direct conversations');
+        
+        const userId = req.userId;
+        const { status } = req.query;
+        const now = Date.now();
+        const conversations = [];
+        
+        for (const roomId of Object.values(await store.get('directConversations', userId) || {})) {
+            const room = await store.get('rooms', roomId);
+            if (!room || (status && room.status !== status)) {
+                continue;
+            }
+            const queue = await store.get('e2eeMessages', roomId) || [];
+            conversations.push({
+                ...describeDirectConversation(roomId, room, userId),
+                pendingMessages: queue.filter(msg => isAddressedTo(msg, userId) && !msg.scheduled && (!msg.expirationTime || msg.expirationTime > now)).length
+            });
+        }
+        conversations.sort((a, b) => b.lastActivityAt - a.lastActivityAt);
+        
+        res.json({ 
+            conversations,
+            blocked: await store.get('directBlocks', userId) || [],
+            timestamp: Date.now()
+        });
+        
+    } catch (error) {
+        req.log.error('List direct conversations error', { error });
+        res.status(500).json({ error: 'Failed to list direct conversations', code: 'INTERNAL_ERROR' });
+    }
+});
+
+// Accept peerId's message request; held envelopes become fetchable and the requester gets 'request-accepted'
+app.post('/direct/:peerId/accept', requireAuth, validate(schemas.directPeer), async (req, res) => {
+    try {
+        req.log.debug('Accept message request');
+        
+        const userId = req.userId;
+        const roomId = await directRoomId(userId, req.params.peerId);
+        
+        const room = await acceptMessageRequest(roomId, req.params.peerId);
+        if (!room) {
+            return res.status(404).json({ error: 'No pending message request from this user', code: 'REQUEST_NOT_FOUND' });
+        }
+        
+        req.log.info('Message request accepted', { roomId, userId });
+        
+        res.json({ 
+            success: true,
+            ...describeDirectConversation(roomId, room, userId),
+            timestamp: Date.now()
+        });
+        
+    } catch (error) {
+        req.log.error('Accept message request error', { error });
+        res.status(500).json({ error: 'Failed to accept message request', code: 'INTERNAL_ERROR' });
+    }
+});
+
+// Decline peerId's message request, dropping the conversation and its held envelopes.
+// Body: { block: true } also refuses any further requests from peerId.
+app.post('/direct/:peerId/decline', requireAuth, validate(schemas.declineDirect), async (req, res) => {
+    try {
+        req.log.debug('Decline message request');
+        
+        const userId = req.userId;
+        const { peerId } = req.params;
+        const { block = false } = req.body;
+        const roomId = await directRoomId(userId, peerId);
+        
+        const room = await store.get('rooms', roomId);
+        if (!room || room.status !== 'pending' || room.requestedBy !== peerId) {
+            return res.status(404).json({ error: 'No pending message request from this user', code: 'REQUEST_NOT_FOUND' });
+        }
+        
+        if (block) {
+            await store.update('directBlocks', userId, (blocked = []) => blocked.includes(peerId) ? blocked : [...blocked, peerId]);
+        }
+        await purgeRoom(roomId, 'declined');
+        
+        req.log.info('Message request declined', { roomId, userId, blocked: block });
+        
+        res.json({ 
+            success: true,
+            blocked: block,
+            timestamp: Date.now()
+        });
+        
+    } catch (error) {
+        req.log.error('Decline message request error', { error });
+        res.status(500).json({ error: 'Failed to decline message request', code: 'INTERNAL_ERROR' });
+    }
+});
+
+// End the conversation with peerId (either participant, also withdraws an own request).
+// Everything stored for it is deleted; the peer's stream gets 'room-deleted'.
+app.delete('/direct/:peerId', requireAuth, validate(schemas.directPeer), async (req, res) => {
+    try {
+        req.log.debug('Close direct conversation');
+        
+        const userId = req.userId;
+        const roomId = await directRoomId(userId, req.params.peerId);
+        
+        if (!await store.has('rooms', roomId)) {
+            return res.status(404).json({ error: 'Direct conversation not found', code: 'CONVERSATION_NOT_FOUND' });
+        }
+        
+        await purgeRoom(roomId, 'closed');
+        
+        req.log.info('Direct conversation closed', { roomId, userId });
+        
+        res.json({ 
+            success: true,
+            timestamp: Date.now()
+        });
+        
+    } catch (error) {
+        req.log.error('Close direct conversation error', { error });
+        res.status(500).json({ error: 'Failed to close direct conversation', code: 'INTERNAL_ERROR' });
+    }
+});
+
+// Accept message requests from peerId again
+app.delete('/direct/blocks/:peerId', requireAuth, validate(schemas.directPeer), async (req, res) => {
+    try {
+        req.log.debug('Unblock user');
+        
+        const { peerId } = req.params;
+        let unblocked = false;
+        
+        await store.update('directBlocks', req.userId, (blocked = []) => {
+            unblocked = blocked.includes(peerId);
+            const remaining = blocked.filter(id => id !== peerId);
+            return remaining.length > 0 ? remaining : undefined;
+        });
+        
+        res.json({ 
+            success: true,
+            unblocked,
+            timestamp: Date.now()
+        });
+        
+    } catch (error) {
+        req.log.error('Unblock user error', { error });
+        res.status(500).json({ error: 'Failed to unblock user', code: 'INTERNAL_ERROR' });
+    }
+});
+
+// ===== ROOM ARCHIVES =====
+// Encrypted, versioned snapshots of a room (see lib/archive) for backups and for moving a room to
+// another server. Only the host exports and only the archived host imports. Members, their keys
+// and messages only come back from archives signed by this server (see archiveSecretPromise);
+// members should still re-verify key fingerprints after an import (importedAt in /room/:roomId
+// tells them one happened).
+
+// Export the room (host only). Body: { passphrase }; the archive opens only with the same passphrase.
+app.post('/rooms/:roomId/export', requireAuth, limits.keys, validate(schemas.exportRoom), async (req, res) => {
+    try {
+        req.log.debug('Export room');
+        
+        const normalizedRoomId = normalizeRoomId(req.params.roomId);
+        
+        if (!await loadRoomForHost(req, res, normalizedRoomId)) {
+            return;
+        }
+        
+        const now = Date.now();
+        const collections = {};
+        for (const collection of ROOM_EXPORT_COLLECTIONS) {
+            const value = await store.get(collection, normalizedRoomId);
+            if (value !== undefined) {
+                collections[collection] = pruneExpiredForArchive(collection, value, now);
+            }
+        }
+        
+        const signature = await signArchive(normalizedRoomId, now, collections);
+        const archive = await sealArchive({ collections, signature }, req.body.passphrase, { roomId: normalizedRoomId, exportedAt: now });
+        
+        req.log.info('Room exported', { roomId: normalizedRoomId, userId: req.userId });
+        
+        res.json(archive);
+        
+    } catch (error) {
+        req.log.error('Export room error', { error });
+        res.status(500).json({ error: 'Failed to export room', code: 'INTERNAL_ERROR' });
+    }
+});
+
+// Import an archive made by /rooms/:roomId/export, here or on another server.
+// Body: { archive, passphrase, roomId?, onConflict? }. roomId imports under a different id. If the
+// room exists, onConflict 'replace' swaps it out (its host only); the default 'fail' answers 409.
+// Expired rooms are refused and expired items dropped, so nothing comes back that the source
+// would already have deleted; room and message lifetimes are capped at this server's limits.
+// Archives not signed here come back without other members, password or bans (verified: false
+// in the response).
+app.post('/rooms/import', requireAuth, limits.keys, validate(schemas.importRoom), async (req, res) => {
+    try {
+        req.log.debug('Import room');
+        
+        const { archive, passphrase, roomId, onConflict = 'fail' } = req.body;
+        
+        let payload;
+        try {
+            payload = await openArchive(archive, passphrase);
+        } catch (error) {
+            if (error instanceof ArchiveError) {
+                return res.status(400).json({ error: error.message, code: error.code, field: 'archive' });
+            }
+            throw error;
+        }
+        
+        const collections = payload && payload.collections;
+        const invalid = !collections || typeof collections !== 'object' || 
+            Object.entries(collections).some(([collection, value]) => 
+                !ROOM_EXPORT_COLLECTIONS.includes(collection) || !isArchiveValueValid(collection, value)
+            );
+        if (invalid || !collections.rooms) {
+            return res.status(400).json({ error: 'Malformed room archive', code: 'INVALID_ARCHIVE', field: 'archive' });
+        }
+        
+        const archivedRoom = collections.rooms;
+        if (archivedRoom.hostId !== req.userId) {
+            return res.status(403).json({ error: 'Only the host of the archived room can import it', code: 'HOST_ONLY' });
+        }
+        
+        const messagePolicy = archivedRoom.messagePolicy === undefined ? undefined : importMessagePolicy(archivedRoom.messagePolicy);
+        const hasValidExpiry = archivedRoom.expiresAt === undefined || archivedRoom.expiresAt === null || 
+            Number.isFinite(archivedRoom.expiresAt);
+        if (messagePolicy === null || !hasValidExpiry) {
+            return res.status(400).json({ error: 'Malformed room archive', code: 'INVALID_ARCHIVE', field: 'archive' });
+        }
+        
+        const now = Date.now();
+        if (archivedRoom.expiresAt && archivedRoom.expiresAt <= now) {
+            return res.status(410).json({ error: 'The archived room has expired', code: 'ROOM_EXPIRED' });
+        }
+        
+        const verified = await isArchiveSignedHere(archive, payload);
+        const imported = verified ? collections : restrictArchiveToImporter(collections, req.userId);
+        const members = new Set([...(imported.roomUsers || []), req.userId]);
+        const room = { members, known: new Set([...members, ...Object.keys(imported.publicKeyHistory || {})]) };
+        
+        let droppedExpired = 0;
+        let droppedInvalid = 0;
+        const prepared = {};
+        for (const collection of ROOM_EXPORT_COLLECTIONS.filter(name => name !== 'rooms')) {
+            if (imported[collection] === undefined) {
+                continue;
+            }
+            const sanitized = sanitizeArchiveValue(collection, imported[collection], room, now);
+            if (!sanitized) {
+                return res.status(400).json({ error: 'Malformed room archive', code: 'INVALID_ARCHIVE', field: 'archive' });
+            }
+            const kept = pruneExpiredForArchive(collection, sanitized.value, now);
+            if (collection !== 'roomSequences') {
+                droppedExpired += countArchiveItems(sanitized.value) - countArchiveItems(kept);
+                droppedInvalid += sanitized.dropped;
+            }
+            prepared[collection] = collection === 'roomUsers' ? [...new Set(kept)] : kept;
+        }
+        
+        // The header roomId is whatever the archive's author put there; hold it to the /create-room rules
+        const roomIdCheck = checkField(roomId || archive.roomId, fields.roomId(), 'roomId');
+        if (roomIdCheck.error) {
+            return res.status(400).json({ error: roomIdCheck.error.message, code: 'INVALID_VALUE', field: 'roomId' });
+        }
+        
+        const normalizedRoomId = normalizeRoomId(roomIdCheck.value);
+        if (normalizedRoomId.startsWith(DIRECT_ROOM_PREFIX)) {
+            return res.status(400).json({ error: `Room ids starting with ${DIRECT_ROOM_PREFIX} are reserved for direct conversations`, code: 'INVALID_VALUE', field: 'roomId' });
+        }
+        
+        const existing = await store.get('rooms', normalizedRoomId);
+        if (existing) {
+            if (onConflict !== 'replace') {
+                return res.status(409).json({ error: 'Room already exists; import under another roomId or with onConflict: replace', code: 'ROOM_EXISTS' });
+            }
+            if (existing.hostId !== req.userId) {
+                return res.status(403).json({ error: 'Only the room host can replace it', code: 'HOST_ONLY' });
+            }
+            await purgeRoom(normalizedRoomId, 'replaced');
+        }
+        
+        // Claim the id like /create-room; only known room fields are taken over
+        let claimed = false;
+        await store.update('rooms', normalizedRoomId, current => {
+            if (current) {
+                return current;
+            }
+            claimed = true;
+            return {
+                hostId: req.userId,
+                timestamp: Number.isFinite(archivedRoom.timestamp) ? archivedRoom.timestamp : now,
+                e2eeEnabled: Boolean(archivedRoom.e2eeEnabled),
+                // Unverified archives could carry any password hash or ban list, so they start without
+                passwordHash: verified && typeof archivedRoom.passwordHash === 'string' ? archivedRoom.passwordHash : null,
+                inviteOnly: Boolean(archivedRoom.inviteOnly),
+                bannedUsers: verified && Array.isArray(archivedRoom.bannedUsers) ? archivedRoom.bannedUsers.filter(isArchiveId) : [],
+                lastActivityAt: now,
+                expiresAt: archivedRoom.expiresAt 
+                    ? Math.min(archivedRoom.expiresAt, now + (retention.roomMaxTtlMs || Infinity)) 
+                    : null,
+                ...(Number.isFinite(archivedRoom.upgradedAt) ? { upgradedAt: archivedRoom.upgradedAt } : {}),
+                ...(messagePolicy ? { messagePolicy } : {}),
+                importedAt: now
+            };
+        });
+        
+        if (!claimed) {
+            return res.status(409).json({ error: 'Room already exists', code: 'ROOM_EXISTS' });
+        }
+        
+        for (const [collection, kept] of Object.entries(prepared)) {
+            await store.set(collection, normalizedRoomId, collection === 'messages'
+                ? kept.map(msg => ({ ...msg, roomId: normalizedRoomId }))
+                : kept);
+        }
+        await addRoomUser(normalizedRoomId, req.userId);
+        
+        const envelopes = await store.get('e2eeMessages', normalizedRoomId) || [];
+        for (const deliverAt of new Set(envelopes.filter(msg => msg.scheduled).map(msg => msg.deliverAt))) {
+            scheduleRelease(normalizedRoomId, deliverAt);
+        }
+        
+        serverStats.totalRooms++;
+        
+        req.log.info('Room imported', {
+            roomId: normalizedRoomId,
+            sourceRoomId: archive.roomId,
+            userId: req.userId,
+            replaced: Boolean(existing),
+            verified,
+            droppedExpired,
+            droppedInvalid
+        });
+        
+        res.json({ 
+            success: true,
+            roomId: normalizedRoomId,
+            sourceRoomId: archive.roomId,
+            exportedAt: archive.exportedAt,
+            replaced: Boolean(existing),
+            verified,
+            memberCount: (await store.get('roomUsers', normalizedRoomId) || []).length,
+            envelopeCount: envelopes.length,
+            droppedExpired,
+            droppedInvalid,
+            timestamp: Date.now()
+        });
+        
+    } catch (error) {
+        req.log.error('Import room error', { error });
+        res.status(500).json({ error: 'Failed to import room', code: 'INTERNAL_ERROR' });
+    }
+});
+
+// ===== USER MANAGEMENT (E2EE) =====
+app.post('/users/:roomId/:userId/publickey', requireAuth, limits.keys, validate(schemas.publishKey), async (req, res) => {
+    try {
+        req.log.debug('Publish public key');
+        
+        const { roomId, userId } = req.params;
+        const { publicKey } = req.body;
+        
+        if (!ensureIdentity(req, res, userId)) {
+            return;
+        }
+        
+        const normalizedRoomId = normalizeRoomId(roomId);
+        
+        if (!await loadRoomForMember(req, res, normalizedRoomId)) {
+            return;
+        }
+        
+        // Store public key. Re-posting the same key is a no-op; a different key becomes a new version.
+        // After a leave and rejoin the last key in the history counts as the previous one.
+        const lastKnown = ((await store.get('publicKeyHistory', normalizedRoomId) || {})[userId] || []).slice(-1)[0];
+        let previous = null;
+        let current = null;
+        await store.update('userPublicKeys', normalizedRoomId, (keys = {}) => {
+            previous = keys[userId] || lastKnown ? describeKey(keys[userId] || lastKnown) : null;
+            if (previous && previous.publicKey === publicKey) {
+                keys[userId] = keys[userId] || previous;
+                current = previous;
+                return keys;
+            }
+            current = {
+                publicKey,
+                fingerprint: fingerprintKey(publicKey),
+                version: (previous?.version || 0) + 1,
+                timestamp: Date.now()
+            };
+            keys[userId] = current;
+            return keys;
+        });
+        
+        const changed = current !== previous;
+        
+        if (changed) {
+            await store.update('publicKeyHistory', normalizedRoomId, (history = {}) => {
+                // Keys stored before history existed are seeded as the first entry
+                const versions = history[userId] || (previous ? [previous] : []);
+                history[userId] = [...versions, current].slice(-KEY_HISTORY_LIMIT);
+                return history;
+            });
+        }
+        
+        // Let peers show a "safety number changed" warning
+        if (changed && previous) {
+            eventBus.publish(normalizedRoomId, 'key-changed', {
+                userId,
+                roomId: normalizedRoomId,
+                version: current.version,
+                fingerprint: current.fingerprint,
+                previousVersion: previous.version,
+                previousFingerprint: previous.fingerprint,
+                timestamp: current.timestamp
+            });
+            req.log.info('Public key changed', { roomId: normalizedRoomId, userId, version: current.version });
+        } else {
+            req.log.info('Public key stored', { roomId: normalizedRoomId, userId });
+        }
+        
+        res.json({ 
+            success: true,
+            version: current.version,
+            fingerprint: current.fingerprint,
+            changed,
+            timestamp: Date.now()
+        });
+        
+    } catch (error) {
+        req.log.error('Store public key error', { error });
+        res.status(500).json({ error: 'Failed to store public key', code: 'INTERNAL_ERROR' });
+    }
+});
+
+app.get('/users/:roomId/:userId/publickey', requireAuth, validate(schemas.roomUser), async (req, res) => {
+    try {
+        req.log.debug('Get public key');
+        
+        const { roomId, userId } = req.params;
+        const normalizedRoomId = normalizeRoomId(roomId);
+        
+        if (!await loadRoomForMember(req, res, normalizedRoomId)) {
+            return;
+        }
+        
+        const roomKeys = await store.get('userPublicKeys', normalizedRoomId);
+        if (!roomKeys || !roomKeys[userId]) {
+            return res.status(404).json({ error: 'Public key not found', code: 'PUBLIC_KEY_NOT_FOUND' });
+        }
+        
+        res.json(describeKey(roomKeys[userId]));
+        
+    } catch (error) {
+        req.log.error('Get public key error', { error });
+        res.status(500).json({ error: 'Failed to get public key', code: 'INTERNAL_ERROR' });
+    }
+});
+
+// Every key version userId has published in this room, oldest first
+app.get('/users/:roomId/:userId/publickey/history', requireAuth, validate(schemas.roomUser), async (req, res) => {
+    try {
+        req.log.debug('Get public key history');
+        
+        const { roomId, userId } = req.params;
+        const normalizedRoomId = normalizeRoomId(roomId);
+        
+        if (!await loadRoomForMember(req, res, normalizedRoomId)) {
+            return;
+        }
+        
+        const history = (await store.get('publicKeyHistory', normalizedRoomId) || {})[userId];
+        if (!history || history.length === 0) {
+            return res.status(404).json({ error: 'Public key not found', code: 'PUBLIC_KEY_NOT_FOUND' });
+        }
+        
+        res.json({ 
+            userId,
+            versions: history.map(describeKey),
+            timestamp: Date.now()
+        });
+        
+    } catch (error) {
+        req.log.error('Get public key history error', { error });
+        res.status(500).json({ error: 'Failed to get public key history', code: 'INTERNAL_ERROR' });
+    }
+});
+
+// Key changes in the room (optionally ?since=<timestamp>), for clients that were offline
+app.get('/rooms/:roomId/key-changes', requireAuth, validate(schemas.keyChanges), async (req, res) => {
+    try {
+        req.log.debug('Get key changes');
+        
+        const normalizedRoomId = normalizeRoomId(req.params.roomId);
+        const { since = 0 } = req.query;
+        
+        if (!await loadRoomForMember(req, res, normalizedRoomId)) {
+            return;
+        }
+        
+        const history = await store.get('publicKeyHistory', normalizedRoomId) || {};
+        const changes = [];
+        
+        for (const [userId, versions] of Object.entries(history)) {
+            const described = versions.map(describeKey);
+            for (let i = 1; i < described.length; i++) {
+                if (described[i].timestamp > since) {
+                    changes.push({
+                        userId,
+                        version: described[i].version,
+                        fingerprint: described[i].fingerprint,
+                        previousVersion: described[i - 1].version,
+                        previousFingerprint: described[i - 1].fingerprint,
+                        changedAt: described[i].timestamp
+                    });
+                }
+            }
+        }
+        
+        changes.sort((a, b) => a.changedAt - b.changedAt);
+        
+        res.json({ 
+            changes,
+            timestamp: Date.now()
+        });
+        
+    } catch (error) {
+        req.log.error('Get key changes error', { error });
+        res.status(500).json({ error: 'Failed to get key changes', code: 'INTERNAL_ERROR' });
+    }
+});
+
+app.get('/rooms/:roomId/users', requireAuth, validate(schemas.room), async (req, res) => {
+    try {
+        req.log.debug('Get room users');
+        
+        const normalizedRoomId = normalizeRoomId(req.params.roomId);
+        
+        if (!await loadRoomForMember(req, res, normalizedRoomId)) {
+            return;
+        }
+        
+        const users = [];
+        const roomUserList = await store.get('roomUsers', normalizedRoomId) || [];
+        const roomKeyMap = await store.get('userPublicKeys', normalizedRoomId) || {};
+        const deviceKeyMap = await store.get('deviceKeys', normalizedRoomId) || {};
+        const presenceMap = await store.get('presence', normalizedRoomId) || {};
+        
+        for (const userId of roomUserList) {
+            const key = roomKeyMap[userId] ? describeKey(roomKeyMap[userId]) : null;
+            const presence = describePresence(presenceMap[userId], { revealLastSeen: userId === req.userId });
+            users.push({
+                userId,
+                publicKey: key?.publicKey || '',
+                keyVersion: key?.version || 0,
+                fingerprint: key?.fingerprint || null,
+                keyChangedAt: key && key.version > 1 ? key.timestamp : null,
+                joinedAt: key?.timestamp || Date.now(),
+                status: presence.status,
+                lastSeen: presence.lastSeen,
+                devices: describeDevices(deviceKeyMap[userId])
+            });
+        }
+        
+        res.json({ 
+            users,
+            totalUsers: users.length,
+            onlineUsers: users.filter(user => user.status !== 'offline').length,
+            timestamp: Date.now()
+        });
+        
+    } catch (error) {
+        req.log.error('Get room users error', { error });
+        res.status(500).json({ error: 'Failed to get room users', code: 'INTERNAL_ERROR' });
+    }
+});
+
+// ===== DEVICES =====
+// A userId can have several devices (phone, laptop, ...), each with its own key pair, so private
+// keys never leave the device. Devices are registered on the account, publish a key per room,
+// and can be addressed individually by /send-e2ee (deviceMessages).
+// Devices share their user's bearer token; the server cannot tell them apart. Revoking a device
+// therefore only withdraws its keys, so nobody encrypts to it any more. A client that still holds
+// the token can register a device again and fetch the user's envelopes until the token expires
+// (AUTH_TOKEN_TTL_MS).
+
+// Register a device (re-registering renames it). Body: { deviceId, name? }
+app.post('/auth/devices', requireAuth, validate(schemas.registerDevice), async (req, res) => {
+    try {
+        req.log.debug('Register device');
+        
+        const { deviceId, name = null } = req.body;
+        
+        let limitReached = false;
+        let device = null;
+        await store.update('devices', req.userId, (devices = {}) => {
+            if (!devices[deviceId] && Object.keys(devices).length >= DEVICE_MAX_PER_USER) {
+                limitReached = true;
+                return devices;
+            }
+            device = { deviceId, name, createdAt: devices[deviceId]?.createdAt || Date.now() };
+            devices[deviceId] = device;
+            return devices;
+        });
+        
+        if (limitReached) {
+            return res.status(409).json({ error: `At most ${DEVICE_MAX_PER_USER} devices per user`, code: 'DEVICE_LIMIT_REACHED' });
+        }
+        
+        req.log.info('Device registered', { userId: req.userId, deviceId });
+        
+        res.json({ 
+            success: true,
+            ...device,
+            timestamp: Date.now()
+        });
+        
+    } catch (error) {
+        req.log.error('Register device error', { error });
+        res.status(500).json({ error: 'Failed to register device', code: 'INTERNAL_ERROR' });
+    }
+});
+
+app.get('/auth/devices', requireAuth, async (req, res) => {
+    try {
+        req.log.debug('List devices');
+        
+        const devices = Object.values(await store.get('devices', req.userId) || {})
+            .sort((a, b) => a.createdAt - b.createdAt);
+        
+        res.json({ 
+            devices,
+            timestamp: Date.now()
+        });
+        
+    } catch (error) {
+        req.log.error('List devices error', { error });
+        res.status(500).json({ error: 'Failed to list devices', code: 'INTERNAL_ERROR' });
+    }
+});
+
+// Revoke a device: its keys are removed from every room, envelopes queued for it are dropped
+// and its push subscriptions are deleted. This does not log the device out (see above).
+app.delete('/auth/devices/:deviceId', requireAuth, validate(schemas.device), async (req, res) => {
+    try {
+        req.log.debug('Revoke device');
+        
+        const { deviceId } = req.params;
+        const userId = req.userId;
+        
+        let found = false;
+        await store.update('devices', userId, (devices = {}) => {
+            found = Boolean(devices[deviceId]);
+            delete devices[deviceId];
+            return Object.keys(devices).length > 0 ? devices : undefined;
+        });
+        
+        if (!found) {
+            return res.status(404).json({ error: 'Device not found', code: 'DEVICE_NOT_FOUND' });
+        }
+        
+        let removedKeys = 0;
+        for (const [roomId, keys] of await store.entries('deviceKeys')) {
+            if (!keys[userId]?.[deviceId]) {
+                continue;
+            }
+            await store.update('deviceKeys', roomId, (current = {}) => {
+                if (current[userId]?.[deviceId]) {
+                    delete current[userId][deviceId];
+                    removedKeys++;
+                }
+                return current;
+            });
+            eventBus.publish(roomId, 'device-revoked', {
+                userId,
+                deviceId,
+                roomId,
+                timestamp: Date.now()
+            });
+        }
+        
+        await store.update('pushSubscriptions', userId, (subscriptions = {}) => {
+            for (const [subscriptionId, subscription] of Object.entries(subscriptions)) {
+                if (subscription.deviceId === deviceId) {
+                    delete subscriptions[subscriptionId];
+                }
+            }
+            return Object.keys(subscriptions).length > 0 ? subscriptions : undefined;
+        });
+        
+        const queuedForDevice = msg => msg.recipientId === userId && msg.recipientDeviceId === deviceId;
+        let removedEnvelopes = 0;
+        for (const [roomId, roomMessageList] of await store.entries('e2eeMessages')) {
+            if (roomMessageList.some(queuedForDevice)) {
+                removedEnvelopes += await pruneList('e2eeMessages', roomId, msg => !queuedForDevice(msg));
+            }
+        }
+        
+        req.log.info('Device revoked', { userId, deviceId, removedKeys, removedEnvelopes });
+        
+        res.json({ 
+            success: true,
+            deviceId,
+            removedKeys,
+            removedEnvelopes,
+            timestamp: Date.now()
+        });
+        
+    } catch (error) {
+        req.log.error('Revoke device error', { error });
+        res.status(500).json({ error: 'Failed to revoke device', code: 'INTERNAL_ERROR' });
+    }
+});
+
+// Publish a device's public key in a room. Same versioning as the user key; peers get 'device-key-changed'.
+app.post('/users/:roomId/:userId/devices/:deviceId/publickey', requireAuth, limits.keys, validate(schemas.publishDeviceKey), async (req, res) => {
+    try {
+        req.log.debug('Publish device key');
+        
+        const { roomId, userId, deviceId } = req.params;
+        const { publicKey } = req.body;
+        
+        if (!ensureIdentity(req, res, userId)) {
+            return;
+        }
+        
+        const normalizedRoomId = normalizeRoomId(roomId);
+        
+        if (!await loadRoomForMember(req, res, normalizedRoomId)) {
+            return;
+        }
+        
+        if (!await loadDevice(res, userId, deviceId)) {
+            return;
+        }
+        
+        let previous = null;
+        let current = null;
+        await store.update('deviceKeys', normalizedRoomId, (keys = {}) => {
+            const userDevices = keys[userId] || {};
+            previous = userDevices[deviceId] || null;
+            if (previous && previous.publicKey === publicKey) {
+                current = previous;
+                return keys;
+            }
+            current = {
+                publicKey,
+                fingerprint: fingerprintKey(publicKey),
+                version: (previous?.version || 0) + 1,
+                timestamp: Date.now()
+            };
+            keys[userId] = { ...userDevices, [deviceId]: current };
+            return keys;
+        });
+        
+        const changed = current !== previous;
+        
+        if (changed) {
+            eventBus.publish(normalizedRoomId, 'device-key-changed', {
+                userId,
+                deviceId,
+                roomId: normalizedRoomId,
+                version: current.version,
+                fingerprint: current.fingerprint,
+                previousFingerprint: previous?.fingerprint || null,
+                timestamp: current.timestamp
+            });
+        }
+        
+        req.log.info('Device key stored', { roomId: normalizedRoomId, userId, deviceId, changed });
+        
+        res.json({ 
+            success: true,
+            deviceId,
+            version: current.version,
+            fingerprint: current.fingerprint,
+            changed,
+            timestamp: Date.now()
+        });
+        
+    } catch (error) {
+        req.log.error('Store device key error', { error });
+        res.status(500).json({ error: 'Failed to store device key', code: 'INTERNAL_ERROR' });
+    }
+});
+
+// Devices userId has published keys for in this room
+app.get('/users/:roomId/:userId/devices', requireAuth, validate(schemas.roomUser), async (req, res) => {
+    try {
+        req.log.debug('Get device keys');
+        
+        const { roomId, userId } = req.params;
+        const normalizedRoomId = normalizeRoomId(roomId);
+        
+        if (!await loadRoomForMember(req, res, normalizedRoomId)) {
+            return;
+        }
+        
+        const deviceKeyMap = await store.get('deviceKeys', normalizedRoomId) || {};
+        
+        res.json({ 
+            userId,
+            devices: describeDevices(deviceKeyMap[userId]),
+            timestamp: Date.now()
+        });
+        
+    } catch (error) {
+        req.log.error('Get device keys error', { error });
+        res.status(500).json({ error: 'Failed to get device keys', code: 'INTERNAL_ERROR' });
+    }
+});
+
+// ===== PREKEY BUNDLES (X3DH) =====
+// Publish or top up a prekey bundle.
+// Body: { identityKey, signedPrekey: { keyId, publicKey, signature }, oneTimePrekeys: [{ keyId, publicKey }] }
+// identityKey and signedPrekey are required on the first upload; later uploads may only add one-time prekeys.
+app.post('/users/:roomId/:userId/prekeys', requireAuth, limits.keys, validate(schemas.publishPrekeys), async (req, res) => {
+    try {
+        req.log.debug('Publish prekeys');
+        
+        const { roomId, userId } = req.params;
+        const { identityKey, signedPrekey, oneTimePrekeys = [] } = req.body;
+        const normalizedRoomId = normalizeRoomId(roomId);
+        
+        if (!ensureIdentity(req, res, userId)) {
+            return;
+        }
+        
+        if (!await loadRoomForMember(req, res, normalizedRoomId)) {
+            return;
+        }
+        
+        const existing = (await store.get('prekeyBundles', normalizedRoomId) || {})[userId];
+        
+        if (!existing && (!identityKey || !signedPrekey)) {
+            return res.status(400).json({ 
+                error: 'identityKey and signedPrekey are required for the first upload',
+                code: 'MISSING_FIELD',
+                field: identityKey ? 'signedPrekey' : 'identityKey'
+            });
+        }
+        
+        // A new identity key invalidates every prekey signed by the old one
+        const identityChanged = Boolean(existing && identityKey && identityKey !== existing.identityKey);
+        if (identityChanged && !signedPrekey) {
+            return res.status(400).json({ 
+                error: 'A new identityKey needs a signedPrekey signed by it',
+                code: 'MISSING_FIELD',
+                field: 'signedPrekey'
+            });
+        }
+        
+        let remaining = 0;
+        let missingField = null;
+        await store.update('prekeyBundles', normalizedRoomId, (bundles = {}) => {
+            const current = identityChanged ? null : bundles[userId];
+            // The bundle may have been removed (user left) since it was read above
+            if (!current && (!identityKey || !signedPrekey)) {
+                missingField = identityKey ? 'signedPrekey' : 'identityKey';
+                return bundles;
+            }
+            const known = new Set((current?.oneTimePrekeys || []).map(prekey => String(prekey.keyId)));
+            const added = oneTimePrekeys
+                .filter(prekey => !known.has(String(prekey.keyId)))
+                .map(({ keyId, publicKey }) => ({ keyId, publicKey }));
+            
+            bundles[userId] = {
+                identityKey: identityKey || current.identityKey,
+                signedPrekey: signedPrekey
+                    ? { keyId: signedPrekey.keyId, publicKey: signedPrekey.publicKey, signature: signedPrekey.signature }
+                    : current.signedPrekey,
+                oneTimePrekeys: [...(current?.oneTimePrekeys || []), ...added].slice(-PREKEY_MAX_STORED),
+                updatedAt: Date.now()
+            };
+            remaining = bundles[userId].oneTimePrekeys.length;
+            return bundles;
+        });
+        
+        if (missingField) {
+            return res.status(400).json({ 
+                error: 'identityKey and signedPrekey are required for the first upload',
+                code: 'MISSING_FIELD',
+                field: missingField
+            });
+        }
+        
+        req.log.info('Prekeys published', { roomId: normalizedRoomId, userId, oneTimePrekeys: remaining });
+        
+        res.json({ 
+            success: true,
+            oneTimePrekeysRemaining: remaining,
+            low: remaining < PREKEY_LOW_THRESHOLD,
+            timestamp: Date.now()
+        });
+        
+    } catch (error) {
+        req.log.error('Publish prekeys error', { error });
+        res.status(500).json({ error: 'Failed to publish prekeys', code: 'INTERNAL_ERROR' });
+    }
+});
+
+// Fetch a bundle to start a session with userId. Consumes one one-time prekey;
+// oneTimePrekey is null once the supply is exhausted (signed-prekey-only handshake).
+app.get('/users/:roomId/:userId/prekey-bundle', requireAuth, limits.keys, validate(schemas.roomUser), async (req, res) => {
+    try {
+        req.log.debug('Get prekey bundle');
+        
+        const { roomId, userId } = req.params;
+        const normalizedRoomId = normalizeRoomId(roomId);
+        
+        if (!await loadRoomForMember(req, res, normalizedRoomId)) {
+            return;
+        }
+        
+        let bundle = null;
+        let oneTimePrekey = null;
+        await store.update('prekeyBundles', normalizedRoomId, (bundles = {}) => {
+            bundle = bundles[userId] || null;
+            if (bundle && bundle.oneTimePrekeys.length > 0) {
+                oneTimePrekey = bundle.oneTimePrekeys.shift();
+            }
+            return bundles;
+        });
+        
+        if (!bundle) {
+            return res.status(404).json({ error: 'Prekey bundle not found', code: 'PREKEY_BUNDLE_NOT_FOUND' });
+        }
+        
+        const remaining = bundle.oneTimePrekeys.length;
+        
+        // Tell the owner to upload more before the supply runs out
+        if (oneTimePrekey && remaining < PREKEY_LOW_THRESHOLD) {
+            eventBus.publish(normalizedRoomId, 'prekeys-low', {
+                userId,
+                roomId: normalizedRoomId,
+                remaining,
+                timestamp: Date.now()
+            }, { recipientId: userId });
+        }
+        
+        res.json({ 
+            userId,
+            identityKey: bundle.identityKey,
+            signedPrekey: bundle.signedPrekey,
+            oneTimePrekey,
+            timestamp: Date.now()
+        });
+        
+    } catch (error) {
+        req.log.error('Get prekey bundle error', { error });
+        res.status(500).json({ error: 'Failed to get prekey bundle', code: 'INTERNAL_ERROR' });
+    }
+});
+
+// Owner-only view of how many one-time prekeys are left
+app.get('/users/:roomId/:userId/prekeys/count', requireAuth, validate(schemas.roomUser), async (req, res) => {
+    try {
+        req.log.debug('Get prekey count');
+        
+        const { roomId, userId } = req.params;
+        const normalizedRoomId = normalizeRoomId(roomId);
+        
+        if (!ensureIdentity(req, res, userId)) {
+            return;
+        }
+        
+        if (!await loadRoomForMember(req, res, normalizedRoomId)) {
+            return;
+        }
+        
+        const bundle = (await store.get('prekeyBundles', normalizedRoomId) || {})[userId];
+        const remaining = bundle ? bundle.oneTimePrekeys.length : 0;
+        
+        res.json({ 
+            oneTimePrekeysRemaining: remaining,
+            low: remaining < PREKEY_LOW_THRESHOLD,
+            threshold: PREKEY_LOW_THRESHOLD,
+            timestamp: Date.now()
+        });
+        
+    } catch (error) {
+        req.log.error('Get prekey count error', { error });
+        res.status(500).json({ error: 'Failed to get prekey count', code: 'INTERNAL_ERROR' });
+    }
+});
+
+// ===== E2EE MESSAGE OPERATIONS =====
+app.post('/send-e2ee', requireAuth, limits.send, validate(schemas.sendE2EE), async (req, res) => {
+    try {
+        req.log.debug('Send E2EE message');
+        
+        const { roomId, senderId, encryptedMessages = {}, deviceMessages = {}, expirationTime, deliverAt, attachmentIds = [] } = req.body;
+        
+        if (!ensureIdentity(req, res, senderId)) {
+            return;
+        }
+        
+        const normalizedRoomId = normalizeRoomId(roomId);
+        
+        const room = await loadRoomForMember(req, res, normalizedRoomId);
+        if (!room || rejectPendingRequest(req, res, room)) {
+            return;
+        }
+        
+        if (room.direct && [...Object.keys(encryptedMessages), ...Object.keys(deviceMessages)].some(recipientId => !room.participants.includes(recipientId))) {
+            return res.status(400).json({ error: 'Direct conversations only address their two participants', code: 'INVALID_VALUE', field: 'encryptedMessages' });
+        }
+        
+        if (!await checkE2EEAddressing(res, encryptedMessages, deviceMessages)) {
+            return;
+        }
+        
+        // Attachments must be fully uploaded by the sender to this room
+        for (const attachmentId of attachmentIds) {
+            const attachment = await store.get('attachments', attachmentId);
+            if (!attachment || attachment.roomId !== normalizedRoomId || attachment.uploaderId !== senderId) {
+                return res.status(400).json({ error: `Unknown attachment: ${attachmentId}`, code: 'ATTACHMENT_NOT_FOUND', field: 'attachmentIds' });
+            }
+            if (attachment.status !== 'complete') {
+                return res.status(409).json({ error: `Attachment upload not complete: ${attachmentId}`, code: 'UPLOAD_INCOMPLETE', field: 'attachmentIds' });
+            }
+        }
+        
+        const deviceCiphertexts = Object.values(deviceMessages).flatMap(ciphertexts => Object.values(ciphertexts));
+        const quotaError = await checkStorageQuotas(normalizedRoomId, {
+            recipientIds: [...Object.keys(encryptedMessages), ...Object.keys(deviceMessages)],
+            incomingBytes: [...Object.values(encryptedMessages), ...deviceCiphertexts].reduce((total, data) => total + payloadBytes(data), 0)
+        });
+        if (quotaError) {
+            return rejectOverLimit(req, res, quotaError);
+        }
+        
+        const messageId = generateMessageId();
+        const timestamp = Date.now();
+        
+        // A future deliverAt holds the envelopes back until then; the TTL counts from delivery
+        if (deliverAt && deliverAt > timestamp + MESSAGE_MAX_SCHEDULE_MS) {
+            return res.status(400).json({ error: `deliverAt must be within ${MESSAGE_MAX_SCHEDULE_MS} ms`, code: 'OUT_OF_RANGE', field: 'deliverAt' });
+        }
+        const scheduled = Boolean(deliverAt) && deliverAt > timestamp;
+        const finalExpirationTime = resolveExpiration(room, expirationTime, scheduled ? deliverAt : timestamp);
+        const seq = await nextRoomSequence(normalizedRoomId);
+        
+        // Referenced attachments live as long as the longest-lived message pointing at them
+        for (const attachmentId of attachmentIds) {
+            await store.update('attachments', attachmentId, attachment => {
+                attachment.expirationTime = attachment.messageIds.length > 0
+                    ? Math.max(attachment.expirationTime, finalExpirationTime)
+                    : finalExpirationTime;
+                attachment.messageIds.push(messageId);
+                return attachment;
+            });
+        }
+        
+        // Store message for each recipient, or for each addressed device of a recipient
+        const buildEnvelope = (recipientId, deviceId, encryptedData) => ({
+            id: deviceId ? `${messageId}_${recipientId}_${deviceId}` : `${messageId}_${recipientId}`,
+            messageId,
+            seq,
+            senderId,
+            recipientId,
+            ...(deviceId ? { recipientDeviceId: deviceId } : {}),
+            encryptedData,
+            ...(attachmentIds.length > 0 ? { attachmentIds } : {}),
+            timestamp,
+            expirationTime: finalExpirationTime,
+            ...(scheduled ? { deliverAt, scheduled: true } : {})
+        });
+        const envelopes = [
+            ...Object.entries(encryptedMessages).map(([recipientId, encryptedData]) => buildEnvelope(recipientId, null, encryptedData)),
+            ...Object.entries(deviceMessages).flatMap(([recipientId, ciphertexts]) =>
+                Object.entries(ciphertexts).map(([deviceId, encryptedData]) => buildEnvelope(recipientId, deviceId, encryptedData))
+            )
+        ];
+        const recipientIds = [...Object.keys(encryptedMessages), ...Object.keys(deviceMessages)];
+        
+        await appendToRoomList('e2eeMessages', normalizedRoomId, ...envelopes);
+        await touchRoom(normalizedRoomId);
+        const recipientCount = recipientIds.length;
+        
+        await store.update('e2eeMessageIndex', normalizedRoomId, (index = {}) => {
+            index[messageId] = {
+                senderId,
+                recipientIds,
+                ...(Object.keys(deviceMessages).length > 0 ? { recipientDevices: describeRecipientDevices(deviceMessages) } : {}),
+                timestamp,
+                expirationTime: finalExpirationTime,
+                ...(scheduled ? { deliverAt } : {})
+            };
+            return index;
+        });
+        
+        await trackDelivery(normalizedRoomId, messageId, senderId, recipientIds, finalExpirationTime);
+        
+        if (scheduled) {
+            scheduleRelease(normalizedRoomId, deliverAt);
+        } else {
+            for (const envelope of envelopes) {
+                eventBus.publish(normalizedRoomId, 'e2ee-message', envelope, {
+                    recipientId: envelope.recipientId,
+                    recipientDeviceId: envelope.recipientDeviceId
+                });
+            }
+        }
+        setTyping(normalizedRoomId, senderId, false);
+        // Held message requests wake nobody; scheduled messages wake recipients once released
+        if (!scheduled && (!room.direct || room.status !== 'pending')) {
+            notifyOfflineRecipients(normalizedRoomId, recipientIds.filter(id => id !== senderId)).catch(error => {
+                req.log.error('Push notification error', { error });
+            });
+        }
+        
+        serverStats.totalE2EEMessages += envelopes.length;
+        
+        await recordMessageMode(normalizedRoomId, { messageId, mode: 'e2ee', senderId });
+        messagesAccepted.inc({ kind: 'e2ee' });
+        req.log.info('E2EE message stored', { roomId: normalizedRoomId, senderId, messageId, recipientCount });
+        
+        res.json({ 
+            success: true,
+            messageId,
+            seq,
+            recipientCount,
+            envelopeCount: envelopes.length,
+            expirationTime: finalExpirationTime,
+            deliverAt: scheduled ? deliverAt : null,
+            timestamp
+        });
+        
+    } catch (error) {
+        req.log.error('Send E2EE message error', { error });
+        res.status(500).json({ error: 'Failed to send E2EE message', code: 'INTERNAL_ERROR' });
+    }
+});
+
+app.get('/messages-e2ee/:roomId/:userId', requireAuth, limits.fetch, validate(schemas.getE2EEMessages), async (req, res) => {
+    try {
+        req.log.debug('Get E2EE messages');
+        
+        const { roomId, userId } = req.params;
+        const normalizedRoomId = normalizeRoomId(roomId);
+        
+        if (!ensureIdentity(req, res, userId)) {
+            return;
+        }
+        
+        // Optional incremental sync: ?since=<seq> returns only newer envelopes, ?limit=<n> caps the page.
+        // ?deviceId= narrows the queue to that device (see isAddressedTo)
+        const { since = 0, limit, deviceId } = req.query;
+        
+        const room = await loadRoomForMember(req, res, normalizedRoomId);
+        if (!room || rejectPendingRequest(req, res, room)) {
+            return;
+        }
+        
+        if (deviceId && !await loadDevice(res, userId, deviceId)) {
+            return;
+        }
+        
+        // Release due scheduled messages and clean this room's expired ones first
+        await releaseScheduledEnvelopes(normalizedRoomId);
+        await cleanupExpiredRoomMessages(normalizedRoomId);
+        
+        const roomMessageList = await store.get('e2eeMessages', normalizedRoomId) || [];
+        const now = Date.now();
+        
+        // Get messages for this specific user that haven't expired (or are still scheduled)
+        const pendingMessages = roomMessageList
+            .filter(msg => 
+                isAddressedTo(msg, userId, deviceId) && 
+                !msg.scheduled &&
+                (msg.seq || 0) > since &&
+                (!msg.expirationTime || msg.expirationTime > now)
+            )
+            .sort((a, b) => (a.seq || 0) - (b.seq || 0) || (a.timestamp || 0) - (b.timestamp || 0));
+        
+        const userMessages = limit ? pendingMessages.slice(0, limit) : pendingMessages;
+        const cursor = userMessages.length > 0 ? (userMessages[userMessages.length - 1].seq || 0) : since;
+        
+        // Handing an envelope to its recipient counts as delivery (sealed envelopes are not tracked)
+        const trackedIds = userMessages.filter(msg => !msg.sealed).map(msg => msg.messageId);
+        if (trackedIds.length > 0) {
+            await advanceDeliveryState(normalizedRoomId, userId, trackedIds, 'delivered');
+        }
+        
+        // Body stays a plain array for older clients; the cursor travels in headers
+        res.set('X-Sync-Cursor', String(cursor));
+        res.set('X-Has-More', String(userMessages.length < pendingMessages.length));
+        res.json(userMessages);
+        
+    } catch (error) {
+        req.log.error('Get E2EE messages error', { error });
+        res.status(500).json({ error: 'Failed to get E2EE messages', code: 'INTERNAL_ERROR' });
+    }
+});
+
+// Acknowledge envelopes the recipient has decrypted so the server can drop them.
+// Body: { ids: [envelope ids] } and/or { upTo: seq } (everything with seq <= upTo), plus an optional
+// deviceId limiting the ack to that device's queue. User-wide envelopes leave for all devices at once.
+app.post('/messages-e2ee/:roomId/:userId/ack', requireAuth, limits.fetch, validate(schemas.ackE2EEMessages), async (req, res) => {
+    try {
+        req.log.debug('Acknowledge E2EE messages');
+        
+        const { roomId, userId } = req.params;
+        const { ids, upTo, deviceId } = req.body;
+        const normalizedRoomId = normalizeRoomId(roomId);
+        
+        if (!ensureIdentity(req, res, userId)) {
+            return;
+        }
+        
+        const ackUpTo = upTo !== undefined ? upTo : null;
+        const ackIds = ids ? new Set(ids) : null;
+        
+        if (!ackIds && ackUpTo === null) {
+            return res.status(400).json({ error: 'Provide ids (array) or upTo (sequence number)', code: 'MISSING_FIELD', field: 'ids' });
+        }
+        
+        const room = await loadRoomForMember(req, res, normalizedRoomId);
+        if (!room || rejectPendingRequest(req, res, room)) {
+            return;
+        }
+        
+        if (deviceId && !await loadDevice(res, userId, deviceId)) {
+            return;
+        }
+        
+        let acknowledged = 0;
+        await store.update('e2eeMessages', normalizedRoomId, (roomMessageList = []) => {
+            const remaining = roomMessageList.filter(msg => 
+                msg.scheduled ||
+                !isAddressedTo(msg, userId, deviceId) ||
+                !((ackIds && ackIds.has(msg.id)) || (ackUpTo !== null && (msg.seq || 0) <= ackUpTo))
+            );
+            acknowledged = roomMessageList.length - remaining.length;
+            return remaining;
+        });
+        
+        req.log.info('E2EE messages acknowledged', { roomId: normalizedRoomId, userId, acknowledged });
+        
+        res.json({ 
+            success: true,
+            acknowledged,
+            timestamp: Date.now()
+        });
+        
+    } catch (error) {
+        req.log.error('Acknowledge E2EE messages error', { error });
+        res.status(500).json({ error: 'Failed to acknowledge E2EE messages', code: 'INTERNAL_ERROR' });
+    }
+});
+
+// Edit an E2EE message (sender only). Body: { encryptedMessages?, deviceMessages? } as for
+// /send-e2ee. Only recipients of the original message can be addressed; each new ciphertext
+// replaces the pending one for the same recipient and device.
+app.put('/messages-e2ee/:roomId/:messageId', requireAuth, limits.send, validate(schemas.editE2EEMessage), async (req, res) => {
+    try {
+        req.log.debug('Edit E2EE message');
+        
+        const { roomId, messageId } = req.params;
+        const { encryptedMessages = {}, deviceMessages = {} } = req.body;
+        const normalizedRoomId = normalizeRoomId(roomId);
+        
+        if (!await loadRoomForMember(req, res, normalizedRoomId)) {
+            return;
+        }
+        
+        const original = (await store.get('e2eeMessageIndex', normalizedRoomId) || {})[messageId];
+        if (!original || original.deleted) {
+            return res.status(404).json({ error: 'Message not found', code: 'MESSAGE_NOT_FOUND' });
+        }
+        
+        if (original.senderId !== req.userId) {
+            return res.status(403).json({ error: 'Only the sender can edit this message', code: 'NOT_SENDER' });
+        }
+        
+        const recipientIds = [...Object.keys(encryptedMessages), ...Object.keys(deviceMessages)];
+        if (recipientIds.some(id => !original.recipientIds.includes(id))) {
+            return res.status(400).json({ error: 'Edits can only address the original recipients', code: 'INVALID_VALUE', field: 'encryptedMessages' });
+        }
+        
+        if (!await checkE2EEAddressing(res, encryptedMessages, deviceMessages)) {
+            return;
+        }
+        
+        const editedAt = Date.now();
+        const buildEnvelope = (recipientId, deviceId, encryptedData, seq) => ({
+            id: deviceId ? `${messageId}_${recipientId}_${deviceId}_${seq}` : `${messageId}_${recipientId}_${seq}`,
+            messageId,
+            seq,
+            senderId: original.senderId,
+            recipientId,
+            ...(deviceId ? { recipientDeviceId: deviceId } : {}),
+            encryptedData,
+            edited: true,
+            editedAt,
+            timestamp: original.timestamp,
+            expirationTime: original.expirationTime,
+            ...(original.deliverAt > editedAt ? { deliverAt: original.deliverAt, scheduled: true } : {})
+        });
+        const { seq, replacements } = await replaceE2EEEnvelopes(normalizedRoomId, messageId, seq => [
+            ...Object.entries(encryptedMessages).map(([recipientId, encryptedData]) => buildEnvelope(recipientId, null, encryptedData, seq)),
+            ...Object.entries(deviceMessages).flatMap(([recipientId, ciphertexts]) =>
+                Object.entries(ciphertexts).map(([deviceId, encryptedData]) => buildEnvelope(recipientId, deviceId, encryptedData, seq))
+            )
+        ]);
+        
+        req.log.info('E2EE message edited', { roomId: normalizedRoomId, userId: req.userId, messageId });
+        
+        res.json({ 
+            success: true,
+            messageId,
+            seq,
+            recipientCount: recipientIds.length,
+            envelopeCount: replacements.length,
+            timestamp: editedAt
+        });
+        
+    } catch (error) {
+        req.log.error('Edit E2EE message error', { error });
+        res.status(500).json({ error: 'Failed to edit E2EE message', code: 'INTERNAL_ERROR' });
+    }
+});
+
+// Delete an E2EE message for everyone (sender, or the host for moderation).
+// Pending ciphertext is dropped and each recipient gets a tombstone envelope instead.
+app.delete('/messages-e2ee/:roomId/:messageId', requireAuth, limits.send, validate(schemas.roomMessage), async (req, res) => {
+    try {
+        req.log.debug('Delete E2EE message');
+        
+        const { roomId, messageId } = req.params;
+        const normalizedRoomId = normalizeRoomId(roomId);
+        
+        const room = await loadRoomForMember(req, res, normalizedRoomId);
+        if (!room) {
+            return;
+        }
+        
+        const original = (await store.get('e2eeMessageIndex', normalizedRoomId) || {})[messageId];
+        if (!original || original.deleted) {
+            return res.status(404).json({ error: 'Message not found', code: 'MESSAGE_NOT_FOUND' });
+        }
+        
+        if (original.senderId !== req.userId && room.hostId !== req.userId) {
+            return res.status(403).json({ error: 'Only the sender or the room host can delete this message', code: 'NOT_SENDER' });
+        }
+        
+        const deletedAt = Date.now();
+        
+        // A message still waiting for its deliverAt is cancelled outright: nobody saw it, so no tombstones
+        if (original.deliverAt > deletedAt) {
+            await pruneList('e2eeMessages', normalizedRoomId, msg => msg.messageId !== messageId);
+            for (const collection of ['e2eeMessageIndex', 'deliveryStates']) {
+                await store.update(collection, normalizedRoomId, (map = {}) => {
+                    delete map[messageId];
+                    return map;
+                });
+            }
+            
+            req.log.info('Scheduled E2EE message cancelled', { roomId: normalizedRoomId, userId: req.userId, messageId });
+            
+            return res.json({ 
+                success: true,
+                messageId,
+                cancelled: true,
+                timestamp: deletedAt
+            });
+        }
+        
+        // A tombstone for every device the message went to (or the user, when sent user-wide), and
+        // for whatever is still pending, e.g. a user-wide edit of a message sent per device
+        const addresses = new Map();
+        const addAddress = (recipientId, deviceId) => addresses.set(`${recipientId}\n${deviceId || ''}`, [recipientId, deviceId]);
+        for (const recipientId of original.recipientIds) {
+            for (const deviceId of (original.recipientDevices || {})[recipientId] || [null]) {
+                addAddress(recipientId, deviceId);
+            }
+        }
+        for (const msg of await store.get('e2eeMessages', normalizedRoomId) || []) {
+            if (msg.messageId === messageId) {
+                addAddress(msg.recipientId, msg.recipientDeviceId || null);
+            }
+        }
+        
+        const { seq } = await replaceE2EEEnvelopes(normalizedRoomId, messageId, seq => [...addresses.values()].map(([recipientId, deviceId]) => ({
+            id: deviceId ? `${messageId}_${recipientId}_${deviceId}_${seq}` : `${messageId}_${recipientId}_${seq}`,
+            messageId,
+            seq,
+            senderId: original.senderId,
+            recipientId,
+            ...(deviceId ? { recipientDeviceId: deviceId } : {}),
+            tombstone: true,
+            deletedBy: req.userId,
+            deletedAt,
+            timestamp: original.timestamp,
+            expirationTime: original.expirationTime
+        })));
+        
+        await store.update('e2eeMessageIndex', normalizedRoomId, (index = {}) => {
+            if (index[messageId]) {
+                index[messageId].deleted = true;
+            }
+            return index;
+        });
+        
+        req.log.info('E2EE message deleted', { roomId: normalizedRoomId, userId: req.userId, messageId });
+        
+        res.json({ 
+            success: true,
+            messageId,
+            seq,
+            timestamp: deletedAt
+        });
+        
+    } catch (error) {
+        req.log.error('Delete E2EE message error', { error });
+        res.status(500).json({ error: 'Failed to delete E2EE message', code: 'INTERNAL_ERROR' });
+    }
+});
+
+// ===== SEALED SENDER =====
+// Optional mode where the relay never learns who sent an envelope. Recipients issue a delivery
+// token and share it with their contacts inside E2EE messages; /send-sealed takes no bearer token
+// and authorizes each envelope with its recipient's delivery token instead. Sealed envelopes can
+// be fetched and acked like any other, but not edited or deleted (nothing ties them to a sender).
+
+// Issue (or rotate) the caller's delivery token. The plaintext token is only returned here.
+app.post('/users/:roomId/:userId/delivery-token', requireAuth, limits.keys, validate(schemas.roomUser), async (req, res) => {
+    try {
+        req.log.debug('Issue delivery token');
+        
+        const { roomId, userId } = req.params;
+        const normalizedRoomId = normalizeRoomId(roomId);
+        
+        if (!ensureIdentity(req, res, userId)) {
+            return;
+        }
+        
+        if (!await loadRoomForMember(req, res, normalizedRoomId)) {
+            return;
+        }
+        
+        const deliveryToken = auth.generateSecret(24);
+        await store.update('deliveryTokens', normalizedRoomId, (tokens = {}) => {
+            tokens[userId] = { tokenHash: auth.hashCredential(deliveryToken), createdAt: Date.now() };
+            return tokens;
+        });
+        
+        res.json({ 
+            success: true,
+            deliveryToken,
+            timestamp: Date.now()
+        });
+        
+    } catch (error) {
+        req.log.error('Issue delivery token error', { error });
+        res.status(500).json({ error: 'Failed to issue delivery token', code: 'INTERNAL_ERROR' });
+    }
+});
+
+// Stop accepting sealed envelopes
+app.delete('/users/:roomId/:userId/delivery-token', requireAuth, validate(schemas.roomUser), async (req, res) => {
+    try {
+        req.log.debug('Revoke delivery token');
+        
+        const { roomId, userId } = req.params;
+        const normalizedRoomId = normalizeRoomId(roomId);
+        
+        if (!ensureIdentity(req, res, userId)) {
+            return;
+        }
+        
+        if (!await loadRoomForMember(req, res, normalizedRoomId)) {
+            return;
+        }
+        
+        let revoked = false;
+        await store.update('deliveryTokens', normalizedRoomId, (tokens = {}) => {
+            revoked = Boolean(tokens[userId]);
+            delete tokens[userId];
+            return tokens;
+        });
+        
+        res.json({ 
+            success: true,
+            revoked,
+            timestamp: Date.now()
+        });
+        
+    } catch (error) {
+        req.log.error('Revoke delivery token error', { error });
+        res.status(500).json({ error: 'Failed to revoke delivery token', code: 'INTERNAL_ERROR' });
+    }
+});
+
+// Body: { roomId, envelopes: { recipientId: { deliveryToken, encryptedData } }, expirationTime? }
+// Unauthenticated on purpose. Every token must match, otherwise nothing is stored; the response
+// does not say which recipient failed, and an unknown room looks the same as a bad token.
+app.post('/send-sealed', limits.send, validate(schemas.sendSealed), async (req, res) => {
+    try {
+        req.log.debug('Send sealed message');
+        
+        const { roomId, envelopes, expirationTime } = req.body;
+        const normalizedRoomId = normalizeRoomId(roomId);
+        
+        const room = await store.get('rooms', normalizedRoomId);
+        const tokens = room ? await store.get('deliveryTokens', normalizedRoomId) || {} : {};
+        const authorized = Object.entries(envelopes).every(([recipientId, envelope]) => 
+            tokens[recipientId] && auth.credentialMatches(envelope.deliveryToken, tokens[recipientId].tokenHash)
+        );
+        
+        if (!authorized) {
+            return res.status(401).json({ error: 'Invalid delivery token', code: 'INVALID_DELIVERY_TOKEN', field: 'envelopes' });
+        }
+        
+        const quotaError = await checkStorageQuotas(normalizedRoomId, {
+            recipientIds: Object.keys(envelopes),
+            incomingBytes: Object.values(envelopes).reduce((total, envelope) => total + payloadBytes(envelope.encryptedData), 0)
+        });
+        if (quotaError) {
+            return rejectOverLimit(req, res, quotaError);
+        }
+        
+        const messageId = generateMessageId();
+        const timestamp = Date.now();
+        const seq = await nextRoomSequence(normalizedRoomId);
+        
+        // Only what routing and expiry need: no senderId, no send time, no message index
+        const sealedEnvelopes = Object.entries(envelopes).map(([recipientId, envelope]) => ({
+            id: `${messageId}_${recipientId}`,
+            messageId,
+            seq,
+            recipientId,
+            encryptedData: envelope.encryptedData,
+            sealed: true,
+            expirationTime: resolveExpiration(room, expirationTime, timestamp)
+        }));
+        
+        await appendToRoomList('e2eeMessages', normalizedRoomId, ...sealedEnvelopes);
+        await touchRoom(normalizedRoomId);
+        
+        for (const envelope of sealedEnvelopes) {
+            eventBus.publish(normalizedRoomId, 'e2ee-message', envelope, { recipientId: envelope.recipientId });
+        }
+        
+        serverStats.totalE2EEMessages += sealedEnvelopes.length;
+        
+        await recordMessageMode(normalizedRoomId, { messageId, mode: 'sealed' });
+        messagesAccepted.inc({ kind: 'sealed' });
+        req.log.info('Sealed message stored', { recipientCount: sealedEnvelopes.length });
+        
+        res.json({ 
+            success: true,
+            messageId,
+            seq,
+            recipientCount: sealedEnvelopes.length,
+            expirationTime: sealedEnvelopes[0].expirationTime,
+            timestamp
+        });
+        
+    } catch (error) {
+        req.log.error('Send sealed message error', { error });
+        res.status(500).json({ error: 'Failed to send sealed message', code: 'INTERNAL_ERROR' });
+    }
+});
+
+// ===== GROUP KEYS (sender keys / MLS-style epochs) =====
+// Members distribute a group key per epoch as key packages encrypted to each other member, then
+// send every message once under that key. Joins, leaves, kicks and bans bump the epoch
+// ('epoch-changed' event); group messages tagged with any other epoch are refused.
+
+// Body: { epoch, packages: { recipientId: encryptedPackage } }
+// Any member may publish: one committer for MLS-style groups, or every member for sender keys.
+app.post('/rooms/:roomId/group-keys', requireAuth, limits.keys, validate(schemas.publishGroupKeys), async (req, res) => {
+    try {
+        req.log.debug('Publish group key packages');
+        
+        const { epoch, packages } = req.body;
+        const normalizedRoomId = normalizeRoomId(req.params.roomId);
+        
+        if (!await loadRoomForMember(req, res, normalizedRoomId)) {
+            return;
+        }
+        
+        const members = await store.get('roomUsers', normalizedRoomId) || [];
+        const strangers = Object.keys(packages).filter(recipientId => !members.includes(recipientId));
+        if (strangers.length > 0) {
+            return res.status(400).json({ error: `Not a member of this room: ${strangers.join(', ')}`, code: 'USER_NOT_IN_ROOM', field: 'packages' });
+        }
+        
+        let state = await loadGroupEpoch(normalizedRoomId);
+        await store.update('groupEpochs', normalizedRoomId, current => {
+            state = current;
+            if (current.epoch !== epoch) {
+                return current;
+            }
+            for (const [recipientId, encryptedPackage] of Object.entries(packages)) {
+                current.packages[recipientId] = current.packages[recipientId] || {};
+                current.packages[recipientId][req.userId] = { encryptedPackage, timestamp: Date.now() };
+            }
+            return current;
+        });
+        
+        if (state.epoch !== epoch) {
+            return res.status(409).json({ 
+                error: 'Stale epoch',
+                code: 'STALE_EPOCH',
+                field: 'epoch',
+                currentEpoch: state.epoch
+            });
+        }
+        
+        for (const recipientId of Object.keys(packages)) {
+            eventBus.publish(normalizedRoomId, 'group-key-package', {
+                epoch,
+                publisherId: req.userId,
+                timestamp: Date.now()
+            }, { recipientId });
+        }
+        
+        req.log.info('Group key packages published', { roomId: normalizedRoomId, userId: req.userId, epoch, packageCount: Object.keys(packages).length });
+        
+        res.json({ 
+            success: true,
+            epoch,
+            packageCount: Object.keys(packages).length,
+            timestamp: Date.now()
+        });
+        
+    } catch (error) {
+        req.log.error('Publish group key packages error', { error });
+        res.status(500).json({ error: 'Failed to publish group key packages', code: 'INTERNAL_ERROR' });
+    }
+});
+
+// Current epoch, its members and the key packages addressed to userId
+app.get('/rooms/:roomId/group-keys/:userId', requireAuth, validate(schemas.roomUser), async (req, res) => {
+    try {
+        req.log.debug('Get group key packages');
+        
+        const { userId } = req.params;
+        const normalizedRoomId = normalizeRoomId(req.params.roomId);
+        
+        if (!ensureIdentity(req, res, userId)) {
+            return;
+        }
+        
+        if (!await loadRoomForMember(req, res, normalizedRoomId)) {
+            return;
+        }
+        
+        const state = await loadGroupEpoch(normalizedRoomId);
+        const packages = Object.entries(state.packages[userId] || {}).map(([publisherId, entry]) => ({
+            publisherId,
+            ...entry
+        }));
+        
+        res.json({ 
+            epoch: state.epoch,
+            members: state.members,
+            changedAt: state.changedAt,
+            packages,
+            timestamp: Date.now()
+        });
+        
+    } catch (error) {
+        req.log.error('Get group key packages error', { error });
+        res.status(500).json({ error: 'Failed to get group key packages', code: 'INTERNAL_ERROR' });
+    }
+});
+
+// Body: { roomId, senderId, epoch, ciphertext, expirationTime? }
+app.post('/send-group', requireAuth, limits.send, validate(schemas.sendGroup), async (req, res) => {
+    try {
+        req.log.debug('Send group message');
+        
+        const { roomId, senderId, epoch, ciphertext, expirationTime } = req.body;
+        const normalizedRoomId = normalizeRoomId(roomId);
+        
+        if (!ensureIdentity(req, res, senderId)) {
+            return;
+        }
+        
+        const room = await loadRoomForMember(req, res, normalizedRoomId);
+        if (!room || rejectPendingRequest(req, res, room)) {
+            return;
+        }
+        
+        const state = await loadGroupEpoch(normalizedRoomId);
+        if (state.epoch !== epoch) {
+            return res.status(409).json({ 
+                error: 'Stale epoch',
+                code: 'STALE_EPOCH',
+                field: 'epoch',
+                currentEpoch: state.epoch
+            });
+        }
+        
+        const quotaError = await checkStorageQuotas(normalizedRoomId, { incomingBytes: payloadBytes(ciphertext) });
+        if (quotaError) {
+            return rejectOverLimit(req, res, quotaError);
+        }
+        
+        const messageId = generateMessageId();
+        const timestamp = Date.now();
+        const seq = await nextRoomSequence(normalizedRoomId);
+        const groupMessage = {
+            id: messageId,
+            seq,
+            senderId,
+            epoch,
+            ciphertext,
+            recipientIds: state.members.filter(memberId => memberId !== senderId),
+            timestamp,
+            expirationTime: resolveExpiration(room, expirationTime, timestamp)
+        };
+        
+        await appendToRoomList('groupMessages', normalizedRoomId, groupMessage);
+        await touchRoom(normalizedRoomId);
+        await trackDelivery(normalizedRoomId, messageId, senderId, groupMessage.recipientIds, groupMessage.expirationTime);
+        eventBus.publish(normalizedRoomId, 'group-message', groupMessage);
+        setTyping(normalizedRoomId, senderId, false);
+        
+        serverStats.totalE2EEMessages++;
+        
+        await recordMessageMode(normalizedRoomId, { messageId, mode: 'group', senderId });
+        messagesAccepted.inc({ kind: 'group' });
+        req.log.info('Group message stored', { roomId: normalizedRoomId, senderId, messageId, epoch });
+        
+        res.json({ 
+            success: true,
+            messageId,
+            seq,
+            epoch,
+            recipientCount: groupMessage.recipientIds.length,
+            expirationTime: groupMessage.expirationTime,
+            timestamp
+        });
+        
+    } catch (error) {
+        req.log.error('Send group message error', { error });
+        res.status(500).json({ error: 'Failed to send group message', code: 'INTERNAL_ERROR' });
+    }
+});
+
+// Group messages addressed to userId (members at send time), same ?since=&limit= paging as /messages-e2ee
+app.get('/group-messages/:roomId/:userId', requireAuth, limits.fetch, validate(schemas.getE2EEMessages), async (req, res) => {
+    try {
+        req.log.debug('Get group messages');
+        
+        const { roomId, userId } = req.params;
+        const { since = 0, limit } = req.query;
+        const normalizedRoomId = normalizeRoomId(roomId);
+        
+        if (!ensureIdentity(req, res, userId)) {
+            return;
+        }
+        
+        const room = await loadRoomForMember(req, res, normalizedRoomId);
+        if (!room || rejectPendingRequest(req, res, room)) {
+            return;
+        }
+        
+        const now = Date.now();
+        const roomMessageList = await store.get('groupMessages', normalizedRoomId) || [];
+        const pendingMessages = roomMessageList
+            .filter(msg => msg.recipientIds.includes(userId) && msg.seq > since && msg.expirationTime > now)
+            .sort((a, b) => a.seq - b.seq);
+        
+        const userMessages = limit ? pendingMessages.slice(0, limit) : pendingMessages;
+        const cursor = userMessages.length > 0 ? userMessages[userMessages.length - 1].seq : since;
+        
+        if (userMessages.length > 0) {
+            await advanceDeliveryState(normalizedRoomId, userId, userMessages.map(msg => msg.id), 'delivered');
+        }
+        
+        res.set('X-Sync-Cursor', String(cursor));
+        res.set('X-Has-More', String(userMessages.length < pendingMessages.length));
+        res.json(userMessages);
+        
+    } catch (error) {
+        req.log.error('Get group messages error', { error });
+        res.status(500).json({ error: 'Failed to get group messages', code: 'INTERNAL_ERROR' });
+    }
+});
+
+// ===== ATTACHMENTS =====
+// Clients encrypt files themselves, upload the ciphertext once in chunks, then reference the
+// attachmentId from /send-e2ee (attachmentIds). Chunks carry a SHA-256 so uploads can be resumed
+// and verified; the whole blob is checked against the declared hash on completion.
+
+// Start an upload. Body: { roomId, size, sha256, chunkSize (optional) }
+app.post('/attachments', requireAuth, validate(schemas.createAttachment), async (req, res) => {
+    try {
+        req.log.debug('Create attachment');
+        
+        const { roomId, size, sha256, chunkSize = ATTACHMENT_DEFAULT_CHUNK_BYTES } = req.body;
+        const normalizedRoomId = normalizeRoomId(roomId);
+        
+        if (!await loadRoomForMember(req, res, normalizedRoomId)) {
+            return;
+        }
+        
+        const quotaError = await checkStorageQuotas(normalizedRoomId, { incomingBytes: size });
+        if (quotaError) {
+            return rejectOverLimit(req, res, quotaError);
+        }
+        
+        const attachmentId = generateAttachmentId();
+        const attachment = {
+            attachmentId,
+            roomId: normalizedRoomId,
+            uploaderId: req.userId,
+            size,
+            sha256: sha256.toLowerCase(),
+            chunkSize,
+            totalChunks: Math.ceil(size / chunkSize),
+            receivedChunks: [],
+            status: 'uploading',
+            createdAt: Date.now(),
+            expirationTime: Date.now() + ATTACHMENT_UNREFERENCED_TTL_MS,
+            messageIds: []
+        };
+        
+        await store.set('attachments', attachmentId, attachment);
+        await store.update('roomAttachments', normalizedRoomId, (attachmentIds = []) => [...attachmentIds, attachmentId]);
+        
+        req.log.info('Attachment upload started', { roomId: normalizedRoomId, size, totalChunks: attachment.totalChunks });
+        
+        res.json({ 
+            success: true,
+            attachmentId,
+            chunkSize: attachment.chunkSize,
+            totalChunks: attachment.totalChunks,
+            expirationTime: attachment.expirationTime,
+            timestamp: Date.now()
+        });
+        
+    } catch (error) {
+        req.log.error('Create attachment error', { error });
+        res.status(500).json({ error: 'Failed to create attachment', code: 'INTERNAL_ERROR' });
+    }
+});
+
+// Upload one chunk as application/octet-stream with an X-Chunk-SHA256 header.
+// Re-sending a chunk that already arrived is accepted, so interrupted uploads can simply retry.
+app.put('/attachments/:attachmentId/chunks/:index', requireAuth, validate(schemas.attachmentChunk), express.raw({ type: 'application/octet-stream', limit: ATTACHMENT_MAX_CHUNK_BYTES }), async (req, res) => {
+    try {
+        req.log.debug('Upload attachment chunk');
+        
+        const { attachmentId, index } = req.params;
+        const chunkHash = req.get('X-Chunk-SHA256');
+        
+        const attachment = await store.get('attachments', attachmentId);
+        if (!attachment || attachment.uploaderId !== req.userId) {
+            return res.status(404).json({ error: 'Attachment not found', code: 'ATTACHMENT_NOT_FOUND' });
+        }
+        
+        if (attachment.status !== 'uploading') {
+            return res.status(409).json({ error: 'Attachment upload already completed', code: 'UPLOAD_COMPLETED' });
+        }
+        
+        if (index >= attachment.totalChunks) {
+            return res.status(400).json({ error: 'Invalid chunk index', code: 'OUT_OF_RANGE', field: 'index' });
+        }
+        
+        if (!Buffer.isBuffer(req.body)) {
+            return res.status(400).json({ error: 'Chunk body must be application/octet-stream', code: 'INVALID_TYPE', field: 'body' });
+        }
+        
+        const expectedLength = index === attachment.totalChunks - 1
+            ? attachment.size - index * attachment.chunkSize
+            : attachment.chunkSize;
+        if (req.body.length !== expectedLength) {
+            return res.status(400).json({ error: `Chunk ${index} must be ${expectedLength} bytes`, code: 'INVALID_VALUE', field: 'body' });
+        }
+        
+        if (!isSha256Hex(chunkHash) || sha256Hex(req.body) !== chunkHash.toLowerCase()) {
+            return res.status(422).json({ error: 'Chunk integrity check failed', code: 'INTEGRITY_CHECK_FAILED' });
+        }
+        
+        await store.set('attachmentChunks', `${attachmentId}:${index}`, req.body.toString('base64'));
+        
+        let receivedCount = 0;
+        await store.update('attachments', attachmentId, current => {
+            if (!current.receivedChunks.includes(index)) {
+                current.receivedChunks.push(index);
+            }
+            receivedCount = current.receivedChunks.length;
+            return current;
+        });
+        
+        res.json({ 
+            success: true,
+            index,
+            receivedChunks: receivedCount,
+            totalChunks: attachment.totalChunks,
+            timestamp: Date.now()
+        });
+        
+    } catch (error) {
+        req.log.error('Upload attachment chunk error', { error });
+        res.status(500).json({ error: 'Failed to upload attachment chunk', code: 'INTERNAL_ERROR' });
+    }
+});
+
+// Upload progress, so a client can resume with the missing chunks
+app.get('/attachments/:attachmentId/status', requireAuth, validate(schemas.attachment), async (req, res) => {
+    try {
+        req.log.debug('Get attachment status');
+        
+        const attachment = await store.get('attachments', req.params.attachmentId);
+        if (!attachment || !await isRoomMember(attachment.roomId, req.userId)) {
+            return res.status(404).json({ error: 'Attachment not found', code: 'ATTACHMENT_NOT_FOUND' });
+        }
+        
+        const received = new Set(attachment.receivedChunks);
+        const missingChunks = [];
+        for (let index = 0; index < attachment.totalChunks; index++) {
+            if (!received.has(index)) {
+                missingChunks.push(index);
+            }
+        }
+        
+        res.json({ 
+            attachmentId: attachment.attachmentId,
+            status: attachment.status,
+            size: attachment.size,
+            sha256: attachment.sha256,
+            chunkSize: attachment.chunkSize,
+            totalChunks: attachment.totalChunks,
+            missingChunks,
+            expirationTime: attachment.expirationTime,
+            timestamp: Date.now()
+        });
+        
+    } catch (error) {
+        req.log.error('Get attachment status error', { error });
+        res.status(500).json({ error: 'Failed to get attachment status', code: 'INTERNAL_ERROR' });
+    }
+});
+
+// Verify the assembled blob against the declared hash and mark it ready to reference
+app.post('/attachments/:attachmentId/complete', requireAuth, validate(schemas.attachment), async (req, res) => {
+    try {
+        req.log.debug('Complete attachment');
+        
+        const { attachmentId } = req.params;
+        const attachment = await store.get('attachments', attachmentId);
+        
+        if (!attachment || attachment.uploaderId !== req.userId) {
+            return res.status(404).json({ error: 'Attachment not found', code: 'ATTACHMENT_NOT_FOUND' });
+        }
+        
+        if (attachment.status === 'complete') {
+            return res.json({ success: true, attachmentId, timestamp: Date.now() });
+        }
+        
+        if (attachment.receivedChunks.length !== attachment.totalChunks) {
+            return res.status(409).json({ 
+                error: 'Attachment upload incomplete',
+                code: 'UPLOAD_INCOMPLETE',
+                receivedChunks: attachment.receivedChunks.length,
+                totalChunks: attachment.totalChunks
+            });
+        }
+        
+        const hash = crypto.createHash('sha256');
+        for (let index = 0; index < attachment.totalChunks; index++) {
+            hash.update(Buffer.from(await store.get('attachmentChunks', `${attachmentId}:${index}`), 'base64'));
+        }
+        
+        if (hash.digest('hex') !== attachment.sha256) {
+            return res.status(422).json({ error: 'Attachment integrity check failed', code: 'INTEGRITY_CHECK_FAILED' });
+        }
+        
+        await store.update('attachments', attachmentId, current => {
+            current.status = 'complete';
+            return current;
+        });
+        
+        req.log.info('Attachment upload completed', { attachmentId });
+        
+        res.json({ 
+            success: true,
+            attachmentId,
+            timestamp: Date.now()
+        });
+        
+    } catch (error) {
+        req.log.error('Complete attachment error', { error });
+        res.status(500).json({ error: 'Failed to complete attachment', code: 'INTERNAL_ERROR' });
+    }
+});
+
+// Download the ciphertext. Supports a single Range: bytes=start-end.
+app.get('/attachments/:attachmentId', requireAuth, validate(schemas.attachment), async (req, res) => {
+    try {
+        req.log.debug('Download attachment');
+        
+        const { attachmentId } = req.params;
+        const attachment = await store.get('attachments', attachmentId);
+        
+        if (!attachment || attachment.status !== 'complete' || attachment.expirationTime <= Date.now() ||
+            !await isRoomMember(attachment.roomId, req.userId)) {
+            return res.status(404).json({ error: 'Attachment not found', code: 'ATTACHMENT_NOT_FOUND' });
+        }
+        
+        let start = 0;
+        let end = attachment.size - 1;
+        
+        if (req.headers.range) {
+            const ranges = req.range(attachment.size);
+            if (ranges === -1 || ranges === -2 || ranges.type !== 'bytes' || ranges.length !== 1) {
+                res.set('Content-Range', `bytes */${attachment.size}`);
+                return res.status(416).json({ error: 'Invalid range', code: 'INVALID_RANGE', field: 'Range' });
+            }
+            ({ start, end } = ranges[0]);
+            res.status(206);
+            res.set('Content-Range', `bytes ${start}-${end}/${attachment.size}`);
+        }
+        
+        // Only read the chunks that overlap the requested range
+        const firstChunk = Math.floor(start / attachment.chunkSize);
+        const lastChunk = Math.floor(end / attachment.chunkSize);
+        const parts = [];
+        for (let index = firstChunk; index <= lastChunk; index++) {
+            parts.push(Buffer.from(await store.get('attachmentChunks', `${attachmentId}:${index}`), 'base64'));
+        }
+        const offset = firstChunk * attachment.chunkSize;
+        const body = Buffer.concat(parts).subarray(start - offset, end - offset + 1);
+        
+        res.set({
+            'Content-Type': 'application/octet-stream',
+            'Accept-Ranges': 'bytes',
+            'Content-Length': String(body.length),
+            'Cache-Control': 'private, no-store'
+        });
+        res.end(body);
+        
+    } catch (error) {
+        req.log.error('Download attachment error', { error });
+        res.status(500).json({ error: 'Failed to download attachment', code: 'INTERNAL_ERROR' });
+    }
+});
+
+// ===== LEGACY MESSAGE OPERATIONS =====
+app.post('/send', requireAuth, limits.send, validate(schemas.send), async (req, res) => {
+    try {
+        req.log.debug('Send legacy message');
+        
+        const { roomId, message, senderId, timestamp, expirationTime } = req.body;
+        
+        if (!ensureIdentity(req, res, senderId)) {
+            return;
+        }
+        
+        const normalizedRoomId = normalizeRoomId(roomId);
+        
+        const room = await loadRoomForMember(req, res, normalizedRoomId);
+        if (!room) {
+            return;
+        }
+        
+        if (await rejectLegacyInE2EERoom(req, res, room, normalizedRoomId, { senderId })) {
+            return;
+        }
+        
+        const quotaError = await checkStorageQuotas(normalizedRoomId, { incomingBytes: payloadBytes(message) });
+        if (quotaError) {
+            return rejectOverLimit(req, res, quotaError);
+        }
+        
+        const messageId = generateMessageId();
+        const messageTimestamp = timestamp || Date.now();
+        
+        const legacyMessage = {
+            id: messageId,
+            roomId: normalizedRoomId,
+            message,
+            senderId,
+            timestamp: messageTimestamp,
+            expirationTime: resolveExpiration(room, expirationTime, Date.now())
+        };
+        
+        await appendToRoomList('messages', normalizedRoomId, legacyMessage);
+        await touchRoom(normalizedRoomId);
+        const members = await store.get('roomUsers', normalizedRoomId) || [];
+        await trackDelivery(normalizedRoomId, messageId, senderId, members, legacyMessage.expirationTime);
+        eventBus.publish(normalizedRoomId, 'message', legacyMessage);
+        setTyping(normalizedRoomId, senderId, false);
+        notifyOfflineRecipients(normalizedRoomId, members.filter(id => id !== senderId)).catch(error => {
+            req.log.error('Push notification error', { error });
+        });
+        
+        serverStats.totalMessages++;
+        
+        await recordMessageMode(normalizedRoomId, { messageId, mode: 'legacy', senderId });
+        messagesAccepted.inc({ kind: 'legacy' });
+        req.log.info('Legacy message stored', { roomId: normalizedRoomId, senderId, messageId });
+        
+        res.json({ 
+            success: true,
+            messageId,
+            expirationTime: legacyMessage.expirationTime,
+            timestamp: messageTimestamp
+        });
+        
+    } catch (error) {
+        req.log.error('Send legacy message error', { error });
+        res.status(500).json({ error: 'Failed to send message', code: 'INTERNAL_ERROR' });
+    }
+});
+
+app.get('/messages/:roomId', requireAuth, limits.fetch, validate(schemas.room), async (req, res) => {
+    try {
+        req.log.debug('Get legacy messages');
+        
+        const normalizedRoomId = normalizeRoomId(req.params.roomId);
+        
+        if (!await loadRoomForMember(req, res, normalizedRoomId)) {
+            return;
+        }
+        
+        // Clean this room's expired messages first
+        await cleanupExpiredRoomMessages(normalizedRoomId);
+        
+        const roomMessages = await store.get('messages', normalizedRoomId) || [];
+        const now = Date.now();
+        
+        // Filter out expired messages
+        const validMessages = roomMessages
+            .filter(msg => !msg.expirationTime || msg.expirationTime > now)
+            .sort((a, b) => a.timestamp - b.timestamp);
+        
+        res.json(validMessages);
+        
+    } catch (error) {
+        req.log.error('Get legacy messages error', { error });
+        res.status(500).json({ error: 'Failed to get messages', code: 'INTERNAL_ERROR' });
+    }
+});
+
+// Edit a legacy message (sender only). Body: { message }
+app.put('/messages/:roomId/:messageId', requireAuth, limits.send, validate(schemas.editMessage), async (req, res) => {
+    try {
+        req.log.debug('Edit legacy message');
+        
+        const { roomId, messageId } = req.params;
+        const { message } = req.body;
+        const normalizedRoomId = normalizeRoomId(roomId);
+        
+        const room = await loadRoomForMember(req, res, normalizedRoomId);
+        if (!room) {
+            return;
+        }
+        
+        // Deleting stays allowed so plaintext left from before an upgrade can still be removed
+        if (await rejectLegacyInE2EERoom(req, res, room, normalizedRoomId, { messageId, senderId: req.userId })) {
+            return;
+        }
+        
+        let edited = null;
+        let forbidden = false;
+        await store.update('messages', normalizedRoomId, (roomMessages = []) => {
+            const target = roomMessages.find(msg => msg.id === messageId && !msg.deleted);
+            if (target && target.senderId !== req.userId) {
+                forbidden = true;
+            } else if (target) {
+                target.message = message;
+                target.editedAt = Date.now();
+                edited = target;
+            }
+            return roomMessages;
+        });
+        
+        if (forbidden) {
+            return res.status(403).json({ error: 'Only the sender can edit this message', code: 'NOT_SENDER' });
+        }
+        if (!edited) {
+            return res.status(404).json({ error: 'Message not found', code: 'MESSAGE_NOT_FOUND' });
+        }
+        
+        eventBus.publish(normalizedRoomId, 'message-edited', edited);
+        
+        req.log.info('Legacy message edited', { roomId: normalizedRoomId, userId: req.userId, messageId });
+        
+        res.json({ 
+            success: true,
+            messageId,
+            timestamp: edited.editedAt
+        });
+        
+    } catch (error) {
+        req.log.error('Edit legacy message error', { error });
+        res.status(500).json({ error: 'Failed to edit message', code: 'INTERNAL_ERROR' });
+    }
+});
+
+// Delete a legacy message for everyone (sender, or the host for moderation).
+// The message is replaced by a tombstone so clients that already fetched it can remove it.
+app.delete('/messages/:roomId/:messageId', requireAuth, limits.send, validate(schemas.roomMessage), async (req, res) => {
+    try {
+        req.log.debug('Delete legacy message');
+        
+        const { roomId, messageId } = req.params;
+        const normalizedRoomId = normalizeRoomId(roomId);
+        
+        const room = await loadRoomForMember(req, res, normalizedRoomId);
+        if (!room) {
+            return;
+        }
+        
+        let tombstone = null;
+        let forbidden = false;
+        await store.update('messages', normalizedRoomId, (roomMessages = []) => {
+            const index = roomMessages.findIndex(msg => msg.id === messageId && !msg.deleted);
+            if (index === -1) {
+                return roomMessages;
+            }
+            
+            const target = roomMessages[index];
+            if (target.senderId !== req.userId && room.hostId !== req.userId) {
+                forbidden = true;
+                return roomMessages;
+            }
+            
+            tombstone = {
+                id: target.id,
+                roomId: target.roomId,
+                senderId: target.senderId,
+                deleted: true,
+                deletedBy: req.userId,
+                deletedAt: Date.now(),
+                timestamp: target.timestamp,
+                expirationTime: target.expirationTime
+            };
+            roomMessages[index] = tombstone;
+            return roomMessages;
+        });
+        
+        if (forbidden) {
+            return res.status(403).json({ error: 'Only the sender or the room host can delete this message', code: 'NOT_SENDER' });
+        }
+        if (!tombstone) {
+            return res.status(404).json({ error: 'Message not found', code: 'MESSAGE_NOT_FOUND' });
+        }
+        
+        eventBus.publish(normalizedRoomId, 'message-deleted', tombstone);
+        
+        req.log.info('Legacy message deleted', { roomId: normalizedRoomId, userId: req.userId, messageId });
+        
+        res.json({ 
+            success: true,
+            messageId,
+            timestamp: tombstone.deletedAt
+        });
+        
+    } catch (error) {
+        req.log.error('Delete legacy message error', { error });
+        res.status(500).json({ error: 'Failed to delete message', code: 'INTERNAL_ERROR' });
+    }
+});
+
+// ===== LEGACY ROOM KEY OPERATIONS =====
+// Shared room keys only exist for legacy rooms; E2EE rooms answer 403 E2EE_REQUIRED
+app.post('/rooms/:roomId/key', requireAuth, limits.keys, validate(schemas.storeRoomKey), async (req, res) => {
+    try {
+        req.log.debug('Store room key');
+        
+        const { encryptedKey } = req.body;
+        const normalizedRoomId = normalizeRoomId(req.params.roomId);
+        
+        const room = await loadRoomForMember(req, res, normalizedRoomId);
+        if (!room || await rejectLegacyInE2EERoom(req, res, room, normalizedRoomId)) {
+            return;
+        }
+        
+        await store.set('roomKeys', normalizedRoomId, {
+            encryptedKey,
+            timestamp: Date.now()
+        });
+        
+        req.log.info('Room key stored', { roomId: normalizedRoomId });
+        
+        res.json({ 
+            success: true,
+            timestamp: Date.now()
+        });
+        
+    } catch (error) {
+        req.log.error('Store room key error', { error });
+        res.status(500).json({ error: 'Failed to store room key', code: 'INTERNAL_ERROR' });
+    }
+});
+
+app.get('/rooms/:roomId/key', requireAuth, validate(schemas.room), async (req, res) => {
+    try {
+        req.log.debug('Get room key');
+        
+        const normalizedRoomId = normalizeRoomId(req.params.roomId);
+        
+        const room = await loadRoomForMember(req, res, normalizedRoomId);
+        if (!room || await rejectLegacyInE2EERoom(req, res, room, normalizedRoomId)) {
+            return;
+        }
+        
+        const keyData = await store.get('roomKeys', normalizedRoomId);
+        
+        if (!keyData) {
+            return res.status(404).json({ error: 'Room key not found', code: 'ROOM_KEY_NOT_FOUND' });
+        }
+        
+        res.json({ 
+            encryptedKey: keyData.encryptedKey,
+            timestamp: keyData.timestamp
+        });
+        
+    } catch (error) {
+        req.log.error('Get room key error', { error });
+        res.status(500).json({ error: 'Failed to get room key', code: 'INTERNAL_ERROR' });
+    }
+});
+
+// ===== RECEIPT OPERATIONS =====
+app.post('/receipts', requireAuth, limits.send, validate(schemas.sendReceipt), async (req, res) => {
+    try {
+        req.log.debug('Send receipt');
+        
+        const { messageId, recipientId, type, roomId } = req.body;
+        
+        if (!ensureIdentity(req, res, recipientId)) {
+            return;
+        }
+        
+        const normalizedRoomId = normalizeRoomId(roomId);
+        
+        if (!await loadRoomForMember(req, res, normalizedRoomId)) {
+            return;
+        }
+        
+        const results = await advanceDeliveryState(normalizedRoomId, recipientId, [messageId], type);
+        
+        // Sealed messages have no delivery state because the server does not know their sender,
+        // so nothing is relayed. A read receipt for one of the caller's own sealed envelopes
+        // still starts its burn-after-read timer.
+        if (results[messageId] === 'unknown') {
+            const envelopes = await store.get('e2eeMessages', normalizedRoomId) || [];
+            if (!envelopes.some(msg => msg.sealed && msg.messageId === messageId && msg.recipientId === recipientId)) {
+                return res.status(404).json({ error: 'Message not found', code: 'MESSAGE_NOT_FOUND' });
+            }
+            if (type === 'read') {
+                await burnReadMessages(normalizedRoomId, recipientId, [messageId]);
+            }
+            return res.json({ 
+                success: true,
+                changed: false,
+                sealed: true,
+                timestamp: Date.now()
+            });
         }
-        if (!roomUsers.has(normalizedRoomId)) {
-            roomUsers.set(normalizedRoomId, new Set());
+        if (results[messageId] === 'invalid') {
+            return res.status(409).json({ error: `Message is already past '${type}'`, code: 'INVALID_TRANSITION', field: 'type' });
         }
         
-        // Add host to room users
-        roomUsers.get(normalizedRoomId).add(hostId);
-        
-        serverStats.totalRooms++;
-        
-        console.log(`✅ Room created: ${normalizedRoomId} by ${hostId} (E2EE: ${e2eeEnabled})`);
-        
         res.json({ 
-            success: true, 
-            roomId: normalizedRoomId,
-            e2eeEnabled: Boolean(e2eeEnabled),
+            success: true,
+            changed: results[messageId] === 'advanced',
             timestamp: Date.now()
         });
         
     } catch (error) {
-        console.error('❌ Create room error:', error);
-        res.status(500).json({ error: 'Failed to create room' });
+        req.log.error('Send receipt error', { error });
+        res.status(500).json({ error: 'Failed to send receipt', code: 'INTERNAL_ERROR' });
     }
 });
 
-app.post('/join-room', (req, res) => {
+// Receipts the caller sent, or received for their own messages
+app.get('/receipts/:roomId', requireAuth, limits.fetch, validate(schemas.room), async (req, res) => {
     try {
-        logRequest(req, 'Join room');
-        
-        const { roomId, userId } = req.body;
-        
-        if (!roomId || !userId) {
-            return res.status(400).json({ error: 'Missing roomId or userId' });
-        }
+        req.log.debug('Get receipts');
         
-        const normalizedRoomId = normalizeRoomId(roomId);
+        const normalizedRoomId = normalizeRoomId(req.params.roomId);
         
-        if (!rooms.has(normalizedRoomId)) {
-            return res.status(404).json({ error: 'Room not found' });
+        if (!await loadRoomForMember(req, res, normalizedRoomId)) {
+            return;
         }
         
-        // Add user to room
-        if (!roomUsers.has(normalizedRoomId)) {
-            roomUsers.set(normalizedRoomId, new Set());
-        }
-        roomUsers.get(normalizedRoomId).add(userId);
+        const roomReceipts = await store.get('receipts', normalizedRoomId) || [];
         
-        console.log(`👥 User ${userId} joined room ${normalizedRoomId}`);
+        // Return receipts from last 24 hours only
+        const oneDayAgo = Date.now() - (24 * 60 * 60 * 1000);
+        const recentReceipts = roomReceipts
+            .filter(receipt => receipt.timestamp > oneDayAgo)
+            .filter(receipt => receipt.recipientId === req.userId || receipt.senderId === req.userId)
+            .sort((a, b) => a.timestamp - b.timestamp);
         
-        res.json({ 
-            success: true, 
-            roomId: normalizedRoomId,
-            timestamp: Date.now()
-        });
+        res.json(recentReceipts);
         
     } catch (error) {
-        console.error('❌ Join room error:', error);
-        res.status(500).json({ error: 'Failed to join room' });
+        req.log.error('Get receipts error', { error });
+        res.status(500).json({ error: 'Failed to get receipts', code: 'INTERNAL_ERROR' });
     }
 });
 
-app.get('/room/:roomId', (req, res) => {
+// Aggregated delivery state of one of the caller's own messages ("read by 3/5")
+app.get('/receipts/:roomId/:messageId', requireAuth, limits.fetch, validate(schemas.roomMessage), async (req, res) => {
     try {
-        logRequest(req, 'Check room');
+        req.log.debug('Get delivery status');
         
+        const { messageId } = req.params;
         const normalizedRoomId = normalizeRoomId(req.params.roomId);
         
-        if (!normalizedRoomId) {
-            return res.status(400).json({ error: 'Invalid roomId' });
+        if (!await loadRoomForMember(req, res, normalizedRoomId)) {
+            return;
         }
         
-        const room = rooms.get(normalizedRoomId);
+        const states = await store.get('deliveryStates', normalizedRoomId) || {};
+        const entry = states[messageId];
         
-        if (!room) {
-            return res.status(404).json({ error: 'Room not found' });
+        // Other people's messages look the same as missing ones
+        if (!entry || entry.senderId !== req.userId) {
+            return res.status(404).json({ error: 'Message not found', code: 'MESSAGE_NOT_FOUND' });
         }
         
         res.json({ 
-            exists: true, 
-            roomId: normalizedRoomId,
-            e2eeEnabled: room.e2eeEnabled,
-            userCount: roomUsers.get(normalizedRoomId)?.size || 0,
+            ...summarizeDelivery(messageId, entry),
             timestamp: Date.now()
         });
         
     } catch (error) {
-        console.error('❌ Check room error:', error);
-        res.status(500).json({ error: 'Failed to check room' });
+        req.log.error('Get delivery status error', { error });
+        res.status(500).json({ error: 'Failed to get delivery status', code: 'INTERNAL_ERROR' });
     }
 });
 
-// ===== USER MANAGEMENT (E2EE) =====
-app.post('/users/:roomId/:userId/publickey', (req, res) => {
+// ===== PRESENCE & TYPING =====
+// Heartbeat: clients post every ~30s while active (an open event stream counts too).
+// Body: { status?: 'online' | 'away' | 'offline', hideLastSeen?: boolean }
+app.post('/users/:roomId/:userId/presence', requireAuth, validate(schemas.updatePresence), async (req, res) => {
     try {
-        logRequest(req, 'Publish public key');
+        req.log.debug('Presence heartbeat');
         
         const { roomId, userId } = req.params;
-        const { publicKey } = req.body;
-        
-        if (!roomId || !userId || !publicKey) {
-            return res.status(400).json({ error: 'Missing roomId, userId, or publicKey' });
-        }
-        
+        const { status, hideLastSeen } = req.body;
         const normalizedRoomId = normalizeRoomId(roomId);
         
-        if (!rooms.has(normalizedRoomId)) {
-            return res.status(404).json({ error: 'Room not found' });
-        }
-        
-        // Store public key
-        if (!userPublicKeys.has(normalizedRoomId)) {
-            userPublicKeys.set(normalizedRoomId, {});
+        if (!ensureIdentity(req, res, userId)) {
+            return;
         }
         
-        userPublicKeys.get(normalizedRoomId)[userId] = {
-            publicKey,
-            timestamp: Date.now()
-        };
-        
-        // Add user to room
-        if (!roomUsers.has(normalizedRoomId)) {
-            roomUsers.set(normalizedRoomId, new Set());
+        if (!await loadRoomForMember(req, res, normalizedRoomId)) {
+            return;
         }
-        roomUsers.get(normalizedRoomId).add(userId);
         
-        console.log(`🔑 Public key stored for ${userId} in room ${normalizedRoomId}`);
+        const presence = await updatePresence(normalizedRoomId, userId, { status, hideLastSeen });
         
         res.json({ 
             success: true,
+            ...presence,
+            timeoutMs: PRESENCE_TIMEOUT_MS,
             timestamp: Date.now()
         });
         
     } catch (error) {
-        console.error('❌ Store public key error:', error);
-        res.status(500).json({ error: 'Failed to store public key' });
+        req.log.error('Presence heartbeat error', { error });
+        res.status(500).json({ error: 'Failed to update presence', code: 'INTERNAL_ERROR' });
     }
 });
 
-app.get('/users/:roomId/:userId/publickey', (req, res) => {
+// Body: { typing?: boolean } (default true). Repeat within TYPING_TTL_MS to keep the indicator alive.
+app.post('/users/:roomId/:userId/typing', requireAuth, validate(schemas.typing), async (req, res) => {
     try {
-        logRequest(req, 'Get public key');
+        req.log.debug('Typing indicator');
         
         const { roomId, userId } = req.params;
+        const { typing = true } = req.body;
         const normalizedRoomId = normalizeRoomId(roomId);
         
-        if (!normalizedRoomId || !userId) {
-            return res.status(400).json({ error: 'Invalid roomId or userId' });
+        if (!ensureIdentity(req, res, userId)) {
+            return;
         }
         
-        const roomKeys = userPublicKeys.get(normalizedRoomId);
-        if (!roomKeys || !roomKeys[userId]) {
-            return res.status(404).json({ error: 'Public key not found' });
+        if (!await loadRoomForMember(req, res, normalizedRoomId)) {
+            return;
         }
         
+        setTyping(normalizedRoomId, userId, typing);
+        
+        res.json({ 
+            success: true,
+            typing,
+            expiresAt: typing ? Date.now() + TYPING_TTL_MS : null,
+            timestamp: Date.now()
+        });
+        
+    } catch (error) {
+        req.log.error('Typing indicator error', { error });
+        res.status(500).json({ error: 'Failed to update typing indicator', code: 'INTERNAL_ERROR' });
+    }
+});
+
+// ===== PUSH NOTIFICATIONS =====
+// Clients that are not connected can register a push endpoint to be woken when envelopes or
+// messages arrive for them. Wake-ups carry no content, sender or room; the client syncs on wake.
+// webpush: a browser PushSubscription endpoint (VAPID, no payload; see /push/vapid-public-key)
+// webhook: any URL receiving { type: 'wakeup', subscriptionId, timestamp }, signed with the
+//          subscription secret as X-Push-Signature: sha256=<hex HMAC of the body>
+
+app.get('/push/vapid-public-key', async (req, res) => {
+    try {
+        req.log.debug('Get VAPID public key');
+        
         res.json({ 
-            publicKey: roomKeys[userId].publicKey,
-            timestamp: roomKeys[userId].timestamp
+            publicKey: (await getVapidKeys()).publicKey,
+            timestamp: Date.now()
         });
         
     } catch (error) {
-        console.error('❌ Get public key error:', error);
-        res.status(500).json({ error: 'Failed to get public key' });
+        req.log.error('Get VAPID public key error', { error });
+        res.status(500).json({ error: 'Failed to get VAPID public key', code: 'INTERNAL_ERROR' });
     }
 });
 
-app.get('/rooms/:roomId/users', (req, res) => {
+// Register a push endpoint. Body: { type: 'webpush' | 'webhook', endpoint, deviceId? }
+// The response carries the webhook signing secret, shown once.
+app.post('/push/subscriptions', requireAuth, limits.keys, validate(schemas.createPushSubscription), async (req, res) => {
     try {
-        logRequest(req, 'Get room users');
+        req.log.debug('Create push subscription');
         
-        const normalizedRoomId = normalizeRoomId(req.params.roomId);
+        const { type, endpoint, deviceId = null } = req.body;
+        const userId = req.userId;
         
-        if (!normalizedRoomId) {
-            return res.status(400).json({ error: 'Invalid roomId' });
+        let url = null;
+        try {
+            url = new URL(endpoint);
+        } catch (error) {
+            // not a URL, rejected below
+        }
+        if (!url || !(url.protocol === 'https:' || (PUSH_ALLOW_HTTP && url.protocol === 'http:'))) {
+            return res.status(400).json({ error: 'endpoint must be an https URL', code: 'INVALID_VALUE', field: 'endpoint' });
+        }
+        if (!PUSH_ALLOW_PRIVATE_ENDPOINTS) {
+            try {
+                await checkPublicEndpoint(url.href);
+            } catch (error) {
+                return res.status(400).json({ error: 'endpoint must resolve to a public address', code: 'INVALID_VALUE', field: 'endpoint' });
+            }
         }
         
-        if (!rooms.has(normalizedRoomId)) {
-            return res.status(404).json({ error: 'Room not found' });
+        if (deviceId && !await loadDevice(res, userId, deviceId)) {
+            return;
         }
         
-        const users = [];
-        const roomUserSet = roomUsers.get(normalizedRoomId) || new Set();
-        const roomKeyMap = userPublicKeys.get(normalizedRoomId) || {};
+        // Re-registering an endpoint replaces its subscription instead of adding a duplicate
+        const subscription = {
+            subscriptionId: crypto.randomBytes(12).toString('hex'),
+            userId,
+            type,
+            endpoint: url.href,
+            secret: auth.generateSecret(),
+            deviceId,
+            createdAt: Date.now()
+        };
+        let limitReached = false;
+        await store.update('pushSubscriptions', userId, (subscriptions = {}) => {
+            for (const [id, existing] of Object.entries(subscriptions)) {
+                if (existing.endpoint === subscription.endpoint) {
+                    delete subscriptions[id];
+                }
+            }
+            if (Object.keys(subscriptions).length >= PUSH_MAX_SUBSCRIPTIONS) {
+                limitReached = true;
+                return subscriptions;
+            }
+            subscriptions[subscription.subscriptionId] = subscription;
+            return subscriptions;
+        });
         
-        for (const userId of roomUserSet) {
-            users.push({
-                userId,
-                publicKey: roomKeyMap[userId]?.publicKey || '',
-                joinedAt: roomKeyMap[userId]?.timestamp || Date.now()
-            });
+        if (limitReached) {
+            return res.status(409).json({ error: `At most ${PUSH_MAX_SUBSCRIPTIONS} push subscriptions per user`, code: 'SUBSCRIPTION_LIMIT_REACHED' });
         }
         
+        req.log.info('Push subscription created', { userId, type });
+        
         res.json({ 
-            users,
-            totalUsers: users.length,
+            success: true,
+            subscriptionId: subscription.subscriptionId,
+            type,
+            secret: subscription.secret,
             timestamp: Date.now()
         });
         
     } catch (error) {
-        console.error('❌ Get room users error:', error);
-        res.status(500).json({ error: 'Failed to get room users' });
+        req.log.error('Create push subscription error', { error });
+        res.status(500).json({ error: 'Failed to create push subscription', code: 'INTERNAL_ERROR' });
     }
 });
 
-// ===== E2EE MESSAGE OPERATIONS =====
-app.post('/send-e2ee', (req, res) => {
+app.get('/push/subscriptions', requireAuth, async (req, res) => {
     try {
-        logRequest(req, 'Send E2EE message');
-        
-        const { roomId, senderId, encryptedMessages, expirationTime } = req.body;
-        
-        if (!roomId || !senderId || !encryptedMessages) {
-            return res.status(400).json({ error: 'Missing required fields' });
-        }
+        req.log.debug('List push subscriptions');
         
-        const normalizedRoomId = normalizeRoomId(roomId);
-        
-        if (!rooms.has(normalizedRoomId)) {
-            return res.status(404).json({ error: 'Room not found' });
-        }
-        
-        const messageId = generateMessageId();
-        const timestamp = Date.now();
-        const finalExpirationTime = expirationTime || (timestamp + 24 * 60 * 60 * 1000); // 24h default
+        const subscriptions = Object.values(await store.get('pushSubscriptions', req.userId) || {})
+            .map(({ subscriptionId, type, endpoint, deviceId, createdAt }) => ({ subscriptionId, type, endpoint, deviceId, createdAt }));
         
-        // Store message for each recipient
-        if (!e2eeMessages.has(normalizedRoomId)) {
-            e2eeMessages.set(normalizedRoomId, []);
-        }
+        res.json({ 
+            subscriptions,
+            timestamp: Date.now()
+        });
         
-        const roomMessageList = e2eeMessages.get(normalizedRoomId);
-        let recipientCount = 0;
+    } catch (error) {
+        req.log.error('List push subscriptions error', { error });
+        res.status(500).json({ error: 'Failed to list push subscriptions', code: 'INTERNAL_ERROR' });
+    }
+});
+
+app.delete('/push/subscriptions/:subscriptionId', requireAuth, validate(schemas.pushSubscription), async (req, res) => {
+    try {
+        req.log.debug('Delete push subscription');
         
-        for (const [recipientId, encryptedData] of Object.entries(encryptedMessages)) {
-            roomMessageList.push({
-                id: `${messageId}_${recipientId}`,
-                messageId,
-                senderId,
-                recipientId,
-                encryptedData,
-                timestamp,
-                expirationTime: finalExpirationTime
-            });
-            recipientCount++;
+        if (!await removePushSubscription(req.userId, req.params.subscriptionId)) {
+            return res.status(404).json({ error: 'Push subscription not found', code: 'SUBSCRIPTION_NOT_FOUND' });
         }
         
-        serverStats.totalE2EEMessages += recipientCount;
-        
-        console.log(`🔐 E2EE message from ${senderId} stored for ${recipientCount} recipients in ${normalizedRoomId}`);
+        req.log.info('Push subscription deleted', { userId: req.userId });
         
         res.json({ 
             success: true,
-            messageId,
-            recipientCount,
-            timestamp
+            timestamp: Date.now()
         });
         
     } catch (error) {
-        console.error('❌ Send E2EE message error:', error);
-        res.status(500).json({ error: 'Failed to send E2EE message' });
+        req.log.error('Delete push subscription error', { error });
+        res.status(500).json({ error: 'Failed to delete push subscription', code: 'INTERNAL_ERROR' });
     }
 });
 
-app.get('/messages-e2ee/:roomId/:userId', (req, res) => {
+app.get('/push/settings', requireAuth, async (req, res) => {
     try {
-        logRequest(req, 'Get E2EE messages');
+        req.log.debug('Get push settings');
         
-        const { roomId, userId } = req.params;
-        const normalizedRoomId = normalizeRoomId(roomId);
+        const settings = await store.get('pushSettings', req.userId) || { muted: false, mutedUntil: null, mutedRooms: [] };
         
-        if (!normalizedRoomId || !userId) {
-            return res.status(400).json({ error: 'Invalid roomId or userId' });
-        }
+        res.json({ 
+            ...settings,
+            timestamp: Date.now()
+        });
         
-        if (!rooms.has(normalizedRoomId)) {
-            return res.status(404).json({ error: 'Room not found' });
-        }
+    } catch (error) {
+        req.log.error('Get push settings error', { error });
+        res.status(500).json({ error: 'Failed to get push settings', code: 'INTERNAL_ERROR' });
+    }
+});
+
+// Mute wake-ups. Body (all optional): { muted, mutedUntil: timestamp (0 clears), mutedRooms: [roomIds] }
+app.put('/push/settings', requireAuth, validate(schemas.updatePushSettings), async (req, res) => {
+    try {
+        req.log.debug('Update push settings');
         
-        // Clean expired messages first
-        cleanupExpiredMessages();
+        const { muted, mutedUntil, mutedRooms } = req.body;
         
-        const roomMessageList = e2eeMessages.get(normalizedRoomId) || [];
-        const now = Date.now();
+        const settings = await store.update('pushSettings', req.userId, (current = { muted: false, mutedUntil: null, mutedRooms: [] }) => ({
+            muted: muted !== undefined ? muted : current.muted,
+            mutedUntil: mutedUntil !== undefined ? mutedUntil || null : current.mutedUntil,
+            mutedRooms: mutedRooms !== undefined ? [...new Set(mutedRooms.map(normalizeRoomId))] : current.mutedRooms
+        }));
         
-        // Get messages for this specific user that haven't expired
-        const userMessages = roomMessageList
-            .filter(msg => 
-                msg.recipientId === userId && 
-                (!msg.expirationTime || msg.expirationTime > now)
-            )
-            .sort((a, b) => a.timestamp - b.timestamp);
+        req.log.info('Push settings updated', { userId: req.userId, muted: settings.muted });
         
-        res.json(userMessages);
+        res.json({ 
+            success: true,
+            ...settings,
+            timestamp: Date.now()
+        });
         
     } catch (error) {
-        console.error('❌ Get E2EE messages error:', error);
-        res.status(500).json({ error: 'Failed to get E2EE messages' });
+        req.log.error('Update push settings error', { error });
+        res.status(500).json({ error: 'Failed to update push settings', code: 'INTERNAL_ERROR' });
     }
 });
 
-// ===== LEGACY MESSAGE OPERATIONS =====
-app.post('/send', (req, res) => {
+// ===== REAL-TIME EVENTS (SSE) =====
+// One push stream per room/user (token may be passed as ?access_token=). Emits 'e2ee-message' (only envelopes addressed to userId),
+// 'message', 'message-edited', 'message-deleted', 'receipt', 'user-joined', 'user-removed', 'host-changed', 'key-changed', 'prekeys-low',
+// 'epoch-changed', 'group-key-package', 'group-message', 'presence', 'typing', 'device-key-changed', 'device-revoked',
+// 'encryption-upgraded', 'request-accepted', 'message-policy-changed' and 'room-deleted'.
+// With ?deviceId= a device only gets its own and user-wide envelopes, and the stream ends when the device is revoked.
+// The polling endpoints above stay for older clients.
+function writeSseEvent(res, event) {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+}
+
+app.get('/events/:roomId/:userId', authenticate({ allowQueryToken: true }), validate(schemas.eventStream), async (req, res) => {
     try {
-        logRequest(req, 'Send legacy message');
+        req.log.debug('Open event stream');
         
-        const { roomId, message, senderId, timestamp, expirationTime } = req.body;
+        const { userId } = req.params;
+        const { deviceId } = req.query;
+        const normalizedRoomId = normalizeRoomId(req.params.roomId);
         
-        if (!roomId || !message || !senderId) {
-            return res.status(400).json({ error: 'Missing required fields' });
+        if (!ensureIdentity(req, res, userId)) {
+            return;
         }
         
-        const normalizedRoomId = normalizeRoomId(roomId);
-        
-        if (!rooms.has(normalizedRoomId)) {
-            return res.status(404).json({ error: 'Room not found' });
+        const room = await loadRoomForMember(req, res, normalizedRoomId);
+        if (!room || rejectPendingRequest(req, res, room)) {
+            return;
         }
         
-        const messageId = generateMessageId();
-        const messageTimestamp = timestamp || Date.now();
-        
-        if (!messages.has(normalizedRoomId)) {
-            messages.set(normalizedRoomId, []);
+        if (deviceId && !await loadDevice(res, userId, deviceId)) {
+            return;
         }
         
-        messages.get(normalizedRoomId).push({
-            id: messageId,
-            roomId: normalizedRoomId,
-            message,
-            senderId,
-            timestamp: messageTimestamp,
-            expirationTime: expirationTime || (messageTimestamp + 24 * 60 * 60 * 1000)
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
         });
+        res.flushHeaders();
+        res.write(`retry: ${SSE_RETRY_MS}\n\n`);
         
-        serverStats.totalMessages++;
+        writeSseEvent(res, {
+            id: `${Date.now()}-ready`,
+            type: 'ready',
+            data: { roomId: normalizedRoomId, userId, timestamp: Date.now() }
+        });
+        
+        let closed = false;
+        const closeStream = () => {
+            if (closed) {
+                return;
+            }
+            closed = true;
+            clearInterval(heartbeat);
+            unsubscribe();
+            activeEventStreams--;
+            req.log.info('Event stream closed', { roomId: normalizedRoomId, userId });
+        };
         
-        console.log(`📨 Legacy message from ${senderId} stored in ${normalizedRoomId}`);
+        const unsubscribe = eventBus.subscribe(normalizedRoomId, event => {
+            if (event.recipientId && event.recipientId !== userId) {
+                return;
+            }
+            if (deviceId && event.recipientDeviceId && event.recipientDeviceId !== deviceId) {
+                return;
+            }
+            writeSseEvent(res, event);
+            
+            // Removed users and revoked devices (and everyone, once the room is deleted) lose the stream along with their room access
+            const revoked = event.type === 'device-revoked' && event.data.userId === userId && event.data.deviceId === deviceId;
+            if ((event.type === 'user-removed' && event.data.userId === userId) || revoked || event.type === 'room-deleted') {
+                closeStream();
+                res.end();
+            }
+        });
         
-        res.json({ 
-            success: true,
-            messageId,
-            timestamp: messageTimestamp
+        // A connected stream keeps the user's presence alive between explicit heartbeats
+        const touchPresence = () => updatePresence(normalizedRoomId, userId).catch(error => {
+            req.log.error('Presence update error', { error });
         });
+        const heartbeat = setInterval(() => {
+            res.write(': heartbeat\n\n');
+            touchPresence();
+            noteRoomActivity(normalizedRoomId).catch(error => {
+                req.log.error('Room activity update error', { error });
+            });
+        }, SSE_HEARTBEAT_MS);
+        activeEventStreams++;
+        touchPresence();
+        
+        req.log.info('Event stream opened', { roomId: normalizedRoomId, userId });
+        
+        req.on('close', closeStream);
         
     } catch (error) {
-        console.error('❌ Send legacy message error:', error);
-        res.status(500).json({ error: 'Failed to send message' });
+        req.log.error('Event stream error', { error });
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Failed to open event stream', code: 'INTERNAL_ERROR' });
+        }
     }
 });
 
-app.get('/messages/:roomId', (req, res) => {
+// ===== ADMIN API =====
+// Operator endpoints, all behind requireAdmin (ADMIN_SECRET), as is /stats; /metrics has its own
+// optional METRICS_TOKEN. They expose counts and identifiers only, never message content or keys. Every action except reading the audit
+// log is recorded in it.
+app.get('/admin/rooms', requireAdmin, validate(schemas.adminListRooms), async (req, res) => {
     try {
-        logRequest(req, 'Get legacy messages');
+        req.log.debug('Admin list rooms');
         
-        const normalizedRoomId = normalizeRoomId(req.params.roomId);
+        const { limit = 100, offset = 0 } = req.query;
         
-        if (!normalizedRoomId) {
-            return res.status(400).json({ error: 'Invalid roomId' });
+        const rooms = [];
+        for (const [roomId, room] of await store.entries('rooms')) {
+            rooms.push({
+                roomId,
+                direct: Boolean(room.direct),
+                e2eeEnabled: Boolean(room.e2eeEnabled),
+                memberCount: (await store.get('roomUsers', roomId) || []).length,
+                queuedEnvelopes: (await store.get('e2eeMessages', roomId) || []).length,
+                legacyMessages: (await store.get('messages', roomId) || []).length,
+                groupMessages: (await store.get('groupMessages', roomId) || []).length,
+                createdAt: room.timestamp,
+                lastActivityAt: room.lastActivityAt || room.timestamp,
+                expiresAt: room.expiresAt || null,
+                importedAt: room.importedAt || null
+            });
         }
+        rooms.sort((a, b) => b.lastActivityAt - a.lastActivityAt);
         
-        // Clean expired messages first
-        cleanupExpiredMessages();
+        await recordAdminAction(req, 'rooms.list', { limit, offset });
         
-        const roomMessages = messages.get(normalizedRoomId) || [];
-        const now = Date.now();
-        
-        // Filter out expired messages
-        const validMessages = roomMessages
-            .filter(msg => !msg.expirationTime || msg.expirationTime > now)
-            .sort((a, b) => a.timestamp - b.timestamp);
-        
-        res.json(validMessages);
+        res.json({ 
+            rooms: rooms.slice(offset, offset + limit),
+            total: rooms.length,
+            timestamp: Date.now()
+        });
         
     } catch (error) {
-        console.error('❌ Get legacy messages error:', error);
-        res.status(500).json({ error: 'Failed to get messages' });
+        req.log.error('Admin list rooms error', { error });
+        res.status(500).json({ error: 'Failed to list rooms', code: 'INTERNAL_ERROR' });
     }
 });
 
-// ===== LEGACY ROOM KEY OPERATIONS =====
-app.post('/rooms/:roomId/key', (req, res) => {
+// Force-close a room: members get 'room-deleted' and everything stored for it is purged
+app.post('/admin/rooms/:roomId/close', requireAdmin, validate(schemas.adminCloseRoom), async (req, res) => {
     try {
-        logRequest(req, 'Store room key');
+        req.log.debug('Admin close room');
         
-        const { encryptedKey } = req.body;
-        const normalizedRoomId = normalizeRoomId(req.params.roomId);
+        const roomId = normalizeRoomId(req.params.roomId);
+        const { reason = null } = req.body;
         
-        if (!normalizedRoomId || !encryptedKey) {
-            return res.status(400).json({ error: 'Missing roomId or encryptedKey' });
+        if (!await store.has('rooms', roomId)) {
+            return res.status(404).json({ error: 'Room not found', code: 'ROOM_NOT_FOUND' });
         }
         
-        if (!rooms.has(normalizedRoomId)) {
-            return res.status(404).json({ error: 'Room not found' });
-        }
+        await purgeRoom(roomId, 'closed-by-admin');
+        await recordAdminAction(req, 'room.close', { roomId, reason });
         
-        roomKeys.set(normalizedRoomId, {
-            encryptedKey,
+        res.json({ 
+            success: true,
+            roomId,
             timestamp: Date.now()
         });
         
-        console.log(`🔑 Room key stored for ${normalizedRoomId}`);
+    } catch (error) {
+        req.log.error('Admin close room error', { error });
+        res.status(500).json({ error: 'Failed to close room', code: 'INTERNAL_ERROR' });
+    }
+});
+
+// Ban a userId server-wide: it can no longer register, get tokens or use existing ones, and
+// is taken out of every room. Direct conversations with it are closed.
+app.post('/admin/bans', requireAdmin, validate(schemas.adminBan), async (req, res) => {
+    try {
+        req.log.debug('Admin ban user');
+        
+        const { userId, reason = null, expiresIn } = req.body;
+        
+        const ban = {
+            userId,
+            reason,
+            bannedAt: Date.now(),
+            expiresAt: expiresIn ? Date.now() + expiresIn : null
+        };
+        await store.set('serverBans', userId, ban);
+        
+        let removedFromRooms = 0;
+        for (const [roomId, users] of await store.entries('roomUsers')) {
+            const room = users.includes(userId) && await store.get('rooms', roomId);
+            if (!room) {
+                continue;
+            }
+            if (room.direct) {
+                await purgeRoom(roomId, 'closed-by-admin');
+            } else {
+                await departRoom(roomId, room, userId, 'banned-by-admin');
+            }
+            removedFromRooms++;
+        }
+        await store.delete('pushSubscriptions', userId);
+        
+        await recordAdminAction(req, 'user.ban', { userId, reason, expiresAt: ban.expiresAt, removedFromRooms });
         
         res.json({ 
             success: true,
+            ban,
+            removedFromRooms,
             timestamp: Date.now()
         });
         
     } catch (error) {
-        console.error('❌ Store room key error:', error);
-        res.status(500).json({ error: 'Failed to store room key' });
+        req.log.error('Admin ban user error', { error });
+        res.status(500).json({ error: 'Failed to ban user', code: 'INTERNAL_ERROR' });
     }
 });
 
-app.get('/rooms/:roomId/key', (req, res) => {
+app.get('/admin/bans', requireAdmin, async (req, res) => {
     try {
-        logRequest(req, 'Get room key');
+        req.log.debug('Admin list bans');
         
-        const normalizedRoomId = normalizeRoomId(req.params.roomId);
+        const now = Date.now();
+        const bans = (await store.entries('serverBans'))
+            .map(([, ban]) => ban)
+            .filter(ban => !ban.expiresAt || ban.expiresAt > now);
         
-        if (!normalizedRoomId) {
-            return res.status(400).json({ error: 'Invalid roomId' });
-        }
+        await recordAdminAction(req, 'bans.list', { count: bans.length });
         
-        const keyData = roomKeys.get(normalizedRoomId);
+        res.json({ 
+            bans,
+            timestamp: now
+        });
         
-        if (!keyData) {
-            return res.status(404).json({ error: 'Room key not found' });
+    } catch (error) {
+        req.log.error('Admin list bans error', { error });
+        res.status(500).json({ error: 'Failed to list bans', code: 'INTERNAL_ERROR' });
+    }
+});
+
+// Lifting a ban does not restore room memberships
+app.delete('/admin/bans/:userId', requireAdmin, validate(schemas.adminUnban), async (req, res) => {
+    try {
+        req.log.debug('Admin unban user');
+        
+        const { userId } = req.params;
+        
+        if (!await store.delete('serverBans', userId)) {
+            return res.status(404).json({ error: 'userId is not banned', code: 'BAN_NOT_FOUND' });
         }
         
+        await recordAdminAction(req, 'user.unban', { userId });
+        
         res.json({ 
-            encryptedKey: keyData.encryptedKey,
-            timestamp: keyData.timestamp
+            success: true,
+            userId,
+            timestamp: Date.now()
         });
         
     } catch (error) {
-        console.error('❌ Get room key error:', error);
-        res.status(500).json({ error: 'Failed to get room key' });
+        req.log.error('Admin unban user error', { error });
+        res.status(500).json({ error: 'Failed to lift ban', code: 'INTERNAL_ERROR' });
     }
 });
 
-// ===== RECEIPT OPERATIONS =====
-app.post('/receipts', (req, res) => {
+app.get('/admin/settings', requireAdmin, async (req, res) => {
     try {
-        logRequest(req, 'Send receipt');
+        req.log.debug('Admin get settings');
         
-        const { messageId, recipientId, type, roomId } = req.body;
+        await recordAdminAction(req, 'settings.get');
         
-        if (!messageId || !recipientId || !type || !roomId) {
-            return res.status(400).json({ error: 'Missing required fields' });
-        }
+        res.json({ 
+            ...RUNTIME_SETTINGS,
+            timestamp: Date.now()
+        });
         
-        const normalizedRoomId = normalizeRoomId(roomId);
+    } catch (error) {
+        req.log.error('Admin get settings error', { error });
+        res.status(500).json({ error: 'Failed to get settings', code: 'INTERNAL_ERROR' });
+    }
+});
+
+// Change rate limits, storage quotas or retention: { rateLimits?, storageQuotas?, retention? }
+// with the same keys as GET /admin/settings (0 disables a limit). Unknown keys are ignored.
+app.put('/admin/settings', requireAdmin, validate(schemas.adminSettings), async (req, res) => {
+    try {
+        req.log.debug('Admin update settings');
         
-        if (!rooms.has(normalizedRoomId)) {
-            return res.status(404).json({ error: 'Room not found' });
+        const changes = {};
+        for (const [group, settings] of Object.entries(RUNTIME_SETTINGS)) {
+            for (const [name, value] of Object.entries(req.body[group] || {})) {
+                if (name in settings && value !== undefined && value !== null) {
+                    changes[group] = { ...changes[group], [name]: value };
+                }
+            }
         }
-        
-        if (!receipts.has(normalizedRoomId)) {
-            receipts.set(normalizedRoomId, []);
+        if (Object.keys(changes).length === 0) {
+            return res.status(400).json({ error: 'No known settings to change', code: 'MISSING_FIELD', field: 'body' });
         }
         
-        receipts.get(normalizedRoomId).push({
-            messageId,
-            recipientId,
-            type,
-            timestamp: Date.now()
+        await store.update('serverConfig', 'settings', (current = {}) => {
+            for (const [group, values] of Object.entries(changes)) {
+                current[group] = { ...current[group], ...values };
+            }
+            return current;
         });
+        applyRuntimeSettings(changes);
+        
+        await recordAdminAction(req, 'settings.update', { changes });
         
         res.json({ 
             success: true,
+            ...RUNTIME_SETTINGS,
             timestamp: Date.now()
         });
         
     } catch (error) {
-        console.error('❌ Send receipt error:', error);
-        res.status(500).json({ error: 'Failed to send receipt' });
+        req.log.error('Admin update settings error', { error });
+        res.status(500).json({ error: 'Failed to update settings', code: 'INTERNAL_ERROR' });
     }
 });
 
-app.get('/receipts/:roomId', (req, res) => {
+// Newest entries last; `since` returns entries after that timestamp
+app.get('/admin/audit', requireAdmin, validate(schemas.adminAudit), async (req, res) => {
     try {
-        logRequest(req, 'Get receipts');
-        
-        const normalizedRoomId = normalizeRoomId(req.params.roomId);
-        
-        if (!normalizedRoomId) {
-            return res.status(400).json({ error: 'Invalid roomId' });
-        }
+        req.log.debug('Admin get audit log');
         
-        const roomReceipts = receipts.get(normalizedRoomId) || [];
+        const { since = 0, limit = 100 } = req.query;
         
-        // Return receipts from last 24 hours only
-        const oneDayAgo = Date.now() - (24 * 60 * 60 * 1000);
-        const recentReceipts = roomReceipts
-            .filter(receipt => receipt.timestamp > oneDayAgo)
-            .sort((a, b) => a.timestamp - b.timestamp);
+        const entries = (await store.get('adminAudit', 'entries') || [])
+            .filter(entry => entry.timestamp > since)
+            .slice(-limit);
         
-        res.json(recentReceipts);
+        res.json({ 
+            entries,
+            timestamp: Date.now()
+        });
         
     } catch (error) {
-        console.error('❌ Get receipts error:', error);
-        res.status(500).json({ error: 'Failed to get receipts' });
+        req.log.error('Admin audit log error', { error });
+        res.status(500).json({ error: 'Failed to get audit log', code: 'INTERNAL_ERROR' });
     }
 });
 
 // ===== CLEANUP OPERATIONS =====
-app.post('/cleanup', (req, res) => {
+app.post('/cleanup', requireAdmin, async (req, res) => {
     try {
-        logRequest(req, 'Manual cleanup');
-        
-        cleanupExpiredMessages();
-        
-        // Clean up old receipts (older than 7 days)
-        const sevenDaysAgo = Date.now() - (7 * 24 * 60 * 60 * 1000);
-        let cleanedReceipts = 0;
+        req.log.debug('Manual cleanup');
         
-        for (const [roomId, roomReceipts] of receipts.entries()) {
-            const validReceipts = roomReceipts.filter(receipt => receipt.timestamp > sevenDaysAgo);
-            if (validReceipts.length !== roomReceipts.length) {
-                receipts.set(roomId, validReceipts);
-                cleanedReceipts += roomReceipts.length - validReceipts.length;
-            }
-        }
-        
-        console.log(`🧹 Manual cleanup completed. Cleaned ${cleanedReceipts} old receipts`);
+        const results = await runCleanupJob('manual');
+        await recordAdminAction(req, 'cleanup.run', results);
         
         res.json({ 
             success: true,
-            cleanedReceipts,
+            ...results,
             timestamp: Date.now()
         });
         
     } catch (error) {
-        console.error('❌ Cleanup error:', error);
-        res.status(500).json({ error: 'Failed to perform cleanup' });
+        req.log.error('Cleanup error', { error });
+        res.status(500).json({ error: 'Failed to perform cleanup', code: 'INTERNAL_ERROR' });
     }
 });
 
 // ===== ERROR HANDLING =====
 app.use((req, res) => {
-    logRequest(req, '404 Not Found');
-    res.status(404).json({ error: 'Endpoint not found' });
+    res.status(404).json({ error: 'Endpoint not found', code: 'ENDPOINT_NOT_FOUND' });
 });
 
 app.use((error, req, res, next) => {
-    console.error('❌ Server error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    // Body parser failures are client errors
+    if (error.type === 'entity.parse.failed') {
+        return res.status(400).json({ error: 'Malformed JSON body', code: 'INVALID_JSON', field: 'body' });
+    }
+    if (error.type === 'entity.too.large') {
+        return res.status(413).json({ error: 'Request body too large', code: 'TOO_LARGE', field: 'body' });
+    }
+    
+    req.log.error('Server error', { error });
+    res.status(500).json({ error: 'Internal server error', code: 'INTERNAL_ERROR' });
 });
 
 // ===== PERIODIC CLEANUP =====
-// Clean up expired messages every 10 minutes
+// Clean up expired messages, attachments and rooms every 10 minutes, after picking up
+// settings changed through the admin API (possibly on another instance). The timer does not hold
+// the process open on its own, so requiring the app (Vercel, tests) does not keep it running.
+loadRuntimeSettings().catch(error => {
+    logger.error('Loading runtime settings failed', { error });
+});
+
 setInterval(() => {
-    try {
-        cleanupExpiredMessages();
-    } catch (error) {
-        console.error('❌ Periodic cleanup error:', error);
-    }
-}, 10 * 60 * 1000);
+    loadRuntimeSettings().then(() => runCleanupJob('periodic')).catch(error => {
+        logger.error('Periodic cleanup error', { error });
+    });
+}, 10 * 60 * 1000).unref();
 
 // ===== SERVER STARTUP =====
 const PORT = process.env.PORT || 3000;
 
 if (require.main === module) {
     app.listen(PORT, () => {
-        console.log(`🚀 SecureChat E2EE Server running on port ${PORT}`);
-        console.log(`📡 Endpoints available:`);
-        console.log(`   GET  /health - Health check`);
-        console.log(`   GET  /status - Status check`);
-        console.log(`   GET  /stats - Server statistics`);
-        console.log(`   POST /create-room - Create/join room`);
-        console.log(`   POST /users/:roomId/:userId/publickey - Store public key`);
-        console.log(`   GET  /users/:roomId/:userId/publickey - Get public key`);
-        console.log(`   GET  /rooms/:roomId/users - Get room users`);
-        console.log(`   POST /send-e2ee - Send E2EE message`);
-        console.log(`   GET  /messages-e2ee/:roomId/:userId - Get E2EE messages`);
-        console.log(`   POST /send - Send legacy message`);
-        console.log(`   GET  /messages/:roomId - Get legacy messages`);
-        console.log(`   POST /receipts - Send receipt`);
-        console.log(`   GET  /receipts/:roomId - Get receipts`);
-        console.log(`✅ Server ready for E2EE operations!`);
+        logger.info('Server started', { port: Number(PORT), storage: store.name, pubsub: eventBus.pubsub.name, instanceId: eventBus.instanceId });
     });
 }
 
 // Export for Vercel
 module.exports = app;
+module.exports.store = store;
@@ -0,0 +1,115 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./support/app-client');
+
+const ADMIN_SECRET = 'test-admin-secret';
+const METRICS_TOKEN = 'test-metrics-token';
+process.env.ADMIN_SECRET = ADMIN_SECRET;
+process.env.METRICS_TOKEN = METRICS_TOKEN;
+
+const ADMIN_ROUTES = [
+    ['GET', '/stats'],
+    ['POST', '/cleanup'],
+    ['GET', '/admin/rooms'],
+    ['POST', '/admin/rooms/LOBBY/close', {}],
+    ['POST', '/admin/bans', { userId: 'bob' }],
+    ['GET', '/admin/bans'],
+    ['DELETE', '/admin/bans/bob'],
+    ['GET', '/admin/settings'],
+    ['PUT', '/admin/settings', { retention: { receiptsMs: 1 } }],
+    ['GET', '/admin/audit']
+];
+
+describe('admin API', () => {
+    let client;
+
+    before(async () => {
+        client = await startApp();
+        await client.register('alice');
+        await client.register('bob');
+        await client.request('POST', '/create-room', { body: { roomId: 'lobby', hostId: 'alice' }, as: 'alice' });
+        await client.request('POST', '/join-room', { body: { roomId: 'lobby', userId: 'bob' }, as: 'bob' });
+    });
+    after(() => client.close());
+
+    for (const [method, path, body] of ADMIN_ROUTES) {
+        test(`${method} ${path} refuses callers without the admin secret`, async () => {
+            for (const as of [undefined, 'alice', 'wrong-secret', METRICS_TOKEN]) {
+                const { status, body: answer } = await client.request(method, path, { body, as });
+                assert.strictEqual(status, 401, `as ${as}`);
+                assert.strictEqual(answer.code, 'INVALID_ADMIN_TOKEN');
+            }
+        });
+    }
+
+    test('refused calls change nothing and are not audited', async () => {
+        assert.strictEqual(await client.store.get('serverBans', 'bob'), undefined);
+        assert.ok(await client.store.has('rooms', 'LOBBY'));
+        assert.deepStrictEqual(await client.store.get('adminAudit', 'entries') || [], []);
+    });
+
+    test('/stats answers with the admin secret', async () => {
+        const { status, body } = await client.request('GET', '/stats', { as: ADMIN_SECRET });
+        assert.strictEqual(status, 200);
+        assert.strictEqual(body.storageAdapter, 'memory');
+        assert.strictEqual(typeof body.activeRooms, 'number');
+    });
+
+    test('room listings carry counts, not content', async () => {
+        const { status, body } = await client.request('GET', '/admin/rooms', { as: ADMIN_SECRET });
+        assert.strictEqual(status, 200);
+        const lobby = body.rooms.find(room => room.roomId === 'LOBBY');
+        assert.strictEqual(lobby.memberCount, 2);
+        assert.deepStrictEqual(Object.keys(lobby).sort(), [
+            'createdAt', 'direct', 'e2eeEnabled', 'expiresAt', 'groupMessages', 'importedAt',
+            'lastActivityAt', 'legacyMessages', 'memberCount', 'queuedEnvelopes', 'roomId'
+        ]);
+        assert.strictEqual(typeof lobby.legacyMessages, 'number');
+    });
+
+    test('a server ban takes the user out of rooms and voids their token, and is audited', async () => {
+        const ban = await client.request('POST', '/admin/bans', { body: { userId: 'bob', reason: 'spam' }, as: ADMIN_SECRET });
+        assert.strictEqual(ban.status, 200);
+        assert.strictEqual(ban.body.removedFromRooms, 1);
+        assert.deepStrictEqual(await client.store.get('roomUsers', 'LOBBY'), ['alice']);
+
+        const refused = await client.request('GET', '/auth/devices', { as: 'bob' });
+        assert.strictEqual(refused.status, 403);
+        assert.strictEqual(refused.body.code, 'ACCOUNT_BANNED');
+
+        const { body } = await client.request('GET', '/admin/audit', { as: ADMIN_SECRET });
+        const entry = body.entries.find(item => item.action === 'user.ban');
+        assert.strictEqual(entry.details.userId, 'bob');
+    });
+
+    test('/cleanup runs with the admin secret and is audited', async () => {
+        const { status } = await client.request('POST', '/cleanup', { as: ADMIN_SECRET });
+        assert.strictEqual(status, 200);
+        const { body } = await client.request('GET', '/admin/audit', { as: ADMIN_SECRET });
+        assert.ok(body.entries.some(entry => entry.action === 'cleanup.run'));
+    });
+});
+
+describe('/metrics with METRICS_TOKEN set', () => {
+    let client;
+
+    before(async () => {
+        client = await startApp();
+    });
+    after(() => client.close());
+
+    test('refuses scrapes without the metrics token', async () => {
+        for (const as of [undefined, 'wrong-token', ADMIN_SECRET]) {
+            const { status, body } = await client.request('GET', '/metrics', { as });
+            assert.strictEqual(status, 401, `as ${as}`);
+            assert.strictEqual(body.code, 'INVALID_TOKEN');
+        }
+    });
+
+    test('serves Prometheus text with the metrics token', async () => {
+        const { status, headers, body } = await client.request('GET', '/metrics', { as: METRICS_TOKEN });
+        assert.strictEqual(status, 200);
+        assert.match(headers['content-type'], /^text\/plain/);
+        assert.match(body, /securechat_http_requests_total/);
+    });
+});
@@ -0,0 +1,129 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const auth = require('../lib/auth');
+const { sealArchive } = require('../lib/archive');
+const { startApp } = require('./support/app-client');
+
+const PASSPHRASE = 'correct horse battery';
+
+describe('room export and import', () => {
+    let client;
+    let exported;
+
+    before(async () => {
+        client = await startApp();
+        for (const userId of ['alice', 'bob', 'carol', 'mallory']) {
+            await client.register(userId);
+        }
+        await client.request('POST', '/create-room', { body: { roomId: 'source', hostId: 'alice', e2eeEnabled: true, password: 'room-pass' }, as: 'alice' });
+        await client.request('POST', '/join-room', { body: { roomId: 'source', userId: 'bob', password: 'room-pass' }, as: 'bob' });
+        await client.request('POST', '/rooms/source/ban', { body: { userId: 'carol' }, as: 'alice' });
+        await client.request('POST', '/users/source/bob/publickey', { body: { publicKey: 'bob-key' }, as: 'bob' });
+        await client.request('POST', '/send-e2ee', { body: { roomId: 'source', senderId: 'alice', encryptedMessages: { bob: 'queued' } }, as: 'alice' });
+
+        const { status, body } = await client.request('POST', '/rooms/source/export', { body: { passphrase: PASSPHRASE }, as: 'alice' });
+        assert.strictEqual(status, 200);
+        exported = body;
+    });
+    after(() => client.close());
+
+    const importArchive = (as, archive, options = {}) =>
+        client.request('POST', '/rooms/import', { body: { archive, passphrase: PASSPHRASE, ...options }, as });
+
+    // An archive sealed by hand, as anyone can, rather than exported by this server
+    const forge = (collections, { roomId = 'FORGED', signature } = {}) =>
+        sealArchive({ collections, ...(signature ? { signature } : {}) }, PASSPHRASE, { roomId });
+
+    const forgedRoom = hostId => ({
+        rooms: { hostId, e2eeEnabled: true, passwordHash: auth.hashPassword('planted'), inviteOnly: false, bannedUsers: ['bob'] },
+        roomUsers: [hostId, 'bob'],
+        userPublicKeys: { bob: { publicKey: 'planted-key', fingerprint: 'x', version: 1, timestamp: Date.now() } },
+        publicKeyHistory: { bob: [{ publicKey: 'planted-key' }] },
+        e2eeMessages: [{
+            id: 'm1_' + hostId, messageId: 'm1', seq: 1, senderId: 'bob', recipientId: hostId,
+            encryptedData: 'planted', timestamp: Date.now(), expirationTime: Date.now() + 60000
+        }],
+        roomSequences: 1
+    });
+
+    test('only the host exports', async () => {
+        const { status, body } = await client.request('POST', '/rooms/source/export', { body: { passphrase: PASSPHRASE }, as: 'bob' });
+        assert.strictEqual(status, 403);
+        assert.strictEqual(body.code, 'HOST_ONLY');
+    });
+
+    test('only the archived host imports', async () => {
+        const { status, body } = await importArchive('bob', exported, { roomId: 'stolen' });
+        assert.strictEqual(status, 403);
+        assert.strictEqual(body.code, 'HOST_ONLY');
+    });
+
+    test('an archive exported here comes back whole', async () => {
+        const { status, body } = await importArchive('alice', exported, { roomId: 'copy' });
+        assert.strictEqual(status, 200);
+        assert.strictEqual(body.verified, true);
+
+        assert.deepStrictEqual(await client.store.get('roomUsers', 'COPY'), ['alice', 'bob']);
+        assert.strictEqual((await client.store.get('userPublicKeys', 'COPY')).bob.publicKey, 'bob-key');
+        assert.deepStrictEqual((await client.store.get('e2eeMessages', 'COPY')).map(msg => msg.encryptedData), ['queued']);
+        const room = await client.store.get('rooms', 'COPY');
+        assert.ok(auth.verifyPassword('room-pass', room.passwordHash));
+        assert.deepStrictEqual(room.bannedUsers, ['carol']);
+    });
+
+    test('an unsigned archive brings back no other members, keys, messages, password or bans', async () => {
+        const { status, body } = await importArchive('mallory', await forge(forgedRoom('mallory')));
+        assert.strictEqual(status, 200);
+        assert.strictEqual(body.verified, false);
+
+        assert.deepStrictEqual(await client.store.get('roomUsers', 'FORGED'), ['mallory']);
+        assert.strictEqual((await client.store.get('userPublicKeys', 'FORGED') || {}).bob, undefined);
+        assert.strictEqual(await client.store.get('e2eeMessages', 'FORGED'), undefined);
+        const room = await client.store.get('rooms', 'FORGED');
+        assert.strictEqual(room.passwordHash, null);
+        assert.deepStrictEqual(room.bannedUsers, []);
+
+        assert.strictEqual((await client.request('POST', '/join-room', { body: { roomId: 'forged', userId: 'bob' }, as: 'bob' })).status, 200);
+    });
+
+    test('a made-up signature counts as unsigned', async () => {
+        const archive = await forge(forgedRoom('mallory'), { roomId: 'FORGED2', signature: 'ab'.repeat(32) });
+        const { status, body } = await importArchive('mallory', archive);
+        assert.strictEqual(status, 200);
+        assert.strictEqual(body.verified, false);
+        assert.deepStrictEqual(await client.store.get('roomUsers', 'FORGED2'), ['mallory']);
+    });
+
+    test('the header room id must pass the /create-room rules', async () => {
+        for (const roomId of [{ nested: true }, 'has space', 'x'.repeat(65), '__proto__']) {
+            const { status, body } = await importArchive('mallory', await forge(forgedRoom('mallory'), { roomId }));
+            assert.strictEqual(status, 400, JSON.stringify(roomId));
+            assert.strictEqual(body.code, 'INVALID_VALUE');
+            assert.strictEqual(body.field, 'roomId');
+        }
+    });
+
+    test('message policies are held to the message-policy rules', async () => {
+        for (const messagePolicy of [{ defaultTtlMs: 'soon' }, { defaultTtlMs: 1.5 }, { minTtlMs: 5000, maxTtlMs: 2000 }]) {
+            const collections = forgedRoom('mallory');
+            collections.rooms.messagePolicy = messagePolicy;
+            const { status, body } = await importArchive('mallory', await forge(collections, { roomId: 'POLICY' }));
+            assert.strictEqual(status, 400, JSON.stringify(messagePolicy));
+            assert.strictEqual(body.code, 'INVALID_ARCHIVE');
+        }
+    });
+
+    test('onConflict: replace is refused unless the importer hosts the existing room', async () => {
+        const hijack = await importArchive('mallory', await forge(forgedRoom('mallory'), { roomId: 'SOURCE' }), { onConflict: 'replace' });
+        assert.strictEqual(hijack.status, 403);
+        assert.strictEqual(hijack.body.code, 'HOST_ONLY');
+        assert.strictEqual((await client.store.get('rooms', 'SOURCE')).hostId, 'alice');
+
+        const conflict = await importArchive('alice', exported);
+        assert.strictEqual(conflict.status, 409);
+
+        const { status, body } = await importArchive('alice', exported, { onConflict: 'replace' });
+        assert.strictEqual(status, 200);
+        assert.strictEqual(body.replaced, true);
+    });
+});
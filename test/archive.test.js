@@ -0,0 +1,77 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { sealArchive, openArchive, ArchiveError, ARCHIVE_FORMAT, ARCHIVE_VERSION } = require('../lib/archive');
+
+const PASSPHRASE = 'correct horse battery';
+
+function rejectsWith(code) {
+    return error => error instanceof ArchiveError && error.code === code;
+}
+
+describe('room archives', () => {
+    test('open returns the sealed payload', async () => {
+        const payload = { collections: { rooms: { hostId: 'alice' }, roomUsers: ['alice', 'bob'] }, signature: 'abc' };
+        const archive = await sealArchive(payload, PASSPHRASE, { roomId: 'R1', exportedAt: 1234 });
+
+        assert.strictEqual(archive.format, ARCHIVE_FORMAT);
+        assert.strictEqual(archive.version, ARCHIVE_VERSION);
+        assert.strictEqual(archive.roomId, 'R1');
+        assert.strictEqual(archive.exportedAt, 1234);
+        assert.ok(!Buffer.from(archive.data, 'base64').includes('alice'), 'payload is encrypted');
+        assert.deepStrictEqual(await openArchive(archive, PASSPHRASE), payload);
+    });
+
+    test('salts and IVs are fresh for every archive', async () => {
+        const first = await sealArchive({}, PASSPHRASE, { roomId: 'R1' });
+        const second = await sealArchive({}, PASSPHRASE, { roomId: 'R1' });
+        assert.notStrictEqual(first.kdf.salt, second.kdf.salt);
+        assert.notStrictEqual(first.cipher.iv, second.cipher.iv);
+    });
+
+    test('a wrong passphrase fails the integrity check', async () => {
+        const archive = await sealArchive({ secret: true }, PASSPHRASE, { roomId: 'R1' });
+        await assert.rejects(openArchive(archive, 'wrong horse battery'), rejectsWith('ARCHIVE_INTEGRITY'));
+    });
+
+    test('changing the header, ciphertext or tag fails the integrity check', async () => {
+        const archive = await sealArchive({ secret: true }, PASSPHRASE, { roomId: 'R1', exportedAt: 1234 });
+        const data = Buffer.from(archive.data, 'base64');
+        data[0] ^= 1;
+        const tag = Buffer.from(archive.cipher.tag, 'base64');
+        tag[0] ^= 1;
+
+        for (const tampered of [
+            { ...archive, roomId: 'R2' },
+            { ...archive, exportedAt: 1235 },
+            { ...archive, data: data.toString('base64') },
+            { ...archive, cipher: { ...archive.cipher, tag: tag.toString('base64') } }
+        ]) {
+            await assert.rejects(openArchive(tampered, PASSPHRASE), rejectsWith('ARCHIVE_INTEGRITY'));
+        }
+    });
+
+    test('refuses what is not an archive or not this version', async () => {
+        const archive = await sealArchive({}, PASSPHRASE, { roomId: 'R1' });
+        await assert.rejects(openArchive(null, PASSPHRASE), rejectsWith('INVALID_ARCHIVE'));
+        await assert.rejects(openArchive({ ...archive, format: 'zip' }, PASSPHRASE), rejectsWith('INVALID_ARCHIVE'));
+        await assert.rejects(openArchive({ ...archive, version: 2 }, PASSPHRASE), rejectsWith('UNSUPPORTED_ARCHIVE_VERSION'));
+        await assert.rejects(openArchive({ ...archive, cipher: { ...archive.cipher, name: 'aes-128-cbc' } }, PASSPHRASE), rejectsWith('INVALID_ARCHIVE'));
+        await assert.rejects(openArchive({ ...archive, cipher: { ...archive.cipher, tag: 'AAAA' } }, PASSPHRASE), rejectsWith('INVALID_ARCHIVE'));
+    });
+
+    test('refuses key derivation costlier than the export defaults before deriving', async () => {
+        const archive = await sealArchive({}, PASSPHRASE, { roomId: 'R1' });
+        for (const kdf of [
+            { N: archive.kdf.N * 2 },
+            { N: 1 << 24 },
+            { r: archive.kdf.r + 1 },
+            { p: 64 },
+            { N: 3000 },
+            { N: 0 },
+            { name: 'pbkdf2' }
+        ]) {
+            // INVALID_ARCHIVE rather than ARCHIVE_INTEGRITY: refused before any key is derived
+            await assert.rejects(openArchive({ ...archive, kdf: { ...archive.kdf, ...kdf } }, PASSPHRASE), rejectsWith('INVALID_ARCHIVE'), JSON.stringify(kdf));
+        }
+    });
+});
@@ -0,0 +1,116 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const auth = require('../lib/auth');
+const { startApp } = require('./support/app-client');
+
+process.env.AUTH_SECRET = 'test-token-secret';
+
+describe('token service', () => {
+    const tokens = auth.createTokenService({ secret: 'secret', ttlMs: 60 * 1000 });
+
+    test('verifies its own tokens and returns the claims', () => {
+        const { token, expiresAt } = tokens.sign('alice');
+        const claims = tokens.verify(token);
+        assert.strictEqual(claims.sub, 'alice');
+        assert.strictEqual(claims.exp, expiresAt);
+    });
+
+    test('rejects tokens with a forged payload or signature', () => {
+        const { token } = tokens.sign('alice');
+        const [payload, signature] = token.split('.');
+        const forged = Buffer.from(JSON.stringify({ sub: 'bob', iat: Date.now(), exp: Date.now() + 60000 })).toString('base64url');
+        assert.strictEqual(tokens.verify(`${forged}.${signature}`), null);
+        assert.strictEqual(tokens.verify(`${payload}.${signature.slice(1)}`), null);
+        assert.strictEqual(auth.createTokenService({ secret: 'other', ttlMs: 60000 }).verify(token), null);
+    });
+
+    test('rejects expired and malformed tokens', () => {
+        const expired = auth.createTokenService({ secret: 'secret', ttlMs: -1 }).sign('alice').token;
+        assert.strictEqual(tokens.verify(expired), null);
+        for (const malformed of [undefined, '', 'abc', 'abc.', '.abc', 'a.b.c', 42]) {
+            assert.strictEqual(tokens.verify(malformed), null, String(malformed));
+        }
+    });
+
+    test('matches credentials and room passwords only against their own hash', () => {
+        const credential = auth.generateSecret();
+        assert.strictEqual(auth.credentialMatches(credential, auth.hashCredential(credential)), true);
+        assert.strictEqual(auth.credentialMatches(`${credential}x`, auth.hashCredential(credential)), false);
+        assert.strictEqual(auth.credentialMatches(undefined, auth.hashCredential(credential)), false);
+
+        const stored = auth.hashPassword('hunter22');
+        assert.strictEqual(auth.verifyPassword('hunter22', stored), true);
+        assert.strictEqual(auth.verifyPassword('hunter23', stored), false);
+        assert.notStrictEqual(auth.hashPassword('hunter22'), stored, 'salted per password');
+    });
+});
+
+describe('bearer authentication', () => {
+    let client;
+
+    before(async () => {
+        client = await startApp();
+    });
+    after(() => client.close());
+
+    test('requires a token', async () => {
+        const { status, body } = await client.request('GET', '/auth/devices');
+        assert.strictEqual(status, 401);
+        assert.strictEqual(body.code, 'AUTH_REQUIRED');
+    });
+
+    test('accepts tokens from registration and from /auth/token', async () => {
+        const { credential } = await client.register('alice');
+        assert.strictEqual((await client.request('GET', '/auth/devices', { as: 'alice' })).status, 200);
+
+        const issued = await client.request('POST', '/auth/token', { body: { userId: 'alice', credential } });
+        assert.strictEqual(issued.status, 200);
+        assert.strictEqual((await client.request('GET', '/auth/devices', { as: issued.body.token })).status, 200);
+    });
+
+    test('refuses /auth/token with a wrong credential', async () => {
+        await client.register('carol');
+        const { status, body } = await client.request('POST', '/auth/token', { body: { userId: 'carol', credential: 'guess' } });
+        assert.strictEqual(status, 401);
+        assert.strictEqual(body.code, 'INVALID_CREDENTIALS');
+    });
+
+    test('refuses registering a userId twice', async () => {
+        await client.register('dave');
+        const { status, body } = await client.request('POST', '/auth/register', { body: { userId: 'dave' } });
+        assert.strictEqual(status, 409);
+        assert.strictEqual(body.code, 'USER_EXISTS');
+    });
+
+    test('rejects expired, forged and unregistered-user tokens', async () => {
+        await client.register('erin');
+        const expired = auth.createTokenService({ secret: process.env.AUTH_SECRET, ttlMs: -1 }).sign('erin').token;
+        const forged = auth.createTokenService({ secret: 'not-the-server-secret', ttlMs: 60000 }).sign('erin').token;
+        const unregistered = auth.createTokenService({ secret: process.env.AUTH_SECRET, ttlMs: 60000 }).sign('nobody').token;
+
+        for (const token of [expired, forged, unregistered, 'garbage']) {
+            const { status, body } = await client.request('GET', '/auth/devices', { as: token });
+            assert.strictEqual(status, 401);
+            assert.strictEqual(body.code, 'INVALID_TOKEN');
+        }
+    });
+
+    test('refuses userIds naming Object.prototype members', async () => {
+        for (const userId of ['__proto__', 'constructor', 'prototype']) {
+            const { status, body } = await client.request('POST', '/auth/register', { body: { userId } });
+            assert.strictEqual(status, 400, userId);
+            assert.strictEqual(body.code, 'INVALID_FORMAT');
+        }
+        assert.strictEqual((await client.request('POST', '/auth/register', { body: { userId: 'constructor2' } })).status, 200);
+    });
+
+    test('does not let a token act for another userId', async () => {
+        await client.register('frank');
+        const { status, body } = await client.request('POST', '/create-room', {
+            body: { roomId: 'room1', hostId: 'grace' },
+            as: 'frank'
+        });
+        assert.strictEqual(status, 403);
+        assert.strictEqual(body.code, 'IDENTITY_MISMATCH');
+    });
+});
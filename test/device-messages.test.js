@@ -0,0 +1,78 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./support/app-client');
+
+describe('edits and deletes of messages sent per device', () => {
+    let client;
+
+    before(async () => {
+        client = await startApp();
+        await client.register('alice');
+        await client.register('bob');
+        for (const deviceId of ['phone', 'laptop']) {
+            await client.request('POST', '/auth/devices', { body: { deviceId }, as: 'bob' });
+        }
+        await client.request('POST', '/create-room', { body: { roomId: 'devices', hostId: 'alice', e2eeEnabled: true }, as: 'alice' });
+        await client.request('POST', '/join-room', { body: { roomId: 'devices', userId: 'bob' }, as: 'bob' });
+    });
+    after(() => client.close());
+
+    async function send() {
+        const { status, body } = await client.request('POST', '/send-e2ee', {
+            body: { roomId: 'devices', senderId: 'alice', deviceMessages: { bob: { phone: 'hi-phone', laptop: 'hi-laptop' } } },
+            as: 'alice'
+        });
+        assert.strictEqual(status, 200);
+        return body.messageId;
+    }
+
+    async function fetchFor(deviceId, messageId) {
+        const { body } = await client.request('GET', `/messages-e2ee/devices/bob?deviceId=${deviceId}`, { as: 'bob' });
+        return body.filter(msg => msg.messageId === messageId);
+    }
+
+    test('an edit for one device leaves the other device its own envelope', async () => {
+        const messageId = await send();
+
+        const { status, body } = await client.request('PUT', `/messages-e2ee/devices/${messageId}`, {
+            body: { deviceMessages: { bob: { phone: 'edited-phone' } } },
+            as: 'alice'
+        });
+        assert.strictEqual(status, 200);
+        assert.strictEqual(body.envelopeCount, 1);
+
+        const phone = await fetchFor('phone', messageId);
+        assert.deepStrictEqual(phone.map(msg => [msg.encryptedData, msg.recipientDeviceId, Boolean(msg.edited)]), [['edited-phone', 'phone', true]]);
+        const laptop = await fetchFor('laptop', messageId);
+        assert.deepStrictEqual(laptop.map(msg => msg.encryptedData), ['hi-laptop']);
+    });
+
+    test('edits follow the addressing rules of /send-e2ee', async () => {
+        const messageId = await send();
+        const edit = body => client.request('PUT', `/messages-e2ee/devices/${messageId}`, { body, as: 'alice' });
+
+        const unknownDevice = await edit({ deviceMessages: { bob: { tablet: 'x' } } });
+        assert.strictEqual(unknownDevice.status, 400);
+        assert.strictEqual(unknownDevice.body.code, 'DEVICE_NOT_FOUND');
+
+        const both = await edit({ encryptedMessages: { bob: 'x' }, deviceMessages: { bob: { phone: 'x' } } });
+        assert.strictEqual(both.status, 400);
+        assert.strictEqual(both.body.code, 'INVALID_VALUE');
+
+        const empty = await edit({});
+        assert.strictEqual(empty.status, 400);
+        assert.strictEqual(empty.body.code, 'MISSING_FIELD');
+    });
+
+    test('a delete leaves every addressed device a tombstone of its own', async () => {
+        const messageId = await send();
+        await client.request('POST', '/messages-e2ee/devices/bob/ack', { body: { upTo: Number.MAX_SAFE_INTEGER, deviceId: 'phone' }, as: 'bob' });
+
+        assert.strictEqual((await client.request('DELETE', `/messages-e2ee/devices/${messageId}`, { as: 'alice' })).status, 200);
+
+        for (const deviceId of ['phone', 'laptop']) {
+            const envelopes = await fetchFor(deviceId, messageId);
+            assert.deepStrictEqual(envelopes.map(msg => [Boolean(msg.tombstone), msg.recipientDeviceId]), [[true, deviceId]], deviceId);
+        }
+    });
+});
@@ -0,0 +1,43 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileStore = require('../lib/storage/file');
+const { Logger } = require('../lib/logger');
+const { waitFor } = require('./support/wait-for');
+
+describe('file storage adapter', () => {
+    let dir;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'securechat-file-store-'));
+    });
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    test('writes a snapshot that a new instance loads', async () => {
+        const filePath = path.join(dir, 'store.json');
+        const store = new FileStore({ filePath, flushDelay: 5 });
+        await store.set('rooms', 'R1', { hostId: 'alice' });
+        await store.close();
+
+        const reloaded = new FileStore({ filePath });
+        assert.deepStrictEqual(await reloaded.get('rooms', 'R1'), { hostId: 'alice' });
+        await reloaded.close();
+    });
+
+    test('logs failed flushes through the structured logger', async () => {
+        const lines = [];
+        const logger = new Logger({ level: 'error', stderr: { write: line => lines.push(JSON.parse(line)) } });
+        fs.writeFileSync(path.join(dir, 'not-a-directory'), '');
+        const store = new FileStore({ filePath: path.join(dir, 'not-a-directory', 'store.json'), flushDelay: 5, logger });
+
+        await store.set('rooms', 'R1', { hostId: 'alice' });
+        await waitFor(() => lines.length > 0);
+
+        assert.strictEqual(lines[0].level, 'error');
+        assert.strictEqual(lines[0].msg, 'storage.flush_failed');
+        assert.ok(lines[0].error.code, 'the fs error is serialized');
+        assert.match(lines[0].filePath, /not-a-directory/);
+    });
+});
@@ -0,0 +1,184 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const http = require('http');
+const { PushDispatcher, PushError, WebhookTransport, checkPublicEndpoint } = require('../lib/push');
+const { waitFor } = require('./support/wait-for');
+
+// Local webhook receiver: records every request and answers with the queued statuses (then 200)
+class MockEndpoint {
+    constructor() {
+        this.requests = [];
+        this.responses = [];
+        this.server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => {
+                body += chunk;
+            });
+            req.on('end', () => {
+                this.requests.push({ path: req.url, headers: req.headers, body, receivedAt: Date.now() });
+                const { status = 200, headers = {} } = this.responses.shift() || {};
+                res.writeHead(status, headers);
+                res.end();
+            });
+        });
+    }
+
+    listen() {
+        return new Promise(resolve => {
+            this.server.listen(0, '127.0.0.1', () => {
+                this.url = `http://127.0.0.1:${this.server.address().port}`;
+                resolve();
+            });
+        });
+    }
+
+    close() {
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    reset(responses = []) {
+        this.requests = [];
+        this.responses = responses;
+    }
+}
+
+describe('push delivery against a local mock endpoint', () => {
+    const endpoint = new MockEndpoint();
+    const transport = new WebhookTransport({ allowPrivateAddresses: true });
+    let results;
+
+    function subscription(path = '/hook') {
+        return {
+            subscriptionId: `sub-${path.slice(1)}`,
+            userId: 'alice',
+            type: 'webhook',
+            endpoint: `${endpoint.url}${path}`,
+            secret: 'shared-secret'
+        };
+    }
+
+    function createDispatcher(options = {}) {
+        return new PushDispatcher({
+            transports: { webhook: transport },
+            coalesceMs: 20,
+            retryBaseMs: 20,
+            onResult: (name, result) => results.push(result),
+            ...options
+        });
+    }
+
+    before(() => endpoint.listen());
+    after(() => endpoint.close());
+    beforeEach(() => {
+        endpoint.reset();
+        results = [];
+    });
+
+    test('webhook bodies carry an HMAC-SHA256 signature under the subscription secret', async () => {
+        await transport.send(subscription(), { type: 'wakeup', timestamp: 1234 });
+
+        assert.strictEqual(endpoint.requests.length, 1);
+        const [request] = endpoint.requests;
+        assert.deepStrictEqual(JSON.parse(request.body), { type: 'wakeup', timestamp: 1234, subscriptionId: 'sub-hook' });
+        assert.strictEqual(request.headers['content-type'], 'application/json');
+        const expected = crypto.createHmac('sha256', 'shared-secret').update(request.body).digest('hex');
+        assert.strictEqual(request.headers['x-push-signature'], `sha256=${expected}`);
+    });
+
+    test('coalesces wake-ups for the same user into one delivery', async () => {
+        const dispatcher = createDispatcher();
+        dispatcher.wake('alice', [subscription()]);
+        dispatcher.wake('alice', [subscription()]);
+        dispatcher.wake('alice', [subscription()]);
+
+        await waitFor(() => results.includes('delivered'));
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        assert.strictEqual(endpoint.requests.length, 1);
+        assert.deepStrictEqual(results, ['coalesced', 'coalesced', 'delivered']);
+        assert.strictEqual(JSON.parse(endpoint.requests[0].body).type, 'wakeup');
+    });
+
+    test('retries 5xx and 429 answers with growing backoff', async () => {
+        endpoint.reset([{ status: 503 }, { status: 429 }, { status: 500 }]);
+        const dispatcher = createDispatcher();
+        dispatcher.wake('alice', [subscription()]);
+
+        await waitFor(() => results.includes('delivered'));
+
+        assert.deepStrictEqual(results, ['retried', 'retried', 'retried', 'delivered']);
+        assert.strictEqual(endpoint.requests.length, 4);
+        const gaps = endpoint.requests.slice(1).map((request, i) => request.receivedAt - endpoint.requests[i].receivedAt);
+        assert.ok(gaps[0] >= 20, `first retry after ${gaps[0]}ms`);
+        assert.ok(gaps[1] >= 40, `second retry after ${gaps[1]}ms`);
+        assert.ok(gaps[2] >= 80, `third retry after ${gaps[2]}ms`);
+    });
+
+    test('honors Retry-After when it asks for longer than the backoff', async () => {
+        endpoint.reset([{ status: 429, headers: { 'Retry-After': '1' } }]);
+        const dispatcher = createDispatcher();
+        dispatcher.wake('alice', [subscription()]);
+
+        await waitFor(() => results.includes('delivered'), 3000);
+
+        const gap = endpoint.requests[1].receivedAt - endpoint.requests[0].receivedAt;
+        assert.ok(gap >= 1000, `retried after ${gap}ms`);
+    });
+
+    test('gives up after maxAttempts and reports the error', async () => {
+        endpoint.reset([{ status: 500 }, { status: 500 }, { status: 500 }]);
+        const errors = [];
+        const dispatcher = createDispatcher({ maxAttempts: 2, onError: error => errors.push(error) });
+        dispatcher.wake('alice', [subscription()]);
+
+        await waitFor(() => results.includes('failed'));
+
+        assert.strictEqual(endpoint.requests.length, 2);
+        assert.deepStrictEqual(results, ['retried', 'failed']);
+        assert.ok(errors[0] instanceof PushError);
+        assert.strictEqual(errors[0].statusCode, 500);
+    });
+
+    test('does not retry other 4xx answers', async () => {
+        endpoint.reset([{ status: 400 }]);
+        const dispatcher = createDispatcher({ onError: () => {} });
+        dispatcher.wake('alice', [subscription()]);
+
+        await waitFor(() => results.includes('failed'));
+
+        assert.strictEqual(endpoint.requests.length, 1);
+    });
+
+    for (const status of [404, 410]) {
+        test(`reports the subscription through onGone on ${status} without retrying`, async () => {
+            endpoint.reset([{ status }]);
+            const gone = [];
+            const dispatcher = createDispatcher({ onGone: sub => gone.push(sub.subscriptionId) });
+            dispatcher.wake('alice', [subscription('/expired')]);
+
+            await waitFor(() => gone.length === 1);
+            await new Promise(resolve => setTimeout(resolve, 50));
+
+            assert.deepStrictEqual(gone, ['sub-expired']);
+            assert.deepStrictEqual(results, ['gone']);
+            assert.strictEqual(endpoint.requests.length, 1);
+        });
+    }
+
+    test('refuses non-public addresses unless allowed', async () => {
+        await assert.rejects(
+            new WebhookTransport().send(subscription(), { type: 'wakeup', timestamp: 1 }),
+            error => error instanceof PushError && error.retryable === false
+        );
+        for (const host of [
+            '169.254.169.254', '127.0.0.1', '10.1.2.3', '[::1]', '[::ffff:127.0.0.1]', '[fd00::1]', '[fe80::1]',
+            '[64:ff9b::7f00:1]', '[64:ff9b::a9fe:a9fe]', '[64:ff9b:1::a00:1]'
+        ]) {
+            await assert.rejects(checkPublicEndpoint(`https://${host}/hook`), PushError, host);
+        }
+        await checkPublicEndpoint('https://93.184.216.34/hook');
+        await checkPublicEndpoint('https://[2606:2800:220:1:248:1893:25c8:1946]/hook');
+        assert.strictEqual(endpoint.requests.length, 0);
+    });
+});
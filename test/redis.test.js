@@ -0,0 +1,152 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const { RedisClient, parseReply, encodeCommand } = require('../lib/redis');
+const RedisStore = require('../lib/storage/redis');
+const RedisPubSub = require('../lib/pubsub/redis');
+const { Logger } = require('../lib/logger');
+const { RedisStandIn } = require('./support/redis-stand-in');
+const { waitFor } = require('./support/wait-for');
+
+// Keeps adapter error logs out of the test output
+const quietLogger = new Logger({ level: 'error', stderr: { write: () => {} } });
+
+describe('parseReply', () => {
+    test('parses simple strings, errors, integers and bulk strings', () => {
+        assert.deepStrictEqual(parseReply(Buffer.from('+OK\r\n')), { value: 'OK', offset: 5 });
+        assert.strictEqual(parseReply(Buffer.from('-ERR bad\r\n')).value.message, 'ERR bad');
+        assert.strictEqual(parseReply(Buffer.from(':42\r\n')).value, 42);
+        assert.strictEqual(parseReply(Buffer.from('$5\r\nhello\r\n')).value, 'hello');
+        assert.strictEqual(parseReply(Buffer.from('$-1\r\n')).value, null);
+    });
+
+    test('returns null until a reply is complete', () => {
+        const reply = Buffer.from('*2\r\n$3\r\nfoo\r\n$3\r\nbar\r\n');
+        for (let end = 0; end < reply.length; end++) {
+            assert.strictEqual(parseReply(reply.subarray(0, end)), null, `prefix of ${end} bytes`);
+        }
+        assert.deepStrictEqual(parseReply(reply).value, ['foo', 'bar']);
+    });
+
+    test('counts bulk string lengths in bytes', () => {
+        const reply = Buffer.from('$6\r\nhéllo\r\n');
+        assert.deepStrictEqual(parseReply(reply), { value: 'héllo', offset: reply.length });
+    });
+
+    test('parses nested arrays and stops at the end of the first reply', () => {
+        const reply = Buffer.from('*3\r\n:1\r\n*2\r\n$1\r\na\r\n*-1\r\n$-1\r\n+NEXT\r\n');
+        const parsed = parseReply(reply);
+        assert.deepStrictEqual(parsed.value, [1, ['a', null], null]);
+        assert.deepStrictEqual(parseReply(reply, parsed.offset).value, 'NEXT');
+    });
+
+    test('reads replies split across chunks', async () => {
+        const client = new RedisClient('redis://127.0.0.1:1');
+        client.on('error', () => {});
+        await client.quit();
+        const values = [];
+        client.pending = [
+            { resolve: value => values.push(value), reject: assert.fail },
+            { resolve: value => values.push(value), reject: assert.fail }
+        ];
+        const stream = Buffer.from('*2\r\n$3\r\nfoo\r\n:7\r\n+OK\r\n');
+        for (const chunk of [stream.subarray(0, 3), stream.subarray(3, 11), stream.subarray(11, 17), stream.subarray(17)]) {
+            client.onData(chunk);
+        }
+        assert.deepStrictEqual(values, [['foo', 7], 'OK']);
+    });
+
+    test('round-trips commands encoded by encodeCommand', () => {
+        assert.deepStrictEqual(parseReply(Buffer.from(encodeCommand(['HSET', 'key', 'field', 'välue']))).value, ['HSET', 'key', 'field', 'välue']);
+    });
+});
+
+describe('RedisClient', () => {
+    test('rejects commands after commandTimeoutMs when the server is unreachable', async () => {
+        const client = new RedisClient('redis://127.0.0.1:1', { commandTimeoutMs: 100 });
+        client.on('error', () => {});
+        const started = Date.now();
+        await assert.rejects(client.command('GET', 'key'), /timed out/);
+        assert.ok(Date.now() - started < 1000);
+        assert.strictEqual(client.outbox.length, 0);
+        await client.quit();
+    });
+});
+
+describe('redis adapters against a local stand-in', () => {
+    let standIn;
+    const closers = [];
+
+    before(async () => {
+        standIn = new RedisStandIn();
+        await standIn.listen();
+    });
+
+    after(async () => {
+        await Promise.all(closers.map(close => close()));
+        await standIn.close();
+    });
+
+    function createStore() {
+        const store = new RedisStore({ url: standIn.url, prefix: 'test:', logger: quietLogger });
+        closers.push(() => store.close());
+        return store;
+    }
+
+    function createPubSub() {
+        const pubsub = new RedisPubSub({ url: standIn.url, prefix: 'test:', logger: quietLogger });
+        closers.push(() => pubsub.close());
+        return pubsub;
+    }
+
+    test('stores JSON values per collection', async () => {
+        const store = createStore();
+        await store.set('rooms', 'R1', { hostId: 'alice' });
+        assert.deepStrictEqual(await store.get('rooms', 'R1'), { hostId: 'alice' });
+        assert.strictEqual(await store.has('rooms', 'R1'), true);
+        assert.deepStrictEqual(await store.entries('rooms'), [['R1', { hostId: 'alice' }]]);
+        assert.strictEqual(await store.delete('rooms', 'R1'), true);
+        assert.strictEqual(await store.get('rooms', 'R1'), undefined);
+    });
+
+    test('update deletes the key when the updater returns undefined', async () => {
+        const store = createStore();
+        await store.set('counters', 'gone', 1);
+        await store.update('counters', 'gone', () => undefined);
+        assert.strictEqual(await store.has('counters', 'gone'), false);
+    });
+
+    test('update serializes read-modify-write cycles across two clients', async () => {
+        const first = createStore();
+        const second = createStore();
+        const increment = store => store.update('counters', 'shared', async (value = 0) => {
+            // Yield between read and write so unserialized updates would interleave
+            await new Promise(resolve => setTimeout(resolve, 1));
+            return value + 1;
+        });
+
+        const updates = [];
+        for (let i = 0; i < 15; i++) {
+            updates.push(increment(first), increment(second));
+        }
+        await Promise.all(updates);
+
+        assert.strictEqual(await first.get('counters', 'shared'), 30);
+        assert.strictEqual(standIn.getString('test:lock:counters:shared'), null, 'lock released');
+    });
+
+    test('delivers events published on one instance to subscribers on another', async () => {
+        const publisher = createPubSub();
+        const subscriber = createPubSub();
+        const received = { publisher: [], subscriber: [] };
+        publisher.subscribe('room:R1', message => received.publisher.push(message));
+        subscriber.subscribe('room:R1', message => received.subscriber.push(message));
+        subscriber.subscribe('room:R2', () => assert.fail('wrong channel'));
+        await waitFor(() => (standIn.channels.get('test:room:R1') || new Set()).size === 2);
+
+        await publisher.publish('room:R1', { type: 'message', data: { seq: 1 } });
+
+        await waitFor(() => received.publisher.length === 1 && received.subscriber.length === 1);
+        assert.deepStrictEqual(received.subscriber, [{ type: 'message', data: { seq: 1 } }]);
+        assert.deepStrictEqual(received.publisher, received.subscriber, 'publisher sees its own event once');
+    });
+});
@@ -0,0 +1,104 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./support/app-client');
+
+describe('room access control', () => {
+    let client;
+
+    before(async () => {
+        client = await startApp();
+        for (const userId of ['host', 'bob', 'carol', 'mallory']) {
+            await client.register(userId);
+        }
+    });
+    after(() => client.close());
+
+    const createRoom = (roomId, options = {}, as = 'host') =>
+        client.request('POST', '/create-room', { body: { roomId, hostId: as, ...options }, as });
+    const join = (roomId, userId, options = {}) =>
+        client.request('POST', '/join-room', { body: { roomId, userId, ...options }, as: userId });
+
+    test('re-creating an existing room does not hand it to another host', async () => {
+        assert.strictEqual((await createRoom('owned')).status, 200);
+
+        const { status, body } = await createRoom('owned', {}, 'mallory');
+        assert.strictEqual(status, 409);
+        assert.strictEqual(body.code, 'ROOM_EXISTS');
+        assert.strictEqual((await client.store.get('rooms', 'OWNED')).hostId, 'host');
+    });
+
+    test('password rooms admit only callers with the password', async () => {
+        await createRoom('locked', { password: 'open sesame' });
+
+        for (const password of [undefined, 'wrong']) {
+            const { status, body } = await join('locked', 'bob', { password });
+            assert.strictEqual(status, 403);
+            assert.strictEqual(body.code, 'JOIN_DENIED');
+        }
+        assert.strictEqual((await join('locked', 'bob', { password: 'open sesame' })).status, 200);
+    });
+
+    test('invite-only rooms admit holders of an unspent invite issued by the host', async () => {
+        await createRoom('private', { inviteOnly: true });
+        assert.strictEqual((await join('private', 'bob')).status, 403);
+
+        const denied = await client.request('POST', '/rooms/private/invites', { body: {}, as: 'bob' });
+        assert.strictEqual(denied.status, 403);
+        assert.strictEqual(denied.body.code, 'HOST_ONLY');
+
+        const { body: invite } = await client.request('POST', '/rooms/private/invites', { body: { maxUses: 1 }, as: 'host' });
+        assert.strictEqual((await join('private', 'bob', { inviteCode: invite.inviteCode })).status, 200);
+        assert.strictEqual((await join('private', 'carol', { inviteCode: invite.inviteCode })).status, 403, 'invite used up');
+    });
+
+    test('non-members cannot read queues or the key directory', async () => {
+        await createRoom('members');
+        const queue = await client.request('GET', '/messages-e2ee/members/mallory', { as: 'mallory' });
+        assert.strictEqual(queue.status, 403);
+        assert.strictEqual(queue.body.code, 'NOT_A_MEMBER');
+        assert.strictEqual((await client.request('GET', '/rooms/members/users', { as: 'mallory' })).status, 403);
+    });
+
+    test('only the host kicks, and kicked members lose their queue and published key', async () => {
+        await createRoom('kicks', { e2eeEnabled: true });
+        await join('kicks', 'bob');
+        await join('kicks', 'carol');
+        await client.request('POST', '/users/kicks/bob/publickey', { body: { publicKey: 'bob-key' }, as: 'bob' });
+
+        const denied = await client.request('POST', '/rooms/kicks/kick', { body: { userId: 'bob' }, as: 'carol' });
+        assert.strictEqual(denied.status, 403);
+        assert.strictEqual(denied.body.code, 'HOST_ONLY');
+
+        assert.strictEqual((await client.request('POST', '/rooms/kicks/kick', { body: { userId: 'bob' }, as: 'host' })).status, 200);
+        assert.strictEqual((await client.request('GET', '/messages-e2ee/kicks/bob', { as: 'bob' })).status, 403);
+        assert.strictEqual((await client.store.get('userPublicKeys', 'KICKS')).bob, undefined);
+    });
+
+    test('banned users cannot rejoin, even with the password, until unbanned', async () => {
+        await createRoom('bans', { password: 'letmein1' });
+        await join('bans', 'bob', { password: 'letmein1' });
+
+        assert.strictEqual((await client.request('POST', '/rooms/bans/ban', { body: { userId: 'bob' }, as: 'bob' })).status, 403);
+        assert.strictEqual((await client.request('POST', '/rooms/bans/ban', { body: { userId: 'bob' }, as: 'host' })).status, 200);
+        assert.deepStrictEqual(await client.store.get('roomUsers', 'BANS'), ['host']);
+
+        const { status, body } = await join('bans', 'bob', { password: 'letmein1' });
+        assert.strictEqual(status, 403);
+        assert.strictEqual(body.code, 'BANNED');
+
+        assert.strictEqual((await client.request('DELETE', '/rooms/bans/ban/bob', { as: 'host' })).status, 200);
+        assert.strictEqual((await join('bans', 'bob', { password: 'letmein1' })).status, 200);
+    });
+
+    test('host rights move only to a member, and only by the host', async () => {
+        await createRoom('handover');
+        await join('handover', 'bob');
+
+        assert.strictEqual((await client.request('POST', '/rooms/handover/transfer-host', { body: { newHostId: 'carol' }, as: 'host' })).status, 404);
+        assert.strictEqual((await client.request('POST', '/rooms/handover/transfer-host', { body: { newHostId: 'bob' }, as: 'bob' })).status, 403);
+        assert.strictEqual((await client.request('POST', '/rooms/handover/transfer-host', { body: { newHostId: 'bob' }, as: 'host' })).status, 200);
+
+        assert.strictEqual((await client.request('POST', '/rooms/handover/ban', { body: { userId: 'bob' }, as: 'host' })).status, 403);
+        assert.strictEqual((await client.request('POST', '/rooms/handover/kick', { body: { userId: 'host' }, as: 'bob' })).status, 200);
+    });
+});
@@ -0,0 +1,78 @@
+// Runs server.js on a local port for route-level tests
+// Set any environment the server reads at load time (ADMIN_SECRET, METRICS_TOKEN, ...) before
+// calling startApp: the app is required on first use. Each test file runs in its own process,
+// so every file gets a fresh in-memory store.
+
+const http = require('http');
+
+class AppClient {
+    constructor(app) {
+        this.app = app;
+        this.store = app.store;
+        this.tokens = {};
+    }
+
+    listen() {
+        return new Promise(resolve => {
+            this.server = http.createServer(this.app).listen(0, '127.0.0.1', resolve);
+        });
+    }
+
+    close() {
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    // Resolves { status, headers, body }; `as` is a registered userId or a raw bearer token
+    request(method, path, { body, as, headers = {} } = {}) {
+        const payload = body === undefined ? null : JSON.stringify(body);
+        const token = as === undefined ? null : this.tokens[as] || as;
+        return new Promise((resolve, reject) => {
+            const req = http.request({
+                host: '127.0.0.1',
+                port: this.server.address().port,
+                method,
+                path,
+                headers: {
+                    ...(payload ? { 'Content-Type': 'application/json' } : {}),
+                    ...(token ? { Authorization: `Bearer ${token}` } : {}),
+                    ...headers
+                }
+            }, res => {
+                let text = '';
+                res.setEncoding('utf8');
+                res.on('data', chunk => {
+                    text += chunk;
+                });
+                res.on('end', () => {
+                    let parsed = text;
+                    try {
+                        parsed = JSON.parse(text);
+                    } catch (error) {
+                        // Not JSON (e.g. /metrics): keep the text
+                    }
+                    resolve({ status: res.statusCode, headers: res.headers, body: parsed });
+                });
+            });
+            req.on('error', reject);
+            req.end(payload);
+        });
+    }
+
+    async register(userId) {
+        const { status, body } = await this.request('POST', '/auth/register', { body: { userId } });
+        if (status !== 200) {
+            throw new Error(`Registering ${userId} failed with ${status}: ${JSON.stringify(body)}`);
+        }
+        this.tokens[userId] = body.token;
+        return body;
+    }
+}
+
+async function startApp() {
+    process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+    const client = new AppClient(require('../../server'));
+    await client.listen();
+    return client;
+}
+
+module.exports = { startApp };
@@ -0,0 +1,171 @@
+// Redis-compatible local stand-in
+// A tiny RESP2 server holding just the commands the redis storage and pub/sub adapters use
+// (hashes, SET NX PX locks, the lock release script, PUBLISH/SUBSCRIBE), so their behavior can
+// be tested without a real Redis server. Not a general-purpose Redis.
+
+const net = require('net');
+const { parseReply } = require('../../lib/redis');
+
+const CRLF = '\r\n';
+
+function encode(value) {
+    if (value === null || value === undefined) {
+        return `$-1${CRLF}`;
+    }
+    if (typeof value === 'number') {
+        return `:${value}${CRLF}`;
+    }
+    if (Array.isArray(value)) {
+        return `*${value.length}${CRLF}${value.map(encode).join('')}`;
+    }
+    if (value instanceof Error) {
+        return `-${value.message}${CRLF}`;
+    }
+    if (value && value.status) {
+        return `+${value.status}${CRLF}`;
+    }
+    return `$${Buffer.byteLength(String(value))}${CRLF}${value}${CRLF}`;
+}
+
+const OK = { status: 'OK' };
+
+class RedisStandIn {
+    constructor() {
+        this.hashes = new Map(); // key -> Map(field -> value)
+        this.strings = new Map(); // key -> { value, expiresAt }
+        this.channels = new Map(); // channel -> Set(socket)
+        this.sockets = new Set();
+        this.commands = []; // every command received, for assertions
+        this.server = net.createServer(socket => this.onConnection(socket));
+    }
+
+    listen() {
+        return new Promise(resolve => {
+            this.server.listen(0, '127.0.0.1', () => {
+                this.url = `redis://127.0.0.1:${this.server.address().port}`;
+                resolve(this.url);
+            });
+        });
+    }
+
+    close() {
+        for (const socket of this.sockets) {
+            socket.destroy();
+        }
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    onConnection(socket) {
+        this.sockets.add(socket);
+        let buffer = Buffer.alloc(0);
+        socket.on('data', chunk => {
+            buffer = Buffer.concat([buffer, chunk]);
+            let request;
+            while (buffer.length > 0 && (request = parseReply(buffer))) {
+                buffer = buffer.subarray(request.offset);
+                const reply = this.execute(socket, request.value);
+                if (reply !== undefined) {
+                    socket.write(reply);
+                }
+            }
+        });
+        socket.on('close', () => {
+            this.sockets.delete(socket);
+            for (const subscribers of this.channels.values()) {
+                subscribers.delete(socket);
+            }
+        });
+        socket.on('error', () => {});
+    }
+
+    hash(key) {
+        if (!this.hashes.has(key)) {
+            this.hashes.set(key, new Map());
+        }
+        return this.hashes.get(key);
+    }
+
+    getString(key) {
+        const entry = this.strings.get(key);
+        if (entry && entry.expiresAt && entry.expiresAt <= Date.now()) {
+            this.strings.delete(key);
+            return null;
+        }
+        return entry ? entry.value : null;
+    }
+
+    execute(socket, [name, ...args]) {
+        const command = name.toUpperCase();
+        this.commands.push([command, ...args]);
+
+        switch (command) {
+            case 'PING':
+                return encode({ status: 'PONG' });
+            case 'AUTH':
+            case 'SELECT':
+                return encode(OK);
+            case 'QUIT':
+                socket.end(encode(OK));
+                return undefined;
+            case 'HGET':
+                return encode(this.hash(args[0]).has(args[1]) ? this.hash(args[0]).get(args[1]) : null);
+            case 'HSET': {
+                const isNew = !this.hash(args[0]).has(args[1]);
+                this.hash(args[0]).set(args[1], args[2]);
+                return encode(isNew ? 1 : 0);
+            }
+            case 'HDEL':
+                return encode(this.hash(args[0]).delete(args[1]) ? 1 : 0);
+            case 'HEXISTS':
+                return encode(this.hash(args[0]).has(args[1]) ? 1 : 0);
+            case 'HKEYS':
+                return encode([...this.hash(args[0]).keys()]);
+            case 'HGETALL':
+                return encode([...this.hash(args[0]).entries()].flat());
+            case 'HLEN':
+                return encode(this.hash(args[0]).size);
+            case 'GET':
+                return encode(this.getString(args[0]));
+            case 'SET': {
+                const [key, value, ...options] = args;
+                const flags = options.map(option => option.toUpperCase());
+                if (flags.includes('NX') && this.getString(key) !== null) {
+                    return encode(null);
+                }
+                const px = flags.indexOf('PX');
+                this.strings.set(key, { value, expiresAt: px === -1 ? null : Date.now() + Number(options[px + 1]) });
+                return encode(OK);
+            }
+            case 'DEL':
+                return encode(args.filter(key => this.strings.delete(key)).length);
+            case 'EVAL': {
+                // Only the lock release script: delete KEYS[1] if it still holds ARGV[1]
+                const [, , key, token] = args;
+                if (this.getString(key) === token) {
+                    this.strings.delete(key);
+                    return encode(1);
+                }
+                return encode(0);
+            }
+            case 'PUBLISH': {
+                const subscribers = this.channels.get(args[0]) || new Set();
+                for (const subscriber of subscribers) {
+                    subscriber.write(encode(['message', args[0], args[1]]));
+                }
+                return encode(subscribers.size);
+            }
+            case 'SUBSCRIBE':
+                return args.map((channel, index) => {
+                    if (!this.channels.has(channel)) {
+                        this.channels.set(channel, new Set());
+                    }
+                    this.channels.get(channel).add(socket);
+                    return encode(['subscribe', channel, index + 1]);
+                }).join('');
+            default:
+                return encode(new Error(`ERR unknown command '${name}'`));
+        }
+    }
+}
+
+module.exports = { RedisStandIn };
@@ -0,0 +1,19 @@
+// Polls predicate until it holds, for asserting on asynchronous side effects
+
+function waitFor(predicate, timeoutMs = 2000) {
+    const deadline = Date.now() + timeoutMs;
+    return new Promise((resolve, reject) => {
+        const poll = () => {
+            if (predicate()) {
+                return resolve();
+            }
+            if (Date.now() > deadline) {
+                return reject(new Error('Timed out waiting for condition'));
+            }
+            setTimeout(poll, 5);
+        };
+        poll();
+    });
+}
+
+module.exports = { waitFor };